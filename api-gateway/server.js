@@ -1,367 +1,1848 @@
-require('dotenv').config();
-const express = require('express');
-const cors = require('cors');
-const axios = require('axios');
-const swaggerUi = require('swagger-ui-express');
-
-const app = express();
-const PORT = process.env.PORT || 3000;
-
-app.use(cors());
-app.use(express.json());
-
-// Service URLs from environment variables
-const USER_SERVICE_URL = process.env.USER_SERVICE_URL || 'http://localhost:3001';
-const ORDER_SERVICE_URL = process.env.ORDER_SERVICE_URL || 'http://localhost:3002';
-
-// Swagger Documentation untuk API Gateway
-const swaggerDocument = {
-  openapi: '3.0.0',
-  info: {
-    title: 'Food Delivery System - API Gateway',
-    version: '2.0.0',
-    description: 'API Gateway sebagai pintu masuk tunggal untuk Food Delivery System dengan SQLite Database'
-  },
-  servers: [
-    { url: `http://localhost:${PORT}`, description: 'API Gateway' }
-  ],
-  paths: {
-    '/api/users': {
-      get: {
-        summary: 'Get all users (via User Service)',
-        tags: ['Users'],
-        responses: {
-          '200': { description: 'Success' }
-        }
-      },
-      post: {
-        summary: 'Create new user (via User Service)',
-        tags: ['Users'],
-        requestBody: {
-          required: true,
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                required: ['name', 'email', 'phone', 'address'],
-                properties: {
-                  name: { type: 'string', example: 'Budi Santoso' },
-                  email: { type: 'string', example: 'budi@example.com' },
-                  phone: { type: 'string', example: '081234567892' },
-                  address: { type: 'string', example: 'Jl. Gatot Subroto No. 10, Jakarta' }
-                }
-              }
-            }
-          }
-        },
-        responses: {
-          '201': { description: 'User created' }
-        }
-      }
-    },
-    '/api/users/{id}': {
-      get: {
-        summary: 'Get user by ID (via User Service)',
-        tags: ['Users'],
-        parameters: [
-          {
-            name: 'id',
-            in: 'path',
-            required: true,
-            schema: { type: 'integer' }
-          }
-        ],
-        responses: {
-          '200': { description: 'Success' }
-        }
-      },
-      put: {
-        summary: 'Update user (via User Service)',
-        tags: ['Users'],
-        parameters: [
-          {
-            name: 'id',
-            in: 'path',
-            required: true,
-            schema: { type: 'integer' }
-          }
-        ],
-        responses: {
-          '200': { description: 'User updated' }
-        }
-      },
-      delete: {
-        summary: 'Delete user (via User Service)',
-        tags: ['Users'],
-        parameters: [
-          {
-            name: 'id',
-            in: 'path',
-            required: true,
-            schema: { type: 'integer' }
-          }
-        ],
-        responses: {
-          '200': { description: 'User deleted' }
-        }
-      }
-    },
-    '/api/orders': {
-      get: {
-        summary: 'Get all orders (via Order Service)',
-        tags: ['Orders'],
-        parameters: [
-          {
-            name: 'userId',
-            in: 'query',
-            schema: { type: 'integer' }
-          }
-        ],
-        responses: {
-          '200': { description: 'Success' }
-        }
-      },
-      post: {
-        summary: 'Create new order (via Order Service)',
-        tags: ['Orders'],
-        requestBody: {
-          required: true,
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                required: ['userId', 'restaurantName', 'items', 'totalPrice'],
-                properties: {
-                  userId: { type: 'integer', example: 1 },
-                  restaurantName: { type: 'string', example: 'Sate Padang Ajo Ramon' },
-                  items: {
-                    type: 'array',
-                    items: { type: 'string' },
-                    example: ['Sate Padang', 'Lontong', 'Es Teh']
-                  },
-                  totalPrice: { type: 'number', example: 50000 }
-                }
-              }
-            }
-          }
-        },
-        responses: {
-          '201': { description: 'Order created' }
-        }
-      }
-    },
-    '/api/orders/{id}': {
-      get: {
-        summary: 'Get order by ID (via Order Service)',
-        tags: ['Orders'],
-        parameters: [
-          {
-            name: 'id',
-            in: 'path',
-            required: true,
-            schema: { type: 'integer' }
-          }
-        ],
-        responses: {
-          '200': { description: 'Success' }
-        }
-      },
-      put: {
-        summary: 'Update order status (via Order Service)',
-        tags: ['Orders'],
-        parameters: [
-          {
-            name: 'id',
-            in: 'path',
-            required: true,
-            schema: { type: 'integer' }
-          }
-        ],
-        responses: {
-          '200': { description: 'Order updated' }
-        }
-      }
-    },
-    '/api/orders/{id}/with-user': {
-      get: {
-        summary: 'Get order with user details (Service Integration)',
-        tags: ['Orders'],
-        description: 'Endpoint ini mendemonstrasikan komunikasi antar service (Order Service memanggil User Service)',
-        parameters: [
-          {
-            name: 'id',
-            in: 'path',
-            required: true,
-            schema: { type: 'integer' }
-          }
-        ],
-        responses: {
-          '200': { description: 'Order with user details' }
-        }
-      }
-    }
-  }
-};
-
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument));
-
-// Middleware untuk logging
-app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
-  next();
-});
-
-// Health Check
-app.get('/health', (req, res) => {
-  res.json({
-    success: true,
-    message: 'API Gateway is running',
-    timestamp: new Date().toISOString(),
-    services: {
-      userService: USER_SERVICE_URL,
-      orderService: ORDER_SERVICE_URL
-    }
-  });
-});
-
-// ===== USER SERVICE ROUTES =====
-app.get('/api/users', async (req, res) => {
-  try {
-    const response = await axios.get(`${USER_SERVICE_URL}/users`);
-    res.json(response.data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching users',
-      error: error.message
-    });
-  }
-});
-
-app.get('/api/users/:id', async (req, res) => {
-  try {
-    const response = await axios.get(`${USER_SERVICE_URL}/users/${req.params.id}`);
-    res.json(response.data);
-  } catch (error) {
-    res.status(error.response?.status || 500).json({
-      success: false,
-      message: 'Error fetching user',
-      error: error.message
-    });
-  }
-});
-
-app.post('/api/users', async (req, res) => {
-  try {
-    const response = await axios.post(`${USER_SERVICE_URL}/users`, req.body);
-    res.status(201).json(response.data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error creating user',
-      error: error.message
-    });
-  }
-});
-
-app.put('/api/users/:id', async (req, res) => {
-  try {
-    const response = await axios.put(`${USER_SERVICE_URL}/users/${req.params.id}`, req.body);
-    res.json(response.data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error updating user',
-      error: error.message
-    });
-  }
-});
-
-app.delete('/api/users/:id', async (req, res) => {
-  try {
-    const response = await axios.delete(`${USER_SERVICE_URL}/users/${req.params.id}`);
-    res.json(response.data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error deleting user',
-      error: error.message
-    });
-  }
-});
-
-// ===== ORDER SERVICE ROUTES =====
-app.get('/api/orders', async (req, res) => {
-  try {
-    const response = await axios.get(`${ORDER_SERVICE_URL}/orders`, {
-      params: req.query
-    });
-    res.json(response.data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching orders',
-      error: error.message
-    });
-  }
-});
-
-app.get('/api/orders/:id', async (req, res) => {
-  try {
-    const response = await axios.get(`${ORDER_SERVICE_URL}/orders/${req.params.id}`);
-    res.json(response.data);
-  } catch (error) {
-    res.status(error.response?.status || 500).json({
-      success: false,
-      message: 'Error fetching order',
-      error: error.message
-    });
-  }
-});
-
-app.get('/api/orders/:id/with-user', async (req, res) => {
-  try {
-    const response = await axios.get(`${ORDER_SERVICE_URL}/orders/${req.params.id}/with-user`);
-    res.json(response.data);
-  } catch (error) {
-    res.status(error.response?.status || 500).json({
-      success: false,
-      message: 'Error fetching order with user',
-      error: error.message
-    });
-  }
-});
-
-app.post('/api/orders', async (req, res) => {
-  try {
-    const response = await axios.post(`${ORDER_SERVICE_URL}/orders`, req.body);
-    res.status(201).json(response.data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error creating order',
-      error: error.message
-    });
-  }
-});
-
-app.put('/api/orders/:id', async (req, res) => {
-  try {
-    const response = await axios.put(`${ORDER_SERVICE_URL}/orders/${req.params.id}`, req.body);
-    res.json(response.data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error updating order',
-      error: error.message
-    });
-  }
-});
-
-app.listen(PORT, () => {
-  console.log(`API Gateway running on http://localhost:${PORT}`);
-  console.log(`Swagger UI available at http://localhost:${PORT}/api-docs`);
-  console.log(`Connected to services:`);
-  console.log(`  - User Service: ${USER_SERVICE_URL}`);
-  console.log(`  - Order Service: ${ORDER_SERVICE_URL}`);
+require('dotenv').config();
+const express = require('express');
+const cors = require('cors');
+const axios = require('axios');
+const swaggerUi = require('swagger-ui-express');
+const jwt = require('jsonwebtoken');
+const { internalHeaders, requiredSecret } = require('../identity');
+
+const app = express();
+const PORT = process.env.PORT || 3000;
+
+// Needed behind a load balancer so req.ip (used for rate limiting) is the client's address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
+
+app.use(cors({
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After', 'ETag']
+}));
+app.use(express.json());
+
+// Downstream services, with URLs and timeouts from environment variables. Order Service
+// gets a longer default timeout because creating an order calls User Service and
+// Restaurant Service in turn
+const SERVICES = {
+  user: {
+    name: 'User Service',
+    url: process.env.USER_SERVICE_URL || 'http://localhost:3001',
+    timeoutMs: parseInt(process.env.USER_SERVICE_TIMEOUT_MS, 10) || 5000
+  },
+  order: {
+    name: 'Order Service',
+    url: process.env.ORDER_SERVICE_URL || 'http://localhost:3002',
+    timeoutMs: parseInt(process.env.ORDER_SERVICE_TIMEOUT_MS, 10) || 10000
+  },
+  restaurant: {
+    name: 'Restaurant Service',
+    url: process.env.RESTAURANT_SERVICE_URL || 'http://localhost:3003',
+    timeoutMs: parseInt(process.env.RESTAURANT_SERVICE_TIMEOUT_MS, 10) || 5000
+  },
+  notification: {
+    name: 'Notification Service',
+    url: process.env.NOTIFICATION_SERVICE_URL || 'http://localhost:3004',
+    timeoutMs: parseInt(process.env.NOTIFICATION_SERVICE_TIMEOUT_MS, 10) || 5000
+  },
+  delivery: {
+    name: 'Delivery Service',
+    url: process.env.DELIVERY_SERVICE_URL || 'http://localhost:3005',
+    timeoutMs: parseInt(process.env.DELIVERY_SERVICE_TIMEOUT_MS, 10) || 5000
+  }
+};
+
+// Requests under /api<prefix> are proxied to the service unchanged (method, path,
+// query string, body and headers). Exposing a new service only needs entries here
+// and in SERVICES
+const PROXY_ROUTES = [
+  { prefix: '/auth', service: 'user' },
+  { prefix: '/users', service: 'user' },
+  { prefix: '/orders', service: 'order' },
+  { prefix: '/webhooks', service: 'order' },
+  { prefix: '/restaurants', service: 'restaurant' },
+  { prefix: '/notifications', service: 'notification' },
+  { prefix: '/couriers', service: 'delivery' },
+  { prefix: '/deliveries', service: 'delivery' }
+];
+
+// GET routes (path relative to /api) answered with a Server-Sent Events stream. These are
+// piped to the client as the service writes them, without a timeout or retries
+const STREAM_ROUTES = [
+  { path: /^\/orders\/(\d+\/)?events\/?$/, service: 'order' }
+];
+
+const GET_RETRIES = process.env.GATEWAY_GET_RETRIES !== undefined ? parseInt(process.env.GATEWAY_GET_RETRIES, 10) : 2;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.GATEWAY_RETRY_BASE_DELAY_MS, 10) || 100;
+const CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || 5;
+const CIRCUIT_RESET_MS = parseInt(process.env.CIRCUIT_RESET_MS, 10) || 30000;
+const HEALTH_CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 2000;
+
+// Requests allowed per client per window, counted separately for reads (GET/HEAD) and writes
+const RATE_LIMIT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 60000;
+const RATE_LIMITS = {
+  read: parseInt(process.env.RATE_LIMIT_READ_MAX, 10) || 300,
+  write: parseInt(process.env.RATE_LIMIT_WRITE_MAX, 10) || 60
+};
+
+// Must match the secret User Service signs access tokens with
+const JWT_SECRET = requiredSecret('JWT_SECRET', 'dev-secret-change-me');
+
+// Swagger Documentation untuk API Gateway
+const swaggerDocument = {
+  openapi: '3.0.0',
+  info: {
+    title: 'Food Delivery System - API Gateway',
+    version: '2.0.0',
+    description: 'API Gateway sebagai pintu masuk tunggal untuk Food Delivery System dengan SQLite Database. ' +
+      'Semua endpoint /api dibatasi per user (atau per IP jika belum login); jika batas terlampaui, gateway membalas 429 dengan header Retry-After.'
+  },
+  servers: [
+    { url: `http://localhost:${PORT}`, description: 'API Gateway' }
+  ],
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+    },
+    parameters: {
+      page: { name: 'page', in: 'query', schema: { type: 'integer', default: 1 } },
+      limit: { name: 'limit', in: 'query', schema: { type: 'integer', default: 20, maximum: 100 } },
+      ifMatch: { name: 'If-Match', in: 'header', schema: { type: 'string' }, description: 'ETag from a previous GET; the update is rejected with 412 if the resource changed since' }
+    },
+    schemas: {
+      Address: {
+        type: 'object',
+        properties: {
+          label: { type: 'string', example: 'Kantor' },
+          address: { type: 'string', example: 'Jl. Sudirman No. 45, Jakarta' },
+          notes: { type: 'string', nullable: true, example: 'Gedung B lantai 3, titip di resepsionis', description: 'Notes for the courier' },
+          latitude: { type: 'number', nullable: true, example: -6.2297 },
+          longitude: { type: 'number', nullable: true, example: 106.8295, description: 'Set together with latitude' },
+          isDefault: { type: 'boolean' }
+        }
+      }
+    }
+  },
+  security: [{ bearerAuth: [] }],
+  paths: {
+    '/health': {
+      get: {
+        summary: 'Aggregated health: probes /ready of every service',
+        tags: ['Health'],
+        security: [],
+        responses: {
+          '200': { description: 'All services ready (status ok), with per-service latency, checks and circuit breaker state' },
+          '503': { description: 'At least one service is not ready (status degraded, or down when none are ready)' }
+        }
+      }
+    },
+    '/ready': {
+      get: {
+        summary: 'Gateway readiness: every downstream service is ready',
+        tags: ['Health'],
+        security: [],
+        responses: {
+          '200': { description: 'Ready' },
+          '503': { description: 'Not ready' }
+        }
+      }
+    },
+    '/api/auth/register': {
+      post: {
+        summary: 'Register with password (via User Service)',
+        tags: ['Auth'],
+        security: [],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name', 'email', 'phone', 'address', 'password'],
+                properties: {
+                  name: { type: 'string', example: 'Budi Santoso' },
+                  email: { type: 'string', example: 'budi@example.com' },
+                  phone: { type: 'string', example: '081234567892' },
+                  address: { type: 'string', example: 'Jl. Gatot Subroto No. 10, Jakarta' },
+                  password: { type: 'string', example: 'rahasia123' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '201': { description: 'Registered, returns access and refresh tokens' },
+          '409': { description: 'Email already registered' }
+        }
+      }
+    },
+    '/api/auth/login': {
+      post: {
+        summary: 'Login with email and password (via User Service)',
+        tags: ['Auth'],
+        security: [],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['email', 'password'],
+                properties: {
+                  email: { type: 'string', example: 'john@example.com' },
+                  password: { type: 'string', example: 'password123' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': { description: 'Returns access and refresh tokens' },
+          '401': { description: 'Invalid credentials' }
+        }
+      }
+    },
+    '/api/auth/refresh': {
+      post: {
+        summary: 'Exchange a refresh token for a new token pair (via User Service)',
+        tags: ['Auth'],
+        security: [],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['refreshToken'],
+                properties: {
+                  refreshToken: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': { description: 'New tokens; the old refresh token is revoked' },
+          '401': { description: 'Invalid or expired refresh token' }
+        }
+      }
+    },
+    '/api/auth/logout': {
+      post: {
+        summary: 'Logout by revoking the refresh token (via User Service)',
+        tags: ['Auth'],
+        security: [],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['refreshToken'],
+                properties: {
+                  refreshToken: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': { description: 'Logged out' }
+        }
+      }
+    },
+    '/api/users': {
+      get: {
+        summary: 'Get all users (via User Service)',
+        tags: ['Users'],
+        parameters: [
+          { name: 'search', in: 'query', schema: { type: 'string' }, description: 'Search by name or email' },
+          { name: 'role', in: 'query', schema: { type: 'string', enum: ['customer', 'restaurant_staff', 'courier', 'admin'] } },
+          {
+            name: 'sort',
+            in: 'query',
+            schema: { type: 'string', enum: ['id', '-id', 'name', '-name', 'email', '-email', 'createdAt', '-createdAt'], default: 'id' },
+            description: 'Sort field; prefix with - for descending'
+          },
+          { $ref: '#/components/parameters/page' },
+          { $ref: '#/components/parameters/limit' }
+        ],
+        responses: {
+          '200': { description: 'Page of users with pagination (page, limit, total, totalPages)' },
+          '400': { description: 'Invalid filter, sort or pagination parameter' }
+        }
+      },
+      post: {
+        summary: 'Create new user (via User Service)',
+        tags: ['Users'],
+        parameters: [
+          {
+            name: 'Idempotency-Key',
+            in: 'header',
+            schema: { type: 'string', maxLength: 255 },
+            description: 'Unique per user; a retry with the same key and body returns the original response (header Idempotent-Replayed: true)'
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name', 'email', 'phone', 'address'],
+                properties: {
+                  name: { type: 'string', example: 'Budi Santoso' },
+                  email: { type: 'string', example: 'budi@example.com' },
+                  phone: { type: 'string', example: '081234567892' },
+                  address: { type: 'string', example: 'Jl. Gatot Subroto No. 10, Jakarta' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '201': { description: 'User created' }
+        }
+      }
+    },
+    '/api/users/{id}': {
+      get: {
+        summary: 'Get user by ID (via User Service)',
+        tags: ['Users'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          }
+        ],
+        responses: {
+          '200': { description: 'Success' }
+        }
+      },
+      put: {
+        summary: 'Replace user profile; name, email, phone and address are required (via User Service)',
+        tags: ['Users'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          },
+          { $ref: '#/components/parameters/ifMatch' }
+        ],
+        responses: {
+          '200': { description: 'User updated' },
+          '412': { description: 'User changed since the ETag in If-Match was read' }
+        }
+      },
+      patch: {
+        summary: 'Update only the fields sent (via User Service)',
+        tags: ['Users'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          },
+          { $ref: '#/components/parameters/ifMatch' }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  email: { type: 'string' },
+                  phone: { type: 'string', example: '081234567899' },
+                  address: { type: 'string' },
+                  role: { type: 'string', description: 'Admin only' },
+                  restaurantId: { type: 'integer', description: 'Admin only' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': { description: 'User updated' },
+          '412': { description: 'User changed since the ETag in If-Match was read' }
+        }
+      },
+      delete: {
+        summary: 'Delete user (via User Service)',
+        tags: ['Users'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          }
+        ],
+        responses: {
+          '200': { description: 'User deleted (anonymized; past orders keep a customer snapshot)' },
+          '409': { description: 'User still has active orders' },
+          '503': { description: 'Order Service unreachable' }
+        }
+      }
+    },
+    '/api/users/{id}/addresses': {
+      get: {
+        summary: 'Saved delivery addresses of a user, default first (own account or admin, via User Service)',
+        tags: ['Users'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          }
+        ],
+        responses: {
+          '200': { description: 'List of addresses' },
+          '404': { description: 'User not found' }
+        }
+      },
+      post: {
+        summary: 'Add a delivery address; the first one becomes the default (via User Service)',
+        tags: ['Users'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Address' }
+            }
+          }
+        },
+        responses: {
+          '201': { description: 'Address created' },
+          '400': { description: 'Invalid data, or only one of latitude / longitude given' },
+          '409': { description: 'Address limit reached' }
+        }
+      }
+    },
+    '/api/users/{id}/addresses/{addressId}': {
+      get: {
+        summary: 'Get a saved address (via User Service)',
+        tags: ['Users'],
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+          { name: 'addressId', in: 'path', required: true, schema: { type: 'integer' } }
+        ],
+        responses: {
+          '200': { description: 'Address details' },
+          '404': { description: 'User or address not found' }
+        }
+      },
+      patch: {
+        summary: 'Update only the fields sent; isDefault: true makes it the default (via User Service)',
+        tags: ['Users'],
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+          { name: 'addressId', in: 'path', required: true, schema: { type: 'integer' } }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Address' }
+            }
+          }
+        },
+        responses: {
+          '200': { description: 'Address updated' },
+          '404': { description: 'User or address not found' }
+        }
+      },
+      delete: {
+        summary: 'Delete a saved address; deleting the default promotes the oldest remaining one (via User Service)',
+        tags: ['Users'],
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+          { name: 'addressId', in: 'path', required: true, schema: { type: 'integer' } }
+        ],
+        responses: {
+          '200': { description: 'Address deleted' },
+          '404': { description: 'User or address not found' }
+        }
+      }
+    },
+    '/api/orders': {
+      get: {
+        summary: 'Get all orders (via Order Service)',
+        tags: ['Orders'],
+        parameters: [
+          {
+            name: 'userId',
+            in: 'query',
+            schema: { type: 'integer' }
+          },
+          { name: 'status', in: 'query', schema: { type: 'string', example: 'pending,processing' }, description: 'Comma-separated statuses' },
+          { name: 'restaurantId', in: 'query', schema: { type: 'integer' } },
+          { name: 'minPrice', in: 'query', schema: { type: 'integer' } },
+          { name: 'maxPrice', in: 'query', schema: { type: 'integer' } },
+          { name: 'from', in: 'query', schema: { type: 'string', example: '2024-01-01' }, description: 'Created at or after (UTC)' },
+          { name: 'to', in: 'query', schema: { type: 'string', example: '2024-12-31' }, description: 'Created at or before (UTC); a date covers the whole day' },
+          {
+            name: 'sort',
+            in: 'query',
+            schema: { type: 'string', enum: ['id', '-id', 'createdAt', '-createdAt', 'totalPrice', '-totalPrice', 'status', '-status'], default: '-id' },
+            description: 'Sort field; prefix with - for descending'
+          },
+          { $ref: '#/components/parameters/page' },
+          { $ref: '#/components/parameters/limit' }
+        ],
+        responses: {
+          '200': { description: 'Page of orders with pagination (page, limit, total, totalPages)' },
+          '400': { description: 'Invalid filter, sort or pagination parameter' }
+        }
+      },
+      post: {
+        summary: 'Create new order (via Order Service)',
+        tags: ['Orders'],
+        parameters: [
+          {
+            name: 'Idempotency-Key',
+            in: 'header',
+            schema: { type: 'string', maxLength: 255 },
+            description: 'Unique per order; a retry with the same key and body returns the original response (header Idempotent-Replayed: true)'
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['restaurantId', 'items'],
+                properties: {
+                  userId: { type: 'integer', example: 1 },
+                  restaurantId: { type: 'integer', example: 1 },
+                  addressId: { type: 'integer', example: 2, description: 'Saved address of the user; defaults to their default address, else the profile address' },
+                  items: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        menuItemId: { type: 'integer', example: 1 },
+                        quantity: { type: 'integer', example: 2 },
+                        modifiers: { type: 'object', example: { spiceLevel: 5 } },
+                        notes: { type: 'string', example: 'Sambal dipisah' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '201': { description: 'Order created' },
+          '422': { description: 'Unknown user or address, or unknown / unavailable restaurant or menu item' },
+          '503': { description: 'User Service (fail-closed) or Restaurant Service unreachable' }
+        }
+      }
+    },
+    '/api/orders/{id}': {
+      get: {
+        summary: 'Get order by ID (via Order Service)',
+        tags: ['Orders'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          }
+        ],
+        responses: {
+          '200': { description: 'Success' }
+        }
+      },
+      put: {
+        summary: 'Update order status (via Order Service)',
+        tags: ['Orders'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          },
+          { $ref: '#/components/parameters/ifMatch' }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  status: {
+                    type: 'string',
+                    enum: ['pending', 'processing', 'on_delivery', 'delivered', 'cancelled']
+                  },
+                  reason: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': { description: 'Order updated' },
+          '400': { description: 'Unknown status' },
+          '409': { description: 'Transition not allowed from current status' },
+          '412': { description: 'Order changed since the ETag in If-Match was read' }
+        }
+      },
+      patch: {
+        summary: 'Update order status and/or delivery address; the address only while pending (via Order Service)',
+        tags: ['Orders'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          },
+          { $ref: '#/components/parameters/ifMatch' }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  status: {
+                    type: 'string',
+                    enum: ['pending', 'processing', 'on_delivery', 'delivered', 'cancelled']
+                  },
+                  reason: { type: 'string' },
+                  customerAddress: { type: 'string', example: 'Jl. Gatot Subroto No. 10, Jakarta' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': { description: 'Order updated' },
+          '409': { description: 'Transition not allowed, or address changed after the order was accepted' },
+          '412': { description: 'Order changed since the ETag in If-Match was read' }
+        }
+      },
+      delete: {
+        summary: 'Delete order with its items and status history (via Order Service, admin)',
+        tags: ['Orders'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          }
+        ],
+        responses: {
+          '200': { description: 'Order deleted' },
+          '403': { description: 'Only admins can delete orders' },
+          '404': { description: 'Order not found' }
+        }
+      }
+    },
+    '/api/orders/{id}/accept': {
+      post: {
+        summary: 'Accept order: pending → processing (via Order Service)',
+        tags: ['Orders'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          }
+        ],
+        responses: {
+          '200': { description: 'Order status changed' },
+          '409': { description: 'Transition not allowed from current status' }
+        }
+      }
+    },
+    '/api/orders/{id}/dispatch': {
+      post: {
+        summary: 'Dispatch order: processing → on_delivery (via Order Service)',
+        tags: ['Orders'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          }
+        ],
+        responses: {
+          '200': { description: 'Order status changed' },
+          '409': { description: 'Transition not allowed from current status' }
+        }
+      }
+    },
+    '/api/orders/{id}/deliver': {
+      post: {
+        summary: 'Deliver order: on_delivery → delivered (via Order Service)',
+        tags: ['Orders'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          }
+        ],
+        responses: {
+          '200': { description: 'Order status changed' },
+          '409': { description: 'Transition not allowed from current status' }
+        }
+      }
+    },
+    '/api/orders/{id}/cancel': {
+      post: {
+        summary: 'Cancel order with reason (via Order Service)',
+        tags: ['Orders'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['reason'],
+                properties: {
+                  reason: { type: 'string', example: 'Restoran kehabisan bahan' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': { description: 'Order status changed' },
+          '409': { description: 'Transition not allowed from current status' }
+        }
+      }
+    },
+    '/api/orders/{id}/history': {
+      get: {
+        summary: 'Get order status history (via Order Service)',
+        tags: ['Orders'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          }
+        ],
+        responses: {
+          '200': { description: 'Status transitions with timestamp and actor' }
+        }
+      }
+    },
+    '/api/orders/events': {
+      get: {
+        summary: 'Live order status changes (Server-Sent Events, via Order Service)',
+        tags: ['Orders'],
+        description: 'Stream text/event-stream berisi event order.created dan order.status_changed untuk pesanan yang dapat dilihat user. Stream ditutup saat access token kedaluwarsa; sambungkan ulang dengan token baru',
+        parameters: [
+          {
+            name: 'userId',
+            in: 'query',
+            schema: { type: 'integer' },
+            description: 'Hanya pesanan milik user ini'
+          }
+        ],
+        responses: {
+          '200': { description: 'Event stream' },
+          '403': { description: 'Customer meminta pesanan user lain' }
+        }
+      }
+    },
+    '/api/orders/{id}/events': {
+      get: {
+        summary: 'Live status changes of one order (Server-Sent Events, via Order Service)',
+        tags: ['Orders'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          }
+        ],
+        responses: {
+          '200': { description: 'Event stream of order.status_changed events' },
+          '403': { description: 'Pesanan tidak dapat diakses' },
+          '404': { description: 'Order tidak ditemukan' }
+        }
+      }
+    },
+    '/api/orders/{id}/with-user': {
+      get: {
+        summary: 'Get order with user details (Service Integration)',
+        tags: ['Orders'],
+        description: 'Endpoint ini mendemonstrasikan komunikasi antar service (Order Service memanggil User Service)',
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          }
+        ],
+        responses: {
+          '200': { description: 'Order with user details' }
+        }
+      }
+    },
+    '/api/orders/{id}/with-delivery': {
+      get: {
+        summary: 'Get order with its delivery: courier, pickup and drop-off times (Service Integration)',
+        tags: ['Orders'],
+        description: 'Order Service memanggil Delivery Service; delivery bernilai null sebelum restoran menerima pesanan',
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          }
+        ],
+        responses: {
+          '200': { description: 'Order with delivery details' },
+          '503': { description: 'Delivery Service unreachable' }
+        }
+      }
+    },
+    '/api/webhooks': {
+      get: {
+        summary: 'List webhook subscriptions (via Order Service)',
+        tags: ['Webhooks'],
+        description: 'Admin melihat semua webhook, staff restoran hanya webhook restorannya',
+        parameters: [
+          {
+            name: 'restaurantId',
+            in: 'query',
+            schema: { type: 'integer' }
+          }
+        ],
+        responses: {
+          '200': { description: 'Webhook subscriptions (without secrets)' }
+        }
+      },
+      post: {
+        summary: 'Subscribe a URL to order events (via Order Service)',
+        tags: ['Webhooks'],
+        description: 'Setiap event dikirim sebagai POST JSON yang ditandatangani: X-Webhook-Signature = sha256=HMAC-SHA256(secret, "<X-Webhook-Timestamp>.<body>"). ' +
+          'Pengiriman yang gagal dicoba ulang dengan jeda yang terus berlipat ganda',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['url', 'eventTypes'],
+                properties: {
+                  url: { type: 'string', example: 'https://partner.example.com/hooks/orders' },
+                  eventTypes: {
+                    type: 'array',
+                    items: { type: 'string', enum: ['order.created', 'order.status_changed', 'order.cancelled'] },
+                    example: ['order.created', 'order.status_changed']
+                  },
+                  restaurantId: { type: 'integer', nullable: true, description: 'Admin only; null receives events of every restaurant' },
+                  secret: { type: 'string', description: 'Generated when omitted' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '201': { description: 'Subscription created; the secret is only returned here' }
+        }
+      }
+    },
+    '/api/webhooks/{id}': {
+      get: {
+        summary: 'Get webhook subscription (via Order Service)',
+        tags: ['Webhooks'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          }
+        ],
+        responses: {
+          '200': { description: 'Success' }
+        }
+      },
+      patch: {
+        summary: 'Change URL, event types, secret or active flag (via Order Service)',
+        tags: ['Webhooks'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  url: { type: 'string' },
+                  eventTypes: { type: 'array', items: { type: 'string' } },
+                  secret: { type: 'string' },
+                  isActive: { type: 'boolean' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': { description: 'Subscription updated' }
+        }
+      },
+      delete: {
+        summary: 'Delete webhook subscription and its delivery log (via Order Service)',
+        tags: ['Webhooks'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          }
+        ],
+        responses: {
+          '200': { description: 'Subscription deleted' }
+        }
+      }
+    },
+    '/api/webhooks/{id}/deliveries': {
+      get: {
+        summary: 'Delivery log of a webhook subscription (via Order Service)',
+        tags: ['Webhooks'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          },
+          {
+            name: 'status',
+            in: 'query',
+            schema: { type: 'string', enum: ['pending', 'succeeded', 'failed'] }
+          },
+          { $ref: '#/components/parameters/page' },
+          { $ref: '#/components/parameters/limit' }
+        ],
+        responses: {
+          '200': { description: 'Deliveries with payload, attempts, last HTTP status and error' }
+        }
+      }
+    },
+    '/api/webhooks/{id}/deliveries/{deliveryId}/redeliver': {
+      post: {
+        summary: 'Send one delivery again now (via Order Service)',
+        tags: ['Webhooks'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          },
+          {
+            name: 'deliveryId',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          }
+        ],
+        responses: {
+          '200': { description: 'Outcome of the attempt' },
+          '409': { description: 'Webhook sedang nonaktif' }
+        }
+      }
+    },
+    '/api/restaurants': {
+      get: {
+        summary: 'Get all restaurants (via Restaurant Service)',
+        tags: ['Restaurants'],
+        security: [],
+        responses: {
+          '200': { description: 'Success' }
+        }
+      },
+      post: {
+        summary: 'Create new restaurant (via Restaurant Service)',
+        tags: ['Restaurants'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name', 'address'],
+                properties: {
+                  name: { type: 'string', example: 'Sate Padang Ajo Ramon' },
+                  address: { type: 'string', example: 'Jl. Cikini Raya No. 1, Jakarta' },
+                  phone: { type: 'string', example: '0211234567' },
+                  isOpen: { type: 'boolean', example: true }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '201': { description: 'Restaurant created' }
+        }
+      }
+    },
+    '/api/restaurants/{id}': {
+      get: {
+        summary: 'Get restaurant with menu (via Restaurant Service)',
+        tags: ['Restaurants'],
+        security: [],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          }
+        ],
+        responses: {
+          '200': { description: 'Success' }
+        }
+      },
+      put: {
+        summary: 'Update restaurant (via Restaurant Service)',
+        tags: ['Restaurants'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          }
+        ],
+        responses: {
+          '200': { description: 'Restaurant updated' }
+        }
+      },
+      delete: {
+        summary: 'Delete restaurant and its menu (via Restaurant Service)',
+        tags: ['Restaurants'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          }
+        ],
+        responses: {
+          '200': { description: 'Restaurant deleted' }
+        }
+      }
+    },
+    '/api/restaurants/{id}/menu': {
+      get: {
+        summary: 'Get restaurant menu (via Restaurant Service)',
+        tags: ['Restaurants'],
+        security: [],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          },
+          {
+            name: 'available',
+            in: 'query',
+            schema: { type: 'boolean' }
+          }
+        ],
+        responses: {
+          '200': { description: 'Success' }
+        }
+      },
+      post: {
+        summary: 'Add menu item (via Restaurant Service)',
+        tags: ['Restaurants'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name', 'price'],
+                properties: {
+                  name: { type: 'string', example: 'Sate Padang' },
+                  description: { type: 'string', example: 'Sate daging sapi dengan kuah kental' },
+                  price: { type: 'integer', example: 30000 },
+                  isAvailable: { type: 'boolean', example: true }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '201': { description: 'Menu item created' }
+        }
+      }
+    },
+    '/api/restaurants/{id}/menu/{itemId}': {
+      put: {
+        summary: 'Update menu item price / availability (via Restaurant Service)',
+        tags: ['Restaurants'],
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+          { name: 'itemId', in: 'path', required: true, schema: { type: 'integer' } }
+        ],
+        responses: {
+          '200': { description: 'Menu item updated' }
+        }
+      },
+      delete: {
+        summary: 'Delete menu item (via Restaurant Service)',
+        tags: ['Restaurants'],
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+          { name: 'itemId', in: 'path', required: true, schema: { type: 'integer' } }
+        ],
+        responses: {
+          '200': { description: 'Menu item deleted' }
+        }
+      }
+    },
+    '/api/notifications': {
+      get: {
+        summary: 'Notification history, newest first (via Notification Service)',
+        tags: ['Notifications'],
+        description: 'Admin melihat semua notifikasi (filter dengan userId), user lain hanya notifikasinya sendiri',
+        parameters: [
+          {
+            name: 'userId',
+            in: 'query',
+            schema: { type: 'integer' }
+          },
+          { $ref: '#/components/parameters/page' },
+          { $ref: '#/components/parameters/limit' }
+        ],
+        responses: {
+          '200': { description: 'Notifications with channel, recipient, message and status' }
+        }
+      }
+    },
+    '/api/notifications/preferences/{userId}': {
+      get: {
+        summary: 'Get notification preferences of a user (via Notification Service)',
+        tags: ['Notifications'],
+        parameters: [
+          {
+            name: 'userId',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          }
+        ],
+        responses: {
+          '200': { description: 'Locale, enabled channels and muted notification types' }
+        }
+      },
+      patch: {
+        summary: 'Change notification preferences of a user (via Notification Service)',
+        tags: ['Notifications'],
+        parameters: [
+          {
+            name: 'userId',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' }
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  locale: { type: 'string', enum: ['id', 'en'] },
+                  emailEnabled: { type: 'boolean' },
+                  smsEnabled: { type: 'boolean' },
+                  mutedTypes: {
+                    type: 'array',
+                    items: { type: 'string', enum: ['order.created', 'order.processing', 'order.on_delivery', 'order.delivered', 'order.cancelled'] }
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': { description: 'Preferences saved' }
+        }
+      }
+    },
+    '/api/couriers': {
+      get: {
+        summary: 'List couriers with their status and last location (admin, via Delivery Service)',
+        tags: ['Deliveries'],
+        parameters: [
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['available', 'busy', 'offline'] } },
+          { $ref: '#/components/parameters/page' },
+          { $ref: '#/components/parameters/limit' }
+        ],
+        responses: {
+          '200': { description: 'Page of couriers with pagination' }
+        }
+      }
+    },
+    '/api/couriers/{userId}': {
+      get: {
+        summary: 'Get a courier (the courier or admin, via Delivery Service)',
+        tags: ['Deliveries'],
+        parameters: [
+          { name: 'userId', in: 'path', required: true, schema: { type: 'integer' } }
+        ],
+        responses: {
+          '200': { description: 'Courier status, active delivery and last location' },
+          '404': { description: 'Courier never went on duty' }
+        }
+      },
+      patch: {
+        summary: 'Go on/off duty and report the current location (via Delivery Service)',
+        tags: ['Deliveries'],
+        description: 'Kurir yang belum terdaftar didaftarkan pada permintaan pertama',
+        parameters: [
+          { name: 'userId', in: 'path', required: true, schema: { type: 'integer' } }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  isAvailable: { type: 'boolean', example: true },
+                  latitude: { type: 'number', example: -6.2088 },
+                  longitude: { type: 'number', example: 106.8456, description: 'Set together with latitude' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': { description: 'Courier updated' },
+          '422': { description: 'User is not a courier' }
+        }
+      }
+    },
+    '/api/deliveries': {
+      get: {
+        summary: 'List deliveries, newest first (via Delivery Service)',
+        tags: ['Deliveries'],
+        description: 'Admin melihat semua pengantaran, customer pesanannya sendiri, staff restorannya, kurir yang ditugaskan kepadanya',
+        parameters: [
+          { name: 'orderId', in: 'query', schema: { type: 'integer' } },
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['unassigned', 'assigned', 'picked_up', 'delivered', 'cancelled'] } },
+          { name: 'courierId', in: 'query', schema: { type: 'integer' } },
+          { name: 'customerId', in: 'query', schema: { type: 'integer' } },
+          { name: 'restaurantId', in: 'query', schema: { type: 'integer' } },
+          { $ref: '#/components/parameters/page' },
+          { $ref: '#/components/parameters/limit' }
+        ],
+        responses: {
+          '200': { description: 'Deliveries with courier, drop-off address and assignment, pickup and drop-off times' }
+        }
+      }
+    },
+    '/api/deliveries/{id}': {
+      get: {
+        summary: 'Get a delivery (via Delivery Service)',
+        tags: ['Deliveries'],
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'integer' } }
+        ],
+        responses: {
+          '200': { description: 'Delivery details' },
+          '404': { description: 'Delivery not found' }
+        }
+      }
+    }
+  }
+};
+
+app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument));
+
+// Middleware untuk logging
+app.use((req, res, next) => {
+  console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
+  next();
+});
+
+// Circuit breaker per downstream service. A breaker opens after
+// CIRCUIT_FAILURE_THRESHOLD consecutive failures (no response, timeout or a 5xx response;
+// 2xx-4xx responses count as successes), rejects calls for CIRCUIT_RESET_MS, then lets a
+// single trial call through (half_open) to decide whether to close again
+Object.values(SERVICES).forEach(service => {
+  service.circuit = { state: 'closed', failures: 0, openedAt: null, trialInFlight: false };
+});
+
+function gatewayError(status, message, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.extra = extra;
+  return error;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Error for a call rejected because the service's breaker is open
+function circuitOpenError(service) {
+  const retryAfter = Math.ceil((service.circuit.openedAt + CIRCUIT_RESET_MS - Date.now()) / 1000);
+  return gatewayError(503, `${service.name} sedang tidak tersedia`, { retryAfter: Math.max(retryAfter, 1) });
+}
+
+// A service answering with a 5xx is failing, whatever the request
+function isServiceFailure(status) {
+  return status >= 500;
+}
+
+// Whether the breaker lets a call through right now; moves open → half_open once the reset time has passed
+function acquireCircuit(circuit) {
+  if (circuit.state === 'open' && Date.now() - circuit.openedAt >= CIRCUIT_RESET_MS) {
+    circuit.state = 'half_open';
+  }
+  if (circuit.state === 'closed') {
+    return true;
+  }
+  if (circuit.state === 'half_open' && !circuit.trialInFlight) {
+    circuit.trialInFlight = true;
+    return true;
+  }
+  return false;
+}
+
+function recordCircuitResult(service, succeeded) {
+  const { circuit } = service;
+  circuit.trialInFlight = false;
+  if (succeeded) {
+    if (circuit.state !== 'closed') {
+      console.log(`Circuit for ${service.name} closed`);
+    }
+    circuit.state = 'closed';
+    circuit.failures = 0;
+    circuit.openedAt = null;
+    return;
+  }
+
+  circuit.failures++;
+  if (circuit.state === 'half_open' || circuit.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+    if (circuit.state !== 'open') {
+      console.warn(`Circuit for ${service.name} opened after ${circuit.failures} consecutive failures`);
+    }
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+  }
+}
+
+// Call a downstream service through its circuit breaker with a per-service timeout.
+// GET requests are retried with exponential backoff when no response arrives.
+// Resolves to the axios response; HTTP error responses reject with the axios error
+async function callService(serviceKey, method, path, config = {}) {
+  const service = SERVICES[serviceKey];
+  const attempts = method === 'get' ? GET_RETRIES + 1 : 1;
+
+  for (let attempt = 1; ; attempt++) {
+    if (!acquireCircuit(service.circuit)) {
+      throw circuitOpenError(service);
+    }
+
+    try {
+      const response = await axios.request({
+        ...config,
+        method,
+        url: `${service.url}${path}`,
+        timeout: service.timeoutMs
+      });
+      recordCircuitResult(service, true);
+      return response;
+    } catch (error) {
+      if (error.response) {
+        recordCircuitResult(service, !isServiceFailure(error.response.status));
+        throw error;
+      }
+      recordCircuitResult(service, false);
+
+      if (attempt >= attempts) {
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+          throw gatewayError(504, `${service.name} tidak merespons`, { error: error.message });
+        }
+        throw gatewayError(503, `${service.name} tidak dapat dihubungi`, { error: error.message });
+      }
+      await sleep(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+    }
+  }
+}
+
+// Response headers not relayed to the client: hop-by-hop and body encoding headers
+// (the body is re-serialized) and CORS headers, which the gateway sets itself
+const STRIPPED_RESPONSE_HEADERS = /^(connection|keep-alive|transfer-encoding|content-length|content-encoding|date|x-powered-by|access-control-.*)$/i;
+
+// Send a downstream response to the client with its status, headers and body
+function relayResponse(res, response) {
+  Object.entries(response.headers).forEach(([name, value]) => {
+    if (!STRIPPED_RESPONSE_HEADERS.test(name)) {
+      res.set(name, value);
+    }
+  });
+  res.status(response.status).send(response.data);
+}
+
+// Relay a downstream error response unchanged (status, headers and body), report an
+// unavailable service (503/504), or respond 500 with the message
+function sendError(res, error, message) {
+  if (error.response) {
+    return relayResponse(res, error.response);
+  }
+  if (error.status) {
+    if (error.extra.retryAfter) {
+      res.set('Retry-After', String(error.extra.retryAfter));
+    }
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      ...error.extra
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+}
+
+// Percent-encoded dots, slashes and backslashes, which services may decode into path syntax
+const ENCODED_PATH_SYNTAX = /%2e|%2f|%5c/i;
+
+// The path as services route it: dot segments resolved, backslashes and repeated slashes read
+// as a single slash
+function normalizePath(path) {
+  return new URL(path.replace(/[\\/]+/g, '/'), 'http://gateway').pathname;
+}
+
+// Only paths already in normal form get past the gateway. Otherwise a path could pass the
+// access checks as one route and reach the service as another, e.g. /api/auth/../users
+// is public here but lists users there. The path is taken from the original URL, since
+// req.path has already lost repeated slashes. req.apiPath is the checked path relative to /api
+function requireNormalizedPath(req, res, next) {
+  const path = req.originalUrl.split('?')[0].slice(req.baseUrl.length) || '/';
+  if (ENCODED_PATH_SYNTAX.test(path) || normalizePath(path) !== path) {
+    return res.status(400).json({
+      success: false,
+      message: 'Path request tidak valid'
+    });
+  }
+  req.apiPath = path;
+  next();
+}
+
+// Routes that can be called without an access token (path relative to /api)
+function isPublicRoute(req) {
+  return req.apiPath.startsWith('/auth/') ||
+    (req.method === 'GET' && req.apiPath.startsWith('/restaurants'));
+}
+
+// Verify the Bearer access token issued by User Service
+function authenticate(req, res, next) {
+  if (isPublicRoute(req)) {
+    return next();
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Access token tidak ditemukan'
+    });
+  }
+
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    req.user = {
+      id: parseInt(payload.sub, 10),
+      email: payload.email,
+      name: payload.name,
+      role: payload.role || 'customer',
+      restaurantId: payload.restaurantId || null
+    };
+    req.tokenExpiresAt = payload.exp ? payload.exp * 1000 : null;
+    next();
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      message: 'Access token tidak valid atau kedaluwarsa',
+      error: error.message
+    });
+  }
+}
+
+// Caller identity forwarded to downstream services (never taken from client headers), with
+// the internal token that makes services trust it (see identity/). Anonymous requests to
+// public routes get neither, so services do not mistake them for internal calls
+function identityHeaders(req) {
+  if (!req.user) {
+    return {};
+  }
+  return {
+    ...internalHeaders(),
+    'X-User-Id': String(req.user.id),
+    'X-User-Email': req.user.email,
+    'X-User-Role': req.user.role,
+    ...(req.user.restaurantId && { 'X-User-Restaurant-Id': String(req.user.restaurantId) })
+  };
+}
+
+// Role requirements checked before proxying (path relative to /api, first match wins).
+// Services still enforce ownership, e.g. which orders a customer or staff member may see.
+const ROUTE_POLICIES = [
+  { methods: ['GET', 'POST'], path: /^\/users\/?$/, roles: ['admin'] },
+  { methods: ['DELETE'], path: /^\/users\/[^/]+$/, roles: ['admin'] },
+  { methods: ['POST'], path: /^\/restaurants\/?$/, roles: ['admin'] },
+  { methods: ['DELETE'], path: /^\/restaurants\/[^/]+$/, roles: ['admin'] },
+  { methods: ['POST', 'PUT', 'DELETE'], path: /^\/restaurants\//, roles: ['admin', 'restaurant_staff'] },
+  { methods: ['POST'], path: /^\/orders\/?$/, roles: ['admin', 'customer'] },
+  { methods: ['DELETE'], path: /^\/orders\/[^/]+$/, roles: ['admin'] },
+  { methods: ['POST'], path: /^\/orders\/[^/]+\/accept$/, roles: ['admin', 'restaurant_staff'] },
+  { methods: ['POST'], path: /^\/orders\/[^/]+\/(dispatch|deliver)$/, roles: ['admin', 'courier'] },
+  { methods: ['POST'], path: /^\/orders\/[^/]+\/cancel$/, roles: ['admin', 'customer', 'restaurant_staff'] },
+  { methods: ['GET', 'POST', 'PATCH', 'DELETE'], path: /^\/webhooks(\/|$)/, roles: ['admin', 'restaurant_staff'] },
+  { methods: ['GET'], path: /^\/couriers\/?$/, roles: ['admin'] },
+  { methods: ['GET', 'PATCH'], path: /^\/couriers\//, roles: ['admin', 'courier'] }
+];
+
+// Consistent 403 response, same shape as the downstream services
+function forbidden(res, reason) {
+  return res.status(403).json({
+    success: false,
+    code: 'FORBIDDEN',
+    message: 'Akses ditolak',
+    reason
+  });
+}
+
+// Services route case-insensitively and ignore a trailing slash, so policies are matched
+// against the forwarded path (req.apiPath, see requireNormalizedPath) in that form;
+// otherwise '/users/1/' would slip past '/users/[^/]+$'
+function policyPath(path) {
+  return path.toLowerCase().replace(/\/+$/, '') || '/';
+}
+
+function authorize(req, res, next) {
+  if (!req.user) {
+    return next();
+  }
+
+  const path = policyPath(req.apiPath);
+  const policy = ROUTE_POLICIES.find(rule => rule.methods.includes(req.method) && rule.path.test(path));
+  if (policy && !policy.roles.includes(req.user.role)) {
+    return forbidden(res, `Role ${req.user.role} tidak diizinkan mengakses ${req.method} /api${req.apiPath}`);
+  }
+  next();
+}
+
+// Fixed-window request counters kept in this process. Another store (e.g. Redis, to share
+// limits between gateway instances) only has to provide the same async increment method
+function createMemoryRateLimitStore() {
+  const windows = new Map();
+
+  // Drop expired windows so the map does not grow with every client ever seen
+  setInterval(() => {
+    const now = Date.now();
+    windows.forEach((window, key) => {
+      if (window.resetAt <= now) {
+        windows.delete(key);
+      }
+    });
+  }, RATE_LIMIT_WINDOW_MS).unref();
+
+  return {
+    // Count one request for key; resolves to the count in the current window and when it resets
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count++;
+      return { count: window.count, resetAt: window.resetAt };
+    }
+  };
+}
+
+const rateLimitStore = createMemoryRateLimitStore();
+
+// Limit requests per user (when authenticated, so limits follow the account across IPs)
+// or per client IP, with separate read and write buckets
+async function rateLimit(req, res, next) {
+  const bucket = ['GET', 'HEAD'].includes(req.method) ? 'read' : 'write';
+  const limit = RATE_LIMITS[bucket];
+  const client = req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+
+  let usage;
+  try {
+    usage = await rateLimitStore.increment(`${bucket}:${client}`, RATE_LIMIT_WINDOW_MS);
+  } catch (error) {
+    // Never take the API down because the limiter's store is unavailable
+    console.error('Rate limit store error:', error.message);
+    return next();
+  }
+
+  const resetSeconds = Math.max(Math.ceil((usage.resetAt - Date.now()) / 1000), 1);
+  res.set({
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(Math.max(limit - usage.count, 0)),
+    'RateLimit-Reset': String(resetSeconds),
+    'RateLimit-Policy': `${limit};w=${Math.round(RATE_LIMIT_WINDOW_MS / 1000)}`
+  });
+
+  if (usage.count > limit) {
+    res.set('Retry-After', String(resetSeconds));
+    return res.status(429).json({
+      success: false,
+      code: 'RATE_LIMITED',
+      message: 'Terlalu banyak request, coba lagi nanti',
+      retryAfter: resetSeconds
+    });
+  }
+  next();
+}
+
+app.use('/api', requireNormalizedPath, authenticate, rateLimit, authorize);
+
+// URL and circuit breaker state of a downstream service, as reported by /health
+function serviceStatus(service) {
+  const { state, failures, openedAt } = service.circuit;
+  return {
+    url: service.url,
+    circuit: {
+      state: state === 'open' && Date.now() - openedAt >= CIRCUIT_RESET_MS ? 'half_open' : state,
+      consecutiveFailures: failures,
+      openedAt: openedAt ? new Date(openedAt).toISOString() : null
+    }
+  };
+}
+
+const startedAt = Date.now();
+
+// Call a service's /ready endpoint directly, bypassing retries and the circuit breaker,
+// so the result reflects the service's current state
+async function probeService(service) {
+  const started = Date.now();
+  try {
+    const response = await axios.get(`${service.url}/ready`, { timeout: HEALTH_CHECK_TIMEOUT_MS });
+    return { status: 'up', latencyMs: Date.now() - started, checks: response.data.checks };
+  } catch (error) {
+    return {
+      status: 'down',
+      latencyMs: Date.now() - started,
+      error: error.response ? `HTTP ${error.response.status}` : error.message,
+      ...(error.response?.data?.checks && { checks: error.response.data.checks })
+    };
+  }
+}
+
+// Probe all services in parallel; status is ok (all up), degraded (some up) or down (none up)
+async function checkServices() {
+  const results = await Promise.all(Object.entries(SERVICES).map(async ([key, service]) => {
+    const probe = await probeService(service);
+    return [`${key}Service`, { ...probe, ...serviceStatus(service) }];
+  }));
+  const services = Object.fromEntries(results);
+  const upCount = results.filter(([, result]) => result.status === 'up').length;
+  const status = upCount === results.length ? 'ok' : upCount > 0 ? 'degraded' : 'down';
+  return { status, services };
+}
+
+// Health Check
+app.get('/health', async (req, res) => {
+  const { status, services } = await checkServices();
+  res.status(status === 'ok' ? 200 : 503).json({
+    success: status === 'ok',
+    status,
+    service: 'api-gateway',
+    uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+    timestamp: new Date().toISOString(),
+    services
+  });
+});
+
+app.get('/ready', async (req, res) => {
+  const { status, services } = await checkServices();
+  const ready = status === 'ok';
+  res.status(ready ? 200 : 503).json({
+    success: ready,
+    status: ready ? 'ready' : 'not_ready',
+    service: 'api-gateway',
+    services: Object.fromEntries(Object.entries(services).map(([name, result]) => [name, result.status])),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Request headers never passed downstream: hop-by-hop headers, the client's credentials
+// (services trust the identity headers instead) and any client-supplied identity headers
+// or internal token
+const STRIPPED_REQUEST_HEADERS = /^(host|connection|keep-alive|transfer-encoding|content-length|authorization|cookie|x-user-.*|x-internal-token)$/i;
+
+function forwardedHeaders(req) {
+  const headers = {};
+  Object.entries(req.headers).forEach(([name, value]) => {
+    if (!STRIPPED_REQUEST_HEADERS.test(name)) {
+      headers[name] = value;
+    }
+  });
+  return { ...headers, ...identityHeaders(req) };
+}
+
+// Path and query string requested from the service: the path the gateway checked
+// (req.apiPath), so the service runs exactly the route that was authorized, and the
+// client's query string
+function upstreamPath(req) {
+  const queryStart = req.originalUrl.indexOf('?');
+  return req.apiPath + (queryStart === -1 ? '' : req.originalUrl.slice(queryStart));
+}
+
+// Proxy the request to a service and relay its response as-is
+function proxyTo(serviceKey) {
+  return async (req, res) => {
+    try {
+      const response = await callService(serviceKey, req.method.toLowerCase(), upstreamPath(req), {
+        data: ['GET', 'HEAD'].includes(req.method) ? undefined : req.body,
+        headers: forwardedHeaders(req)
+      });
+      relayResponse(res, response);
+    } catch (error) {
+      sendError(res, error, `Error calling ${SERVICES[serviceKey].name}`);
+    }
+  };
+}
+
+// Longest delay setTimeout accepts
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Pipe a service's event stream to the client; error responses are piped through as well.
+// The stream ends when the access token expires, so the client has to reconnect with a
+// fresh token and its access is checked again
+function streamFrom(serviceKey) {
+  return async (req, res) => {
+    const service = SERVICES[serviceKey];
+    if (!acquireCircuit(service.circuit)) {
+      return sendError(res, circuitOpenError(service));
+    }
+
+    // Closing the client connection closes the one to the service
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    let response;
+    try {
+      response = await axios.get(`${service.url}${upstreamPath(req)}`, {
+        headers: forwardedHeaders(req),
+        responseType: 'stream',
+        signal: controller.signal,
+        validateStatus: () => true
+      });
+      recordCircuitResult(service, !isServiceFailure(response.status));
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return;
+      }
+      recordCircuitResult(service, false);
+      return sendError(res, gatewayError(503, `${service.name} tidak dapat dihubungi`, { error: error.message }));
+    }
+
+    Object.entries(response.headers).forEach(([name, value]) => {
+      if (!STRIPPED_RESPONSE_HEADERS.test(name)) {
+        res.set(name, value);
+      }
+    });
+    res.status(response.status);
+    response.data.on('error', () => res.end());
+    response.data.pipe(res);
+
+    if (req.tokenExpiresAt) {
+      const expiry = setTimeout(() => res.end(), Math.min(Math.max(req.tokenExpiresAt - Date.now(), 0), MAX_TIMER_MS));
+      res.on('close', () => clearTimeout(expiry));
+    }
+  };
+}
+
+app.use('/api', (req, res, next) => {
+  const route = req.method === 'GET' && STREAM_ROUTES.find(candidate => candidate.path.test(req.apiPath));
+  return route ? streamFrom(route.service)(req, res) : next();
+});
+
+PROXY_ROUTES.forEach(route => {
+  app.use(`/api${route.prefix}`, proxyTo(route.service));
+});
+
+app.use('/api', (req, res) => {
+  res.status(404).json({
+    success: false,
+    message: 'Endpoint tidak ditemukan'
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`API Gateway running on http://localhost:${PORT}`);
+  console.log(`Swagger UI available at http://localhost:${PORT}/api-docs`);
+  console.log(`Connected to services:`);
+  Object.values(SERVICES).forEach(service => {
+    console.log(`  - ${service.name}: ${service.url}`);
+  });
 });
\ No newline at end of file
@@ -0,0 +1,123 @@
+const { poller, OutboxRepository } = require('../eventbus');
+const { CouriersRepository, DeliveriesRepository } = require('./repositories');
+
+// Courier assignment. A delivery goes to a free courier (on duty and without an active
+// delivery) picked by the strategy in DELIVERY_ASSIGNMENT_STRATEGY:
+//
+//   nearest       the courier closest to the drop-off point, by straight-line distance from
+//                 their last reported location. Used only when the drop-off address has
+//                 coordinates and at least one free courier has a location; otherwise the
+//                 delivery falls back to round-robin
+//   round-robin   the courier who has gone longest without an assignment
+//
+// Deliveries that find no free courier stay unassigned and are retried every
+// DELIVERY_ASSIGNMENT_INTERVAL_MS. Another strategy is added as an entry in STRATEGIES.
+// Every assignment publishes DeliveryAssigned (through the outbox, see eventbus/), which
+// Order Service uses to let only the assigned courier handle the order.
+
+const ASSIGNMENT_INTERVAL_MS = parseInt(process.env.DELIVERY_ASSIGNMENT_INTERVAL_MS, 10) || 5000;
+const BATCH_SIZE = 20;
+const EARTH_RADIUS_KM = 6371;
+
+// Great-circle distance between two { latitude, longitude } points
+function distanceKm(from, to) {
+  const radians = degrees => degrees * Math.PI / 180;
+  const dLatitude = radians(to.latitude - from.latitude);
+  const dLongitude = radians(to.longitude - from.longitude);
+  const a = Math.sin(dLatitude / 2) ** 2 +
+    Math.cos(radians(from.latitude)) * Math.cos(radians(to.latitude)) * Math.sin(dLongitude / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// Each strategy ranks the free couriers (from CouriersRepository.listFree(), longest without
+// an assignment first) for a delivery, as [{ courier, distanceKm }] best first, or returns
+// null when it cannot rank them
+const STRATEGIES = {
+  nearest(couriers, delivery) {
+    const { dropoff } = delivery;
+    const located = couriers.filter(courier => courier.latitude !== null && courier.longitude !== null);
+    if (dropoff.latitude === null || dropoff.longitude === null || located.length === 0) {
+      return null;
+    }
+    return located
+      .map(courier => ({ courier, distanceKm: Math.round(distanceKm(courier, dropoff) * 100) / 100 }))
+      .sort((a, b) => a.distanceKm - b.distanceKm);
+  },
+
+  'round-robin'(couriers) {
+    return couriers.map(courier => ({ courier, distanceKm: null }));
+  }
+};
+
+const ASSIGNMENT_STRATEGIES = Object.keys(STRATEGIES);
+
+// Strategy from the environment; throws for an unknown name
+function assignmentStrategy() {
+  const name = process.env.DELIVERY_ASSIGNMENT_STRATEGY || 'nearest';
+  if (!STRATEGIES[name]) {
+    throw new Error(`Unknown assignment strategy "${name}", expected one of: ${ASSIGNMENT_STRATEGIES.join(', ')}`);
+  }
+  return name;
+}
+
+// Record that the delivery now belongs to the courier, in the transaction assigning it
+function addAssignedEvent(tx, delivery, { courierId, strategy }) {
+  return new OutboxRepository(tx).add('DeliveryAssigned', delivery.id, {
+    deliveryId: delivery.id,
+    orderId: delivery.orderId,
+    courierId,
+    strategy
+  });
+}
+
+// Assign a courier to the delivery if it is still unassigned. Resolves to
+//
+//   { result: 'assigned', delivery }   with the assigned delivery
+//   { result: 'no_courier_available' } when no courier is free to take it
+//   { result: 'not_waiting' }          when the delivery is gone or no longer unassigned
+function assignCourier(database, deliveryId, strategy) {
+  return database.transaction(async (tx) => {
+    const couriers = new CouriersRepository(tx);
+    const deliveries = new DeliveriesRepository(tx);
+    const delivery = await deliveries.findById(deliveryId);
+    if (!delivery || delivery.status !== 'unassigned') {
+      return { result: 'not_waiting' };
+    }
+
+    const free = await couriers.listFree();
+    let used = strategy;
+    let candidates = STRATEGIES[strategy](free, delivery);
+    if (!candidates) {
+      used = 'round-robin';
+      candidates = STRATEGIES[used](free, delivery);
+    }
+
+    // A courier claimed by a concurrent assignment is skipped for the next best
+    for (const { courier, distanceKm } of candidates) {
+      if (await couriers.claim(courier.userId, delivery.id)) {
+        await deliveries.assign(delivery.id, { courier, strategy: used, distanceKm });
+        await addAssignedEvent(tx, delivery, { courierId: courier.userId, strategy: used });
+        return { result: 'assigned', delivery: await deliveries.findById(delivery.id) };
+      }
+    }
+    return { result: 'no_courier_available' };
+  });
+}
+
+// Keep assigning waiting deliveries, oldest first, as couriers become free. Call once the
+// delivery tables exist; returns an object with stop()
+function startAssignmentWorker({ database, strategy }) {
+  const deliveries = new DeliveriesRepository(database);
+  return poller('Courier assignment', async () => {
+    for (const delivery of await deliveries.listUnassigned(BATCH_SIZE)) {
+      // No free courier for this one means none for the rest either. A delivery assigned or
+      // cancelled since it was listed is just skipped
+      const { result } = await assignCourier(database, delivery.id, strategy);
+      if (result === 'no_courier_available') {
+        break;
+      }
+    }
+  }, ASSIGNMENT_INTERVAL_MS);
+}
+
+module.exports = { ASSIGNMENT_STRATEGIES, assignmentStrategy, addAssignedEvent, assignCourier, startAssignmentWorker };
\ No newline at end of file
@@ -0,0 +1,53 @@
+// Couriers (users with role courier that went on duty at least once) and one delivery per
+// order that reached processing. A courier has at most one active delivery, held in
+// active_delivery_id so that two assignments cannot claim the same courier
+module.exports = {
+  async up(db) {
+    const { id, timestamp } = db.types;
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS couriers (
+        user_id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        phone TEXT,
+        is_available INTEGER NOT NULL DEFAULT 0,
+        latitude DOUBLE PRECISION,
+        longitude DOUBLE PRECISION,
+        location_updated_at ${timestamp},
+        active_delivery_id INTEGER,
+        last_assigned_at ${timestamp},
+        created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+        updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS deliveries (
+        id ${id},
+        order_id INTEGER NOT NULL UNIQUE,
+        customer_id INTEGER NOT NULL,
+        restaurant_id INTEGER NOT NULL,
+        restaurant_name TEXT,
+        dropoff_address TEXT,
+        dropoff_notes TEXT,
+        dropoff_latitude DOUBLE PRECISION,
+        dropoff_longitude DOUBLE PRECISION,
+        status TEXT NOT NULL DEFAULT 'unassigned',
+        courier_id INTEGER,
+        courier_name TEXT,
+        courier_phone TEXT,
+        strategy TEXT,
+        distance_km DOUBLE PRECISION,
+        assigned_at ${timestamp},
+        picked_up_at ${timestamp},
+        delivered_at ${timestamp},
+        cancelled_at ${timestamp},
+        created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+        updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE deliveries');
+    await db.run('DROP TABLE couriers');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,21 @@
+// Delivery events waiting to be published to the event bus (transactional outbox, see eventbus/)
+module.exports = {
+  async up(db) {
+    const { id, timestamp } = db.types;
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS outbox_events (
+        id ${id},
+        event_id TEXT NOT NULL UNIQUE,
+        type TEXT NOT NULL,
+        aggregate_id TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+        published_at ${timestamp}
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE outbox_events');
+  }
+};
\ No newline at end of file
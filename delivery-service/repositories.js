@@ -0,0 +1,291 @@
+// Data access for Delivery Service. Every repository takes a storage from storage/ (any
+// driver), or the transaction handle passed to its transaction().
+
+// A courier is busy while they hold a delivery, otherwise available or offline as they chose
+function parseCourierRow(row) {
+  const isAvailable = row.is_available === 1;
+  let status = isAvailable ? 'available' : 'offline';
+  if (row.active_delivery_id !== null) {
+    status = 'busy';
+  }
+  return {
+    userId: row.user_id,
+    name: row.name,
+    phone: row.phone,
+    status,
+    isAvailable,
+    activeDeliveryId: row.active_delivery_id,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    locationUpdatedAt: row.location_updated_at,
+    lastAssignedAt: row.last_assigned_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function parseDeliveryRow(row) {
+  return {
+    id: row.id,
+    orderId: row.order_id,
+    customerId: row.customer_id,
+    restaurantId: row.restaurant_id,
+    restaurantName: row.restaurant_name,
+    dropoff: {
+      address: row.dropoff_address,
+      notes: row.dropoff_notes,
+      latitude: row.dropoff_latitude,
+      longitude: row.dropoff_longitude
+    },
+    status: row.status,
+    courier: row.courier_id === null ? null : {
+      userId: row.courier_id,
+      name: row.courier_name,
+      phone: row.courier_phone
+    },
+    strategy: row.strategy,
+    distanceKm: row.distance_km,
+    assignedAt: row.assigned_at,
+    pickedUpAt: row.picked_up_at,
+    deliveredAt: row.delivered_at,
+    cancelledAt: row.cancelled_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// WHERE conditions for the courier statuses reported by parseCourierRow
+const COURIER_STATUS_CONDITIONS = {
+  available: 'is_available = 1 AND active_delivery_id IS NULL',
+  busy: 'active_delivery_id IS NOT NULL',
+  offline: 'is_available = 0 AND active_delivery_id IS NULL'
+};
+
+class CouriersRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // One page of couriers, optionally with one status; resolves to { couriers, total }
+  async list({ status, limit, offset }) {
+    const where = status ? ` WHERE ${COURIER_STATUS_CONDITIONS[status]}` : '';
+    const count = await this.db.get(`SELECT COUNT(*) as total FROM couriers${where}`);
+    const rows = await this.db.all(`SELECT * FROM couriers${where} ORDER BY user_id LIMIT ? OFFSET ?`, [limit, offset]);
+    return { couriers: rows.map(parseCourierRow), total: count.total };
+  }
+
+  // Couriers that can take a delivery now, the longest without an assignment first
+  async listFree() {
+    const rows = await this.db.all(
+      `SELECT * FROM couriers WHERE ${COURIER_STATUS_CONDITIONS.available}
+       ORDER BY last_assigned_at IS NOT NULL, last_assigned_at, user_id`
+    );
+    return rows.map(parseCourierRow);
+  }
+
+  // Courier profile of a user, or null
+  async findById(userId) {
+    const row = await this.db.get('SELECT * FROM couriers WHERE user_id = ?', [userId]);
+    return row ? parseCourierRow(row) : null;
+  }
+
+  // Create the profile of a user (offline) unless it exists
+  register(userId, { name, phone }) {
+    return this.db.run(
+      'INSERT INTO couriers (user_id, name, phone) VALUES (?, ?, ?) ON CONFLICT (user_id) DO NOTHING',
+      [userId, name, phone]
+    );
+  }
+
+  updateContact(userId, { name, phone }) {
+    return this.db.run(
+      'UPDATE couriers SET name = ?, phone = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ?',
+      [name, phone, userId]
+    );
+  }
+
+  setAvailability(userId, isAvailable) {
+    return this.db.run(
+      'UPDATE couriers SET is_available = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ?',
+      [Number(isAvailable), userId]
+    );
+  }
+
+  updateLocation(userId, { latitude, longitude }) {
+    return this.db.run(
+      `UPDATE couriers SET
+         latitude = ?,
+         longitude = ?,
+         location_updated_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = ?`,
+      [latitude, longitude, userId]
+    );
+  }
+
+  // Make the delivery the courier's active one. Resolves to false when the courier already
+  // has one, e.g. because a concurrent assignment claimed them first
+  async claim(userId, deliveryId) {
+    const { changes } = await this.db.run(
+      `UPDATE couriers SET
+         active_delivery_id = ?,
+         last_assigned_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND active_delivery_id IS NULL`,
+      [deliveryId, userId]
+    );
+    return changes > 0;
+  }
+
+  // Free the courier of the delivery, if it is still their active one
+  release(userId, deliveryId) {
+    return this.db.run(
+      'UPDATE couriers SET active_delivery_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND active_delivery_id = ?',
+      [userId, deliveryId]
+    );
+  }
+
+  delete(userId) {
+    return this.db.run('DELETE FROM couriers WHERE user_id = ?', [userId]);
+  }
+}
+
+// Filters accepted by DeliveriesRepository.list(), and their column
+const DELIVERY_FILTER_COLUMNS = {
+  orderId: 'order_id',
+  customerId: 'customer_id',
+  restaurantId: 'restaurant_id',
+  courierId: 'courier_id',
+  status: 'status'
+};
+
+// Statuses after which a delivery no longer changes
+const FINAL_DELIVERY_STATUSES = "('delivered', 'cancelled')";
+
+class DeliveriesRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // One page of deliveries matching the filters (see DELIVERY_FILTER_COLUMNS), newest first;
+  // resolves to { deliveries, total }
+  async list({ limit, offset, ...filters }) {
+    const entries = Object.entries(filters).filter(([, value]) => value !== undefined);
+    const where = entries.length > 0
+      ? ` WHERE ${entries.map(([name]) => `${DELIVERY_FILTER_COLUMNS[name]} = ?`).join(' AND ')}`
+      : '';
+    const params = entries.map(([, value]) => value);
+    const count = await this.db.get(`SELECT COUNT(*) as total FROM deliveries${where}`, params);
+    const rows = await this.db.all(
+      `SELECT * FROM deliveries${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return { deliveries: rows.map(parseDeliveryRow), total: count.total };
+  }
+
+  async findById(id) {
+    const row = await this.db.get('SELECT * FROM deliveries WHERE id = ?', [id]);
+    return row ? parseDeliveryRow(row) : null;
+  }
+
+  async findByOrderId(orderId) {
+    const row = await this.db.get('SELECT * FROM deliveries WHERE order_id = ?', [orderId]);
+    return row ? parseDeliveryRow(row) : null;
+  }
+
+  // Unassigned delivery for an order as sent in order events, unless the order has one;
+  // resolves to the order's delivery
+  async createForOrder(order) {
+    const existing = await this.findByOrderId(order.id);
+    if (existing) {
+      return existing;
+    }
+    const dropoff = order.deliveryAddress || { address: order.customerAddress };
+    await this.db.run(
+      `INSERT INTO deliveries (order_id, customer_id, restaurant_id, restaurant_name, dropoff_address, dropoff_notes, dropoff_latitude, dropoff_longitude)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (order_id) DO NOTHING`,
+      [
+        order.id,
+        order.userId,
+        order.restaurantId,
+        order.restaurantName,
+        dropoff.address ?? null,
+        dropoff.notes ?? null,
+        dropoff.latitude ?? null,
+        dropoff.longitude ?? null
+      ]
+    );
+    return this.findByOrderId(order.id);
+  }
+
+  // Oldest deliveries still waiting for a courier
+  async listUnassigned(limit) {
+    const rows = await this.db.all("SELECT * FROM deliveries WHERE status = 'unassigned' ORDER BY id LIMIT ?", [limit]);
+    return rows.map(parseDeliveryRow);
+  }
+
+  // Give an unassigned delivery to the courier, now unless at is given; resolves to false when
+  // it is no longer unassigned
+  async assign(id, { courier, strategy, distanceKm = null, at = null }) {
+    const { changes } = await this.db.run(
+      `UPDATE deliveries SET
+         status = 'assigned',
+         courier_id = ?,
+         courier_name = ?,
+         courier_phone = ?,
+         strategy = ?,
+         distance_km = ?,
+         assigned_at = COALESCE(?, CURRENT_TIMESTAMP),
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'unassigned'`,
+      [courier.userId, courier.name, courier.phone, strategy, distanceKm, at, id]
+    );
+    return changes > 0;
+  }
+
+  // Move an assigned delivery to another courier who picked the order up instead (strategy
+  // manual); resolves to false when it is no longer assigned
+  async reassign(id, { courier, at = null }) {
+    const { changes } = await this.db.run(
+      `UPDATE deliveries SET
+         courier_id = ?,
+         courier_name = ?,
+         courier_phone = ?,
+         strategy = 'manual',
+         distance_km = NULL,
+         assigned_at = COALESCE(?, CURRENT_TIMESTAMP),
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'assigned'`,
+      [courier.userId, courier.name, courier.phone, at, id]
+    );
+    return changes > 0;
+  }
+
+  // at is when the order went on_delivery ('YYYY-MM-DD HH:MM:SS' UTC)
+  markPickedUp(id, at) {
+    return this.db.run(
+      `UPDATE deliveries SET status = 'picked_up', picked_up_at = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status IN ('unassigned', 'assigned')`,
+      [at, id]
+    );
+  }
+
+  markDelivered(id, at) {
+    return this.db.run(
+      `UPDATE deliveries SET status = 'delivered', delivered_at = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status NOT IN ${FINAL_DELIVERY_STATUSES}`,
+      [at, id]
+    );
+  }
+
+  markCancelled(id, at) {
+    return this.db.run(
+      `UPDATE deliveries SET status = 'cancelled', cancelled_at = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status NOT IN ${FINAL_DELIVERY_STATUSES}`,
+      [at, id]
+    );
+  }
+}
+
+module.exports = { CouriersRepository, DeliveriesRepository };
\ No newline at end of file
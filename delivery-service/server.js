@@ -0,0 +1,665 @@
+require('dotenv').config();
+const express = require('express');
+const cors = require('cors');
+const axios = require('axios');
+const swaggerUi = require('swagger-ui-express');
+const { migrateUp } = require('./migrate');
+const { openStorage, storageConfig } = require('../storage');
+const { createRequestValidator } = require('../validation');
+const { internalHeaders, requireInternalToken } = require('../identity');
+const { openEventBus } = require('../eventbus');
+const { CouriersRepository, DeliveriesRepository } = require('./repositories');
+const { assignmentStrategy, addAssignedEvent, assignCourier, startAssignmentWorker } = require('./assignment');
+
+const app = express();
+const PORT = process.env.PORT || 3005;
+const USER_SERVICE_URL = process.env.USER_SERVICE_URL || 'http://localhost:3001';
+const USER_SERVICE_TIMEOUT_MS = parseInt(process.env.USER_SERVICE_TIMEOUT_MS, 10) || 3000;
+
+const COURIER_STATUSES = ['available', 'busy', 'offline'];
+const DELIVERY_STATUSES = ['unassigned', 'assigned', 'picked_up', 'delivered', 'cancelled'];
+
+app.use(cors());
+app.use(express.json());
+
+// Open the database selected by DB_DRIVER (sqlite by default, memory or postgres), see storage/
+let database;
+let strategy;
+try {
+  database = openStorage(storageConfig('', './database/deliveries.db'));
+  strategy = assignmentStrategy();
+} catch (err) {
+  console.error('Error starting Delivery Service:', err.message);
+  process.exit(1);
+}
+console.log('Using database:', database.description);
+const couriersRepository = new CouriersRepository(database);
+const deliveriesRepository = new DeliveriesRepository(database);
+
+// Order and user events arrive from the event bus (see eventbus/), and DeliveryAssigned is
+// written to the outbox and relayed to it; the consumers, the relay and the assignment
+// worker start once the tables exist
+const eventBus = openEventBus();
+let assignmentWorker;
+
+// Bring the schema up to date (see migrate.js). The service does not start on a database
+// whose migrations failed
+function initializeDatabase() {
+  migrateUp(database)
+    .then((applied) => {
+      console.log(applied.length > 0
+        ? `Applied ${applied.length} migration(s): ${applied.map(migration => migration.id).join(', ')}`
+        : 'Database schema up to date');
+      eventBus.relayOutbox('delivery-service', database);
+      subscribeToEvents();
+      assignmentWorker = startAssignmentWorker({ database, strategy });
+    })
+    .catch((err) => {
+      console.error('Error migrating database:', err.message);
+      process.exit(1);
+    });
+}
+
+initializeDatabase();
+
+const USER_ID_PARAMETER = {
+  name: 'userId',
+  in: 'path',
+  required: true,
+  schema: { type: 'integer', minimum: 1 }
+};
+
+const PAGINATION_PARAMETERS = [
+  {
+    name: 'page',
+    in: 'query',
+    schema: { type: 'integer', minimum: 1, default: 1 }
+  },
+  {
+    name: 'limit',
+    in: 'query',
+    schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+  }
+];
+
+// Swagger Documentation
+const swaggerDocument = {
+  openapi: '3.0.0',
+  info: {
+    title: 'Delivery Service API',
+    version: '1.0.0',
+    description: 'Kurir, ketersediaan dan lokasinya, serta pengantaran pesanan: kurir ditugaskan otomatis saat pesanan diproses restoran'
+  },
+  servers: [
+    { url: `http://localhost:${PORT}`, description: 'Delivery Service' }
+  ],
+  paths: {
+    '/health': {
+      get: {
+        summary: 'Liveness check',
+        responses: {
+          '200': {
+            description: 'Service berjalan'
+          }
+        }
+      }
+    },
+    '/ready': {
+      get: {
+        summary: 'Readiness check (koneksi database)',
+        responses: {
+          '200': {
+            description: 'Service siap menerima request'
+          },
+          '503': {
+            description: 'Database tidak dapat diakses'
+          }
+        }
+      }
+    },
+    '/couriers': {
+      get: {
+        summary: 'Daftar kurir beserta status dan lokasi terakhir (admin)',
+        parameters: [
+          {
+            name: 'status',
+            in: 'query',
+            schema: { type: 'string', enum: COURIER_STATUSES },
+            description: 'available: siap menerima pengantaran, busy: sedang mengantar, offline: tidak bertugas'
+          },
+          ...PAGINATION_PARAMETERS
+        ],
+        responses: {
+          '200': {
+            description: 'Daftar kurir beserta pagination (page, limit, total, totalPages)'
+          },
+          '403': {
+            description: 'Hanya admin'
+          }
+        }
+      }
+    },
+    '/couriers/{userId}': {
+      get: {
+        summary: 'Status dan lokasi kurir (kurir itu sendiri atau admin)',
+        parameters: [USER_ID_PARAMETER],
+        responses: {
+          '200': {
+            description: 'Data kurir'
+          },
+          '404': {
+            description: 'Kurir belum pernah bertugas'
+          }
+        }
+      },
+      patch: {
+        summary: 'Mulai/selesai bertugas dan laporkan lokasi terakhir',
+        description: 'Permintaan pertama mendaftarkan user dengan role courier sebagai kurir',
+        parameters: [USER_ID_PARAMETER],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                minProperties: 1,
+                additionalProperties: false,
+                properties: {
+                  isAvailable: { type: 'boolean', example: true, description: 'true: siap menerima pengantaran baru' },
+                  latitude: { type: 'number', minimum: -90, maximum: 90, example: -6.2088 },
+                  longitude: { type: 'number', minimum: -180, maximum: 180, example: 106.8456, description: 'Diisi bersama latitude' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Data kurir berhasil diupdate'
+          },
+          '400': {
+            description: 'Data tidak valid, atau hanya salah satu dari latitude/longitude yang diisi'
+          },
+          '403': {
+            description: 'Hanya kurir itu sendiri atau admin'
+          },
+          '404': {
+            description: 'User tidak ditemukan'
+          },
+          '422': {
+            description: 'User bukan kurir'
+          },
+          '503': {
+            description: 'User Service tidak dapat dihubungi'
+          }
+        }
+      }
+    },
+    '/deliveries': {
+      get: {
+        summary: 'Daftar pengantaran, terbaru lebih dulu (customer: pesanan sendiri, staff: restorannya, kurir: yang ditugaskan kepadanya)',
+        parameters: [
+          {
+            name: 'orderId',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1 }
+          },
+          {
+            name: 'status',
+            in: 'query',
+            schema: { type: 'string', enum: DELIVERY_STATUSES }
+          },
+          {
+            name: 'courierId',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1 }
+          },
+          {
+            name: 'customerId',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1 }
+          },
+          {
+            name: 'restaurantId',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1 }
+          },
+          ...PAGINATION_PARAMETERS
+        ],
+        responses: {
+          '200': {
+            description: 'Pengantaran dengan kurir, alamat tujuan dan waktu penugasan, pengambilan dan pengantaran'
+          },
+          '403': {
+            description: 'Meminta pengantaran milik user, restoran atau kurir lain'
+          }
+        }
+      }
+    },
+    '/deliveries/{id}': {
+      get: {
+        summary: 'Detail pengantaran',
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer', minimum: 1 }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Detail pengantaran'
+          },
+          '404': {
+            description: 'Pengantaran tidak ditemukan'
+          }
+        }
+      }
+    }
+  }
+};
+
+app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument));
+
+// ===== REQUEST VALIDATION =====
+// Requests are checked against the schemas in swaggerDocument, see validation/
+app.use(createRequestValidator(swaggerDocument));
+
+const startedAt = Date.now();
+
+// ===== HEALTH ROUTES =====
+// Liveness: the process is up and serving requests
+app.get('/health', (req, res) => {
+  res.json({
+    success: true,
+    status: 'ok',
+    service: 'delivery-service',
+    uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Readiness: the database answers queries and the deliveries table has been created
+app.get('/ready', async (req, res) => {
+  const started = Date.now();
+  let check;
+  try {
+    await database.get('SELECT 1 FROM deliveries LIMIT 1');
+    check = { status: 'up', latencyMs: Date.now() - started };
+  } catch (err) {
+    check = { status: 'down', error: err.message };
+  }
+  const ready = check.status === 'up';
+  res.status(ready ? 200 : 503).json({
+    success: ready,
+    status: ready ? 'ready' : 'not_ready',
+    service: 'delivery-service',
+    checks: { database: check },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Only the API Gateway and other services may call this service (see identity/)
+app.use(requireInternalToken());
+
+// Caller identity forwarded by the API Gateway; null for internal service-to-service calls
+function getCaller(req) {
+  const userId = req.get('X-User-Id');
+  if (!userId) {
+    return null;
+  }
+  const restaurantId = req.get('X-User-Restaurant-Id');
+  return {
+    id: parseInt(userId, 10),
+    role: req.get('X-User-Role') || 'customer',
+    restaurantId: restaurantId ? parseInt(restaurantId, 10) : null
+  };
+}
+
+// Admins may manage any courier, couriers only themselves
+function canAccessCourier(caller, userId) {
+  return !caller || caller.role === 'admin' || caller.id === parseInt(userId, 10);
+}
+
+// Consistent 403 response, same shape as the API Gateway and other services
+function forbidden(res, reason) {
+  return res.status(403).json({
+    success: false,
+    code: 'FORBIDDEN',
+    message: 'Akses ditolak',
+    reason
+  });
+}
+
+// Create an error carrying the HTTP status and extra response fields
+function httpError(status, message, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.extra = extra;
+  return error;
+}
+
+// Express 4 does not catch rejected promises; pass them on to the error handler
+function asyncHandler(handler) {
+  return (req, res, next) => handler(req, res, next).catch(next);
+}
+
+// UTC 'YYYY-MM-DD HH:MM:SS', the form timestamps are stored in
+function toSqlTimestamp(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Name, phone and role of a user from User Service, or null for users that do not exist
+async function fetchUser(userId) {
+  try {
+    const response = await axios.get(`${USER_SERVICE_URL}/users/${userId}`, { headers: internalHeaders(), timeout: USER_SERVICE_TIMEOUT_MS });
+    return response.data.data;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// ===== EVENT HANDLING =====
+// Deliveries follow the order status. The restaurant accepting an order (processing) creates
+// its delivery and assigns a courier; on_delivery records the pickup and delivered the
+// drop-off, both at the time of the status change. An order cancelled before it was delivered
+// cancels its delivery. Either way the courier is free again.
+
+// Courier user id of an order event actor such as 'courier:5', or null
+function courierOf(actor) {
+  const match = /^courier:(\d+)$/.exec(actor || '');
+  return match ? parseInt(match[1], 10) : null;
+}
+
+async function handleOrderStatusChanged(event) {
+  const { orderId, toStatus, actor, order } = event.data;
+  const at = toSqlTimestamp(new Date(event.occurredAt));
+
+  if (toStatus === 'cancelled') {
+    const delivery = await deliveriesRepository.findByOrderId(orderId);
+    if (delivery) {
+      await database.transaction(async (tx) => {
+        await new DeliveriesRepository(tx).markCancelled(delivery.id, at);
+        if (delivery.courier) {
+          await new CouriersRepository(tx).release(delivery.courier.userId, delivery.id);
+        }
+      });
+    }
+    return;
+  }
+  if (!['processing', 'on_delivery', 'delivered'].includes(toStatus)) {
+    return;
+  }
+
+  // Orders accepted before the service ran get their delivery with the first later event
+  const delivery = await deliveriesRepository.createForOrder(order);
+  if (toStatus === 'processing') {
+    await assignCourier(database, delivery.id, strategy);
+    return;
+  }
+
+  await database.transaction(async (tx) => {
+    const deliveries = new DeliveriesRepository(tx);
+    const couriers = new CouriersRepository(tx);
+    const current = await deliveries.findById(delivery.id);
+    if (toStatus === 'on_delivery') {
+      // The courier who picks up the order delivers it: they take a delivery nobody was
+      // assigned to, or one assigned to another courier, who is freed of it
+      const courierId = courierOf(actor);
+      const assignedId = current.courier && current.courier.userId;
+      if (courierId && courierId !== assignedId && ['unassigned', 'assigned'].includes(current.status)) {
+        const courier = await couriers.findById(courierId);
+        const snapshot = courier || { userId: courierId, name: null, phone: null };
+        if (current.status === 'unassigned') {
+          await deliveries.assign(current.id, { courier: snapshot, strategy: 'manual', at });
+        } else {
+          console.warn(`Order ${orderId} was assigned to courier ${assignedId} but picked up by courier ${courierId}, reassigning delivery ${current.id}`);
+          await couriers.release(assignedId, current.id);
+          await deliveries.reassign(current.id, { courier: snapshot, at });
+        }
+        await addAssignedEvent(tx, current, { courierId, strategy: 'manual' });
+        // The pickup already happened, so the delivery stays theirs even when they are
+        // still busy with another one
+        if (courier && !(await couriers.claim(courierId, current.id))) {
+          console.warn(`Courier ${courierId} picked up order ${orderId} while still busy with delivery ${courier.activeDeliveryId}`);
+        }
+      }
+      await deliveries.markPickedUp(current.id, at);
+    } else {
+      await deliveries.markDelivered(current.id, at);
+      if (current.courier) {
+        await couriers.release(current.courier.userId, current.id);
+      }
+    }
+  });
+}
+
+function subscribeToEvents() {
+  eventBus.subscribe('delivery-service.orders', ['OrderStatusChanged'], handleOrderStatusChanged);
+
+  // Courier profiles keep the name and phone shown on deliveries up to date, and end when
+  // the user is deleted or no longer a courier. Past deliveries keep their snapshot
+  eventBus.subscribe('delivery-service.users', ['UserUpdated', 'UserDeleted'], async (event) => {
+    const { userId, user } = event.data;
+    if (event.type === 'UserDeleted' || user.role !== 'courier') {
+      await couriersRepository.delete(userId);
+      return;
+    }
+    await couriersRepository.updateContact(userId, { name: user.name, phone: user.phone });
+  });
+}
+
+// ===== ROUTES =====
+const DEFAULT_PAGE_SIZE = 20;
+
+function parsePagination(query) {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+function paginated(res, data, { page, limit }, total) {
+  res.json({
+    success: true,
+    data,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+}
+
+app.get('/couriers', asyncHandler(async (req, res) => {
+  const caller = getCaller(req);
+  if (caller && caller.role !== 'admin') {
+    return forbidden(res, 'Hanya admin yang dapat melihat semua kurir');
+  }
+
+  const pagination = parsePagination(req.query);
+  const { couriers, total } = await couriersRepository.list({ status: req.query.status, ...pagination });
+  paginated(res, couriers, pagination, total);
+}));
+
+app.get('/couriers/:userId', asyncHandler(async (req, res) => {
+  if (!canAccessCourier(getCaller(req), req.params.userId)) {
+    return forbidden(res, 'Hanya dapat melihat data kurir sendiri');
+  }
+
+  const courier = await couriersRepository.findById(req.params.userId);
+  if (!courier) {
+    return res.status(404).json({
+      success: false,
+      message: 'Kurir tidak ditemukan'
+    });
+  }
+  res.json({
+    success: true,
+    data: courier
+  });
+}));
+
+// A courier going on duty for the first time is registered with their name and phone from
+// User Service. Going off duty keeps the current delivery; it only stops new assignments
+app.patch('/couriers/:userId', asyncHandler(async (req, res) => {
+  if (!canAccessCourier(getCaller(req), req.params.userId)) {
+    return forbidden(res, 'Hanya dapat mengubah data kurir sendiri');
+  }
+
+  const userId = parseInt(req.params.userId, 10);
+  const { isAvailable, latitude, longitude } = req.body;
+  if ((latitude === undefined) !== (longitude === undefined)) {
+    return res.status(400).json({
+      success: false,
+      message: 'latitude dan longitude harus diisi bersamaan'
+    });
+  }
+
+  let user = null;
+  if (!(await couriersRepository.findById(userId))) {
+    try {
+      user = await fetchUser(userId);
+    } catch (error) {
+      throw httpError(503, 'User Service tidak dapat dihubungi', { error: error.message });
+    }
+    if (!user) {
+      throw httpError(404, 'User tidak ditemukan');
+    }
+    if (user.role !== 'courier') {
+      throw httpError(422, 'User bukan kurir', { role: user.role });
+    }
+  }
+
+  const courier = await database.transaction(async (tx) => {
+    const couriers = new CouriersRepository(tx);
+    if (user) {
+      await couriers.register(userId, { name: user.name, phone: user.phone });
+    }
+    if (isAvailable !== undefined) {
+      await couriers.setAvailability(userId, isAvailable);
+    }
+    if (latitude !== undefined) {
+      await couriers.updateLocation(userId, { latitude, longitude });
+    }
+    return couriers.findById(userId);
+  });
+
+  res.json({
+    success: true,
+    data: courier
+  });
+}));
+
+// Filter each role is limited to in GET /deliveries, and the caller's value for it
+const DELIVERY_SCOPES = {
+  customer: { filter: 'customerId', value: caller => caller.id },
+  restaurant_staff: { filter: 'restaurantId', value: caller => caller.restaurantId },
+  courier: { filter: 'courierId', value: caller => caller.id }
+};
+
+// Whether the caller may see the delivery
+function canViewDelivery(caller, delivery) {
+  if (!caller || caller.role === 'admin') {
+    return true;
+  }
+  const scope = DELIVERY_SCOPES[caller.role];
+  if (!scope) {
+    return false;
+  }
+  const owner = {
+    customerId: delivery.customerId,
+    restaurantId: delivery.restaurantId,
+    courierId: delivery.courier && delivery.courier.userId
+  };
+  return owner[scope.filter] === scope.value(caller);
+}
+
+app.get('/deliveries', asyncHandler(async (req, res) => {
+  const caller = getCaller(req);
+  const filters = {};
+  ['orderId', 'courierId', 'customerId', 'restaurantId'].forEach((name) => {
+    if (req.query[name] !== undefined) {
+      filters[name] = parseInt(req.query[name], 10);
+    }
+  });
+  filters.status = req.query.status;
+
+  if (caller && caller.role !== 'admin') {
+    const scope = DELIVERY_SCOPES[caller.role];
+    if (!scope || (filters[scope.filter] !== undefined && filters[scope.filter] !== scope.value(caller))) {
+      return forbidden(res, 'Hanya dapat melihat pengantaran sendiri');
+    }
+    filters[scope.filter] = scope.value(caller);
+  }
+
+  const pagination = parsePagination(req.query);
+  const { deliveries, total } = await deliveriesRepository.list({ ...filters, limit: pagination.limit, offset: pagination.offset });
+  paginated(res, deliveries, pagination, total);
+}));
+
+app.get('/deliveries/:id', asyncHandler(async (req, res) => {
+  const delivery = await deliveriesRepository.findById(req.params.id);
+  if (!delivery) {
+    return res.status(404).json({
+      success: false,
+      message: 'Pengantaran tidak ditemukan'
+    });
+  }
+  if (!canViewDelivery(getCaller(req), delivery)) {
+    return forbidden(res, 'Pengantaran ini tidak dapat diakses');
+  }
+  res.json({
+    success: true,
+    data: delivery
+  });
+}));
+
+// Errors passed on by route handlers. httpError()s and client errors raised by Express
+// itself (such as a malformed JSON body) are answered as they are, anything else is a 500
+app.use((err, req, res, next) => {
+  if (err.extra) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.message,
+      ...err.extra
+    });
+  }
+  if (err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.message
+    });
+  }
+  console.error(`Error handling ${req.method} ${req.originalUrl}:`, err.message);
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: err.message
+  });
+});
+
+// Graceful shutdown
+process.on('SIGINT', () => {
+  if (assignmentWorker) {
+    assignmentWorker.stop();
+  }
+  eventBus.close()
+    .catch(err => console.error('Error closing event bus:', err.message))
+    .then(() => database.close())
+    .then(() => console.log('Database connection closed'))
+    .catch(err => console.error('Error closing database:', err.message))
+    .then(() => process.exit(0));
+});
+
+app.listen(PORT, () => {
+  console.log(`Delivery Service running on http://localhost:${PORT}`);
+  console.log(`Database: ${database.description}`);
+  console.log(`Event bus: ${eventBus.description}`);
+  console.log(`Assignment strategy: ${strategy}`);
+  console.log(`Swagger UI available at http://localhost:${PORT}/api-docs`);
+});
\ No newline at end of file
@@ -0,0 +1,170 @@
+const { openStorage, storageConfig } = require('../storage');
+const { OutboxRepository, startOutboxRelay } = require('./outbox');
+
+// Local stand-in for a message broker, shared by the services. Events are appended to a
+// message log in their own database (by default the SQLite file ./database/events.db, so
+// every service process on this machine sees the same log). Each named consumer keeps its
+// position in the log and moves it forward only after its handler has finished, so an event
+// is delivered at least once: a handler that fails, or a process that stops half way, gets
+// the event again. Handlers should therefore ignore an event id they have already seen.
+//
+//   const bus = openEventBus();
+//   bus.subscribe('notification-service.orders', ['OrderCreated'], async (event) => { ... });
+//
+// Events look like { id, type, source, aggregateId, occurredAt, data }. The database is
+// chosen like the services choose theirs, with the variables prefixed EVENT_BUS_
+// (EVENT_BUS_DB_DRIVER, EVENT_BUS_DB_PATH, EVENT_BUS_DATABASE_URL). With the memory driver
+// the log lives in the process, so only that process's own consumers receive its events.
+const POLL_INTERVAL_MS = parseInt(process.env.EVENT_BUS_POLL_INTERVAL_MS, 10) || 500;
+const BATCH_SIZE = 100;
+
+// Delivered messages are deleted after this long, whether or not every consumer has read them
+const RETENTION_HOURS = parseInt(process.env.EVENT_BUS_RETENTION_HOURS, 10) || 72;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+async function createSchema(db) {
+  const { id, timestamp } = db.types;
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS bus_messages (
+      id ${id},
+      event_id TEXT NOT NULL UNIQUE,
+      type TEXT NOT NULL,
+      source TEXT NOT NULL,
+      aggregate_id TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      occurred_at TEXT NOT NULL,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS bus_consumers (
+      name TEXT PRIMARY KEY,
+      position INTEGER NOT NULL,
+      updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+function toEvent(row) {
+  return {
+    id: row.event_id,
+    type: row.type,
+    source: row.source,
+    aggregateId: row.aggregate_id,
+    occurredAt: row.occurred_at,
+    data: JSON.parse(row.payload),
+    // Position in the log, increasing with every event
+    sequence: row.id
+  };
+}
+
+// Run work() every intervalMs, one run at a time, until stop() is called
+function poller(name, work, intervalMs = POLL_INTERVAL_MS) {
+  let timer = null;
+  let stopped = false;
+
+  const run = async () => {
+    try {
+      await work();
+    } catch (err) {
+      console.error(`${name} failed, retrying:`, err.message);
+    }
+    if (!stopped) {
+      timer = setTimeout(run, intervalMs);
+    }
+  };
+  timer = setTimeout(run, 0);
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    }
+  };
+}
+
+function openEventBus(config = storageConfig('EVENT_BUS_', './database/events.db')) {
+  const db = openStorage(config);
+  const ready = createSchema(db);
+  ready.catch(err => console.error('Error creating event bus tables:', err.message));
+  const pollers = [];
+
+  const purge = setInterval(() => {
+    const cutoff = new Date(Date.now() - RETENTION_HOURS * 60 * 60 * 1000).toISOString().replace('T', ' ').slice(0, 19);
+    db.run('DELETE FROM bus_messages WHERE created_at < ?', [cutoff])
+      .catch(err => console.error('Error purging event bus messages:', err.message));
+  }, PURGE_INTERVAL_MS);
+  purge.unref();
+
+  return {
+    description: db.description,
+
+    // Append an event to the log. Publishing an event id that is already there does
+    // nothing, so a publisher may safely retry
+    async publish({ id, type, source, aggregateId, occurredAt, data }) {
+      await ready;
+      await db.transaction(async (tx) => {
+        // Consumers read the log by increasing id, so ids must become visible in order. SQLite
+        // has one writer at a time; on PostgreSQL publishers take turns
+        if (tx.dialect === 'postgres') {
+          await tx.run('LOCK TABLE bus_messages IN EXCLUSIVE MODE');
+        }
+        await tx.run(
+          `INSERT INTO bus_messages (event_id, type, source, aggregate_id, payload, occurred_at)
+           VALUES (?, ?, ?, ?, ?, ?)
+           ON CONFLICT (event_id) DO NOTHING`,
+          [id, type, source, String(aggregateId), JSON.stringify(data), occurredAt]
+        );
+      });
+    },
+
+    // Call handler(event) for every event of the given types, in log order. A consumer
+    // continues where it stopped, even across restarts; a new one starts at the beginning of
+    // the log. A live consumer starts at the end of the log every time instead, for consumers
+    // that only care about what happens while they run. When the handler throws, the
+    // consumer stops and retries the same event on the next poll
+    subscribe(name, types, handler, { live = false } = {}) {
+      let position = null;
+
+      const consume = async () => {
+        await ready;
+        if (position === null && live) {
+          position = (await db.get('SELECT COALESCE(MAX(id), 0) AS id FROM bus_messages')).id;
+        } else if (position === null) {
+          await db.run('INSERT INTO bus_consumers (name, position) VALUES (?, 0) ON CONFLICT (name) DO NOTHING', [name]);
+          position = (await db.get('SELECT position FROM bus_consumers WHERE name = ?', [name])).position;
+        }
+
+        const rows = await db.all('SELECT * FROM bus_messages WHERE id > ? ORDER BY id LIMIT ?', [position, BATCH_SIZE]);
+        for (const row of rows) {
+          if (types.includes(row.type)) {
+            await handler(toEvent(row));
+          }
+          if (!live) {
+            await db.run('UPDATE bus_consumers SET position = ?, updated_at = CURRENT_TIMESTAMP WHERE name = ?', [row.id, name]);
+          }
+          position = row.id;
+        }
+      };
+
+      const consumer = poller(`Event consumer ${name}`, consume);
+      pollers.push(consumer);
+      return consumer;
+    },
+
+    // Move a service's outbox (see outbox.js) to the log; returns the relay, with stop()
+    relayOutbox(source, storage) {
+      const relay = startOutboxRelay({ bus: this, source, outbox: new OutboxRepository(storage), poller });
+      pollers.push(relay);
+      return relay;
+    },
+
+    close() {
+      pollers.forEach(item => item.stop());
+      clearInterval(purge);
+      return db.close();
+    }
+  };
+}
+
+module.exports = { openEventBus, OutboxRepository, poller };
\ No newline at end of file
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+
+// Transactional outbox. A service writes the events describing a change into its own
+// outbox_events table, in the same transaction as the change, so an event exists exactly
+// when the change was committed. A relay then copies the events to the event bus.
+
+// Published events are kept this long for troubleshooting, then deleted
+const PUBLISHED_RETENTION_HOURS = parseInt(process.env.OUTBOX_RETENTION_HOURS, 10) || 24;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 100;
+
+class OutboxRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Record an event; data is stored as JSON
+  add(type, aggregateId, data) {
+    return this.db.run(
+      'INSERT INTO outbox_events (event_id, type, aggregate_id, payload) VALUES (?, ?, ?, ?)',
+      [crypto.randomUUID(), type, String(aggregateId), JSON.stringify(data)]
+    );
+  }
+
+  listUnpublished(limit) {
+    return this.db.all('SELECT * FROM outbox_events WHERE published_at IS NULL ORDER BY id LIMIT ?', [limit]);
+  }
+
+  markPublished(id) {
+    return this.db.run('UPDATE outbox_events SET published_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+  }
+
+  purgePublishedOlderThan(hours) {
+    const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString().replace('T', ' ').slice(0, 19);
+    return this.db.run('DELETE FROM outbox_events WHERE published_at IS NOT NULL AND published_at < ?', [cutoff]);
+  }
+}
+
+// Publish outbox events to the bus in the order they were written. An event is marked
+// published only after the bus has stored it; if the process stops in between, it is
+// published again and the bus ignores the duplicate
+function startOutboxRelay({ bus, source, outbox, poller }) {
+  let purgedAt = 0;
+  return poller(`Outbox relay for ${source}`, async () => {
+    const rows = await outbox.listUnpublished(BATCH_SIZE);
+    for (const row of rows) {
+      await bus.publish({
+        id: row.event_id,
+        type: row.type,
+        source,
+        aggregateId: row.aggregate_id,
+        // created_at is UTC 'YYYY-MM-DD HH:MM:SS'
+        occurredAt: `${row.created_at.replace(' ', 'T')}Z`,
+        data: JSON.parse(row.payload)
+      });
+      await outbox.markPublished(row.id);
+    }
+    if (rows.length === 0 && Date.now() - purgedAt >= PURGE_INTERVAL_MS) {
+      await outbox.purgePublishedOlderThan(PUBLISHED_RETENTION_HOURS);
+      purgedAt = Date.now();
+    }
+  });
+}
+
+module.exports = { OutboxRepository, startOutboxRelay };
\ No newline at end of file
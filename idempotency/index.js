@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+
+// Idempotency-Key support shared by the services that create resources. Each service keeps
+// the keys in its own idempotency_keys table (see its migrations)
+
+// Stored responses for Idempotency-Key requests are kept this long
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+// Stored responses of requests sent with an Idempotency-Key. A row without status_code is
+// a request that is still being processed
+class IdempotencyKeysRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // created_at is UTC 'YYYY-MM-DD HH:MM:SS' text on SQLite, so the cutoff is compared in that form
+  purgeOlderThan(hours) {
+    const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString().replace('T', ' ').slice(0, 19);
+    return this.db.run('DELETE FROM idempotency_keys WHERE created_at < ?', [cutoff]);
+  }
+
+  find(scope, key) {
+    return this.db.get('SELECT * FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?', [scope, key]);
+  }
+
+  // Claim a key for a request; rejects with a constraint error (isConstraintError) when it
+  // is already claimed
+  reserve(scope, key, fingerprint) {
+    return this.db.run(
+      'INSERT INTO idempotency_keys (scope, idempotency_key, fingerprint) VALUES (?, ?, ?)',
+      [scope, key, fingerprint]
+    );
+  }
+
+  saveResponse(scope, key, statusCode, body) {
+    return this.db.run(
+      'UPDATE idempotency_keys SET status_code = ?, response_body = ? WHERE scope = ? AND idempotency_key = ?',
+      [statusCode, JSON.stringify(body), scope, key]
+    );
+  }
+
+  release(scope, key) {
+    return this.db.run('DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?', [scope, key]);
+  }
+}
+
+// Passed to the service's error handler, which answers it like its own 4xx errors
+function conflict(message) {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+}
+
+// Middleware that makes a create endpoint safe to retry with an Idempotency-Key header. The
+// first request with a key is processed and its response stored; repeating it with the same
+// body returns the stored response, while a different body, or a repeat while the first is
+// still being processed, gets 409. Keys are scoped to the caller. 5xx responses are not
+// stored so the request can be retried with the same key
+function createIdempotencyMiddleware(database) {
+  const idempotencyKeysRepository = new IdempotencyKeysRepository(database);
+
+  return function idempotent(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+      return next();
+    }
+    if (!key || key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Idempotency-Key harus 1-${MAX_IDEMPOTENCY_KEY_LENGTH} karakter`
+      });
+    }
+
+    const scope = req.get('X-User-Id') || 'internal';
+    const fingerprint = crypto.createHash('sha256')
+      .update(JSON.stringify({ method: req.method, path: req.path, body: req.body }))
+      .digest('hex');
+
+    const claimKey = async () => {
+      await idempotencyKeysRepository.purgeOlderThan(IDEMPOTENCY_KEY_TTL_HOURS).catch(err => {
+        console.error('Error purging idempotency keys:', err.message);
+      });
+
+      const row = await idempotencyKeysRepository.find(scope, key);
+      if (row && row.fingerprint !== fingerprint) {
+        throw conflict('Idempotency-Key sudah dipakai untuk request yang berbeda');
+      }
+      if (row && row.status_code === null) {
+        throw conflict('Request dengan Idempotency-Key ini masih diproses');
+      }
+      if (row) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(row.status_code).json(JSON.parse(row.response_body));
+      }
+
+      try {
+        await idempotencyKeysRepository.reserve(scope, key, fingerprint);
+      } catch (err) {
+        // Another request with the same key got in first
+        if (err.isConstraintError) {
+          throw conflict('Request dengan Idempotency-Key ini masih diproses');
+        }
+        throw err;
+      }
+
+      // Store the handler's response as it is sent
+      const sendJson = res.json.bind(res);
+      res.json = (body) => {
+        const stored = res.statusCode >= 500
+          ? idempotencyKeysRepository.release(scope, key)
+          : idempotencyKeysRepository.saveResponse(scope, key, res.statusCode, body);
+        stored.catch(err => console.error('Error storing idempotent response:', err.message));
+        return sendJson(body);
+      };
+      next();
+    };
+
+    claimKey().catch(next);
+  };
+}
+
+module.exports = { IdempotencyKeysRepository, createIdempotencyMiddleware };
\ No newline at end of file
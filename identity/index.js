@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+
+// Trust between the API Gateway and the services. The services' ports are not meant to be
+// public, but a request reaching one must still prove it comes from the gateway or another
+// service: it carries INTERNAL_API_TOKEN in the X-Internal-Token header. Requests through
+// the gateway also carry the caller's X-User-* headers; requests without them are internal
+// calls between services, which may do anything
+
+const INTERNAL_TOKEN_HEADER = 'X-Internal-Token';
+const IDENTITY_HEADERS = ['X-User-Id', 'X-User-Email', 'X-User-Role', 'X-User-Restaurant-Id'];
+
+// Value of a secret from the environment. Only development and test runs (NODE_ENV) fall
+// back to developmentValue, which everyone can read in this repository; anywhere else a
+// missing secret stops the process from starting
+function requiredSecret(name, developmentValue) {
+  if (process.env[name]) {
+    return process.env[name];
+  }
+  if (!['development', 'test'].includes(process.env.NODE_ENV)) {
+    throw new Error(`${name} must be set (only NODE_ENV=development or test may run without it)`);
+  }
+  console.warn(`${name} is not set, using an insecure development value`);
+  return developmentValue;
+}
+
+const INTERNAL_TOKEN = requiredSecret('INTERNAL_API_TOKEN', 'dev-internal-token-change-me');
+
+// Headers that authenticate a request to another service
+function internalHeaders() {
+  return { [INTERNAL_TOKEN_HEADER]: INTERNAL_TOKEN };
+}
+
+// Compared as hashes so that the comparison takes the same time whatever the token
+function hasInternalToken(req) {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(req.get(INTERNAL_TOKEN_HEADER) || ''), digest(INTERNAL_TOKEN));
+}
+
+// Middleware answering 401 to requests without the internal token, except anonymous requests
+// to the routes isPublic(req) accepts (e.g. login). A request without the token may never
+// claim a caller identity, since anyone reaching the service could set those headers
+function requireInternalToken({ isPublic = () => false } = {}) {
+  return (req, res, next) => {
+    if (hasInternalToken(req)) {
+      return next();
+    }
+    if (isPublic(req) && !IDENTITY_HEADERS.some(header => req.get(header) !== undefined)) {
+      return next();
+    }
+    res.status(401).json({
+      success: false,
+      message: 'Request harus melalui API Gateway'
+    });
+  };
+}
+
+module.exports = { INTERNAL_TOKEN_HEADER, requiredSecret, internalHeaders, requireInternalToken };
\ No newline at end of file
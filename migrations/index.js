@@ -0,0 +1,136 @@
+const path = require('path');
+const fs = require('fs');
+
+// Versioned schema migrations, shared by the services. Each service keeps its migrations in
+// its own migrations/ folder, one file per version named <version>_<name>.js, exporting
+// async up(db) and down(db), where db is a storage from storage/ (SQLite or PostgreSQL;
+// db.types has the column types that differ between them). Applied versions are recorded in
+// the service database's schema_version table. A service's migrate.js wires its folder to
+// createMigrator() and, when run directly, to runMigrationCli():
+//
+//   node <service>/migrate.js status      list migrations and whether they are applied
+//   node <service>/migrate.js up          apply all pending migrations
+//   node <service>/migrate.js down [n]    roll back the last n migrations (default 1)
+const MIGRATION_FILE = /^(\d+)_(\w+)\.js$/;
+
+function loadMigrations(migrationsDir) {
+  return fs.readdirSync(migrationsDir)
+    .filter(file => MIGRATION_FILE.test(file))
+    .map(file => {
+      const [, version, name] = MIGRATION_FILE.exec(file);
+      return { id: file.slice(0, -3), version: parseInt(version, 10), name, ...require(path.join(migrationsDir, file)) };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+// Run migration steps one after another, each together with its schema_version change in
+// one transaction, so a failing step leaves neither the schema nor the recorded version
+// half-updated. Stops at the first failure; resolves to the migrations done ({ id, version,
+// name }), which the caller reports as it sees fit
+async function runSteps(db, migrations, direction) {
+  for (const migration of migrations) {
+    try {
+      await db.transaction(async (tx) => {
+        await migration[direction](tx);
+        if (direction === 'up') {
+          await tx.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        } else {
+          await tx.run('DELETE FROM schema_version WHERE version = ?', [migration.version]);
+        }
+      });
+    } catch (err) {
+      throw new Error(`Migration ${migration.id} (${direction}) failed: ${err.message}`);
+    }
+  }
+  return migrations.map(({ id, version, name }) => ({ id, version, name }));
+}
+
+// Migration functions for the migrations in migrationsDir
+function createMigrator(migrationsDir) {
+  // Every known migration with appliedAt (null while pending), in version order
+  async function getStatus(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    const rows = await db.all('SELECT version, applied_at FROM schema_version');
+    const applied = new Map(rows.map(row => [row.version, row.applied_at]));
+    return loadMigrations(migrationsDir).map(migration => ({
+      ...migration,
+      appliedAt: applied.get(migration.version) || null
+    }));
+  }
+
+  // Apply every pending migration in version order; resolves to the applied migrations
+  async function migrateUp(db) {
+    const migrations = await getStatus(db);
+    return runSteps(db, migrations.filter(migration => !migration.appliedAt), 'up');
+  }
+
+  // Roll back the last `count` applied migrations, newest first; resolves to them
+  async function migrateDown(db, count) {
+    const migrations = await getStatus(db);
+    const applied = migrations.filter(migration => migration.appliedAt);
+    return runSteps(db, applied.slice(-count).reverse(), 'down');
+  }
+
+  return { getStatus, migrateUp, migrateDown };
+}
+
+// Add the columns a table does not have yet. Databases created before migrations existed
+// may already have some of them, from a newer CREATE TABLE or the startup ALTERs of the
+// releases that preceded this system
+async function addColumns(db, table, columns) {
+  const names = await db.listColumns(table);
+  for (const column of columns.filter(column => !names.includes(column.name))) {
+    await db.run(`ALTER TABLE ${table} ADD COLUMN ${column.name} ${column.definition}`);
+  }
+}
+
+async function dropColumns(db, table, names) {
+  for (const name of names) {
+    await db.run(`ALTER TABLE ${table} DROP COLUMN ${name}`);
+  }
+}
+
+// Command line of a service's migrate.js: status, up or down [count] on the storage returned
+// by openDatabase(), which is closed afterwards
+function runMigrationCli(migrator, openDatabase, args = process.argv.slice(2)) {
+  const [command = 'status', countArg = '1'] = args;
+  const count = parseInt(countArg, 10);
+  if (!['status', 'up', 'down'].includes(command) || !(count > 0)) {
+    console.error('Usage: node migrate.js <status|up|down [count]>');
+    process.exit(1);
+  }
+
+  const run = async (db) => {
+    if (command === 'status') {
+      console.log(`Database: ${db.description}`);
+      (await migrator.getStatus(db)).forEach(migration => {
+        const state = migration.appliedAt ? `applied ${migration.appliedAt}` : 'pending';
+        console.log(`  ${migration.id}  ${state}`);
+      });
+      return;
+    }
+    const done = command === 'up' ? await migrator.migrateUp(db) : await migrator.migrateDown(db, count);
+    if (done.length === 0) {
+      console.log(command === 'up' ? 'No pending migrations' : 'No migrations to roll back');
+    }
+    done.forEach(migration => {
+      console.log(`${command === 'up' ? 'Applied' : 'Rolled back'} migration ${migration.id}`);
+    });
+  };
+
+  const db = openDatabase();
+  return run(db)
+    .catch(err => {
+      console.error(err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db.close());
+}
+
+module.exports = { createMigrator, addColumns, dropColumns, runMigrationCli };
\ No newline at end of file
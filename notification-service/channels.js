@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+
+// Notification channels and the transports that carry them. A transport is an object with
+// async send({ channel, to, subject, body }) that rejects when the message was not sent.
+// Each channel uses the transport named by NOTIFICATION_<CHANNEL>_TRANSPORT (e.g.
+// NOTIFICATION_SMS_TRANSPORT), or NOTIFICATION_TRANSPORT for every channel, console by
+// default. A provider such as an SMTP server or SMS gateway is added as another entry in
+// TRANSPORTS.
+const CHANNELS = ['email', 'sms'];
+
+const TRANSPORTS = {
+  // Print the message to the service log
+  console: () => ({
+    async send({ channel, to, subject, body }) {
+      console.log(`[${channel}] to ${to}${subject ? ` - ${subject}` : ''}\n${body}`);
+    }
+  }),
+
+  // Append the message as a JSON line to NOTIFICATION_FILE_PATH, for local development and tests
+  file: () => {
+    const filePath = process.env.NOTIFICATION_FILE_PATH || './database/notifications.log';
+    return {
+      async send(message) {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.appendFile(filePath, `${JSON.stringify({ ...message, sentAt: new Date().toISOString() })}\n`);
+      }
+    };
+  }
+};
+
+// Transport for every channel, keyed by channel; throws for an unknown transport name
+function createChannels() {
+  return Object.fromEntries(CHANNELS.map((channel) => {
+    const name = process.env[`NOTIFICATION_${channel.toUpperCase()}_TRANSPORT`] || process.env.NOTIFICATION_TRANSPORT || 'console';
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown notification transport "${name}" for ${channel}`);
+    }
+    return [channel, { transport: name, ...TRANSPORTS[name]() }];
+  }));
+}
+
+module.exports = { CHANNELS, createChannels };
\ No newline at end of file
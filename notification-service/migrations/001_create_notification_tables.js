@@ -0,0 +1,39 @@
+// Notification preferences of users (users without a row get the defaults) and the log of
+// notifications sent to them
+module.exports = {
+  async up(db) {
+    const { id, timestamp } = db.types;
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        user_id INTEGER PRIMARY KEY,
+        locale TEXT NOT NULL,
+        email_enabled INTEGER NOT NULL,
+        sms_enabled INTEGER NOT NULL,
+        muted_types TEXT NOT NULL DEFAULT '[]',
+        updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id ${id},
+        event_id TEXT NOT NULL,
+        user_id INTEGER NOT NULL,
+        type TEXT NOT NULL,
+        channel TEXT NOT NULL,
+        locale TEXT NOT NULL,
+        recipient TEXT NOT NULL,
+        subject TEXT,
+        body TEXT NOT NULL,
+        status TEXT NOT NULL,
+        error TEXT,
+        created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (event_id, channel)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE notifications');
+    await db.run('DROP TABLE notification_preferences');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,102 @@
+// Data access for Notification Service. Every repository takes a storage from storage/ (any
+// driver), or the transaction handle passed to its transaction().
+
+function parsePreferencesRow(row) {
+  return {
+    userId: row.user_id,
+    locale: row.locale,
+    emailEnabled: row.email_enabled === 1,
+    smsEnabled: row.sms_enabled === 1,
+    mutedTypes: JSON.parse(row.muted_types),
+    updatedAt: row.updated_at
+  };
+}
+
+function parseNotificationRow(row) {
+  return {
+    id: row.id,
+    eventId: row.event_id,
+    userId: row.user_id,
+    type: row.type,
+    channel: row.channel,
+    locale: row.locale,
+    recipient: row.recipient,
+    subject: row.subject,
+    body: row.body,
+    status: row.status,
+    error: row.error,
+    createdAt: row.created_at
+  };
+}
+
+class PreferencesRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Stored preferences of a user, or null when the user never changed them
+  async find(userId) {
+    const row = await this.db.get('SELECT * FROM notification_preferences WHERE user_id = ?', [userId]);
+    return row ? parsePreferencesRow(row) : null;
+  }
+
+  // Store the complete preferences of a user; resolves to the stored preferences
+  async save(userId, { locale, emailEnabled, smsEnabled, mutedTypes }) {
+    await this.db.run(
+      `INSERT INTO notification_preferences (user_id, locale, email_enabled, sms_enabled, muted_types)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (user_id) DO UPDATE SET
+         locale = excluded.locale,
+         email_enabled = excluded.email_enabled,
+         sms_enabled = excluded.sms_enabled,
+         muted_types = excluded.muted_types,
+         updated_at = CURRENT_TIMESTAMP`,
+      [userId, locale, Number(emailEnabled), Number(smsEnabled), JSON.stringify(mutedTypes)]
+    );
+    return this.find(userId);
+  }
+
+  delete(userId) {
+    return this.db.run('DELETE FROM notification_preferences WHERE user_id = ?', [userId]);
+  }
+}
+
+// One row per message sent (or attempted) for an event on a channel
+class NotificationsRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // One page of notifications, newest first, optionally of one user; resolves to { notifications, total }
+  async list({ userId, limit, offset }) {
+    const where = userId === undefined ? '' : ' WHERE user_id = ?';
+    const params = userId === undefined ? [] : [userId];
+    const count = await this.db.get(`SELECT COUNT(*) as total FROM notifications${where}`, params);
+    const rows = await this.db.all(
+      `SELECT * FROM notifications${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return { notifications: rows.map(parseNotificationRow), total: count.total };
+  }
+
+  // Whether the event was already handled on the channel, e.g. before the bus redelivered it
+  async exists(eventId, channel) {
+    const row = await this.db.get('SELECT id FROM notifications WHERE event_id = ? AND channel = ?', [eventId, channel]);
+    return Boolean(row);
+  }
+
+  record({ eventId, userId, type, channel, locale, recipient, subject, body, status, error = null }) {
+    return this.db.run(
+      `INSERT INTO notifications (event_id, user_id, type, channel, locale, recipient, subject, body, status, error)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (event_id, channel) DO NOTHING`,
+      [eventId, userId, type, channel, locale, recipient, subject, body, status, error]
+    );
+  }
+
+  deleteForUser(userId) {
+    return this.db.run('DELETE FROM notifications WHERE user_id = ?', [userId]);
+  }
+}
+
+module.exports = { PreferencesRepository, NotificationsRepository };
\ No newline at end of file
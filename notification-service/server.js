@@ -0,0 +1,464 @@
+require('dotenv').config();
+const express = require('express');
+const cors = require('cors');
+const axios = require('axios');
+const swaggerUi = require('swagger-ui-express');
+const { migrateUp } = require('./migrate');
+const { openStorage, storageConfig } = require('../storage');
+const { createRequestValidator } = require('../validation');
+const { internalHeaders, requireInternalToken } = require('../identity');
+const { openEventBus } = require('../eventbus');
+const { PreferencesRepository, NotificationsRepository } = require('./repositories');
+const { LOCALES, DEFAULT_LOCALE, NOTIFICATION_TYPES, renderMessage } = require('./templates');
+const { CHANNELS, createChannels } = require('./channels');
+
+const app = express();
+const PORT = process.env.PORT || 3004;
+const USER_SERVICE_URL = process.env.USER_SERVICE_URL || 'http://localhost:3001';
+const USER_SERVICE_TIMEOUT_MS = parseInt(process.env.USER_SERVICE_TIMEOUT_MS, 10) || 3000;
+
+// Preferences of users who never changed them: email on, SMS off
+const DEFAULT_PREFERENCES = {
+  locale: DEFAULT_LOCALE,
+  emailEnabled: process.env.NOTIFICATION_EMAIL_DEFAULT !== 'false',
+  smsEnabled: process.env.NOTIFICATION_SMS_DEFAULT === 'true',
+  mutedTypes: []
+};
+
+app.use(cors());
+app.use(express.json());
+
+// Open the database selected by DB_DRIVER (sqlite by default, memory or postgres), see storage/
+let database;
+let channels;
+try {
+  database = openStorage(storageConfig('', './database/notifications.db'));
+  channels = createChannels();
+} catch (err) {
+  console.error('Error starting Notification Service:', err.message);
+  process.exit(1);
+}
+console.log('Using database:', database.description);
+const preferencesRepository = new PreferencesRepository(database);
+const notificationsRepository = new NotificationsRepository(database);
+
+// Order and user events arrive from the event bus (see eventbus/); the consumers start once
+// the tables exist
+const eventBus = openEventBus();
+
+// Bring the schema up to date (see migrate.js). The service does not start on a database
+// whose migrations failed
+function initializeDatabase() {
+  migrateUp(database)
+    .then((applied) => {
+      console.log(applied.length > 0
+        ? `Applied ${applied.length} migration(s): ${applied.map(migration => migration.id).join(', ')}`
+        : 'Database schema up to date');
+      subscribeToEvents();
+    })
+    .catch((err) => {
+      console.error('Error migrating database:', err.message);
+      process.exit(1);
+    });
+}
+
+initializeDatabase();
+
+// Swagger Documentation
+const swaggerDocument = {
+  openapi: '3.0.0',
+  info: {
+    title: 'Notification Service API',
+    version: '1.0.0',
+    description: 'Notifikasi email/SMS ke customer saat pesanan dibuat atau statusnya berubah, dengan preferensi per user'
+  },
+  servers: [
+    { url: `http://localhost:${PORT}`, description: 'Notification Service' }
+  ],
+  paths: {
+    '/health': {
+      get: {
+        summary: 'Liveness check',
+        responses: {
+          '200': {
+            description: 'Service berjalan'
+          }
+        }
+      }
+    },
+    '/ready': {
+      get: {
+        summary: 'Readiness check (koneksi database)',
+        responses: {
+          '200': {
+            description: 'Service siap menerima request'
+          },
+          '503': {
+            description: 'Database tidak dapat diakses'
+          }
+        }
+      }
+    },
+    '/notifications': {
+      get: {
+        summary: 'Riwayat notifikasi, terbaru lebih dulu (admin: semua, lainnya: milik sendiri)',
+        parameters: [
+          {
+            name: 'userId',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1 },
+            description: 'Filter berdasarkan user ID'
+          },
+          {
+            name: 'page',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1, default: 1 }
+          },
+          {
+            name: 'limit',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Notifikasi dengan channel, penerima, isi pesan dan status (sent/failed)'
+          },
+          '403': {
+            description: 'Meminta notifikasi user lain'
+          }
+        }
+      }
+    },
+    '/notifications/preferences/{userId}': {
+      get: {
+        summary: 'Preferensi notifikasi user (default jika belum pernah diubah)',
+        parameters: [
+          {
+            name: 'userId',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer', minimum: 1 }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Bahasa, channel yang aktif dan jenis notifikasi yang dimatikan'
+          },
+          '403': {
+            description: 'Hanya dapat melihat preferensi sendiri'
+          }
+        }
+      },
+      patch: {
+        summary: 'Mengubah preferensi notifikasi user',
+        parameters: [
+          {
+            name: 'userId',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer', minimum: 1 }
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                minProperties: 1,
+                additionalProperties: false,
+                properties: {
+                  locale: { type: 'string', enum: LOCALES, example: 'en' },
+                  emailEnabled: { type: 'boolean', example: true },
+                  smsEnabled: { type: 'boolean', example: false },
+                  mutedTypes: {
+                    type: 'array',
+                    uniqueItems: true,
+                    items: { type: 'string', enum: NOTIFICATION_TYPES },
+                    example: ['order.processing'],
+                    description: 'Jenis notifikasi yang tidak ingin diterima'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Preferensi berhasil disimpan'
+          },
+          '403': {
+            description: 'Hanya dapat mengubah preferensi sendiri'
+          }
+        }
+      }
+    }
+  }
+};
+
+app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument));
+
+// ===== REQUEST VALIDATION =====
+// Requests are checked against the schemas in swaggerDocument, see validation/
+app.use(createRequestValidator(swaggerDocument));
+
+const startedAt = Date.now();
+
+// ===== HEALTH ROUTES =====
+// Liveness: the process is up and serving requests
+app.get('/health', (req, res) => {
+  res.json({
+    success: true,
+    status: 'ok',
+    service: 'notification-service',
+    uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Readiness: the database answers queries and the notifications table has been created
+app.get('/ready', async (req, res) => {
+  const started = Date.now();
+  let check;
+  try {
+    await database.get('SELECT 1 FROM notifications LIMIT 1');
+    check = { status: 'up', latencyMs: Date.now() - started };
+  } catch (err) {
+    check = { status: 'down', error: err.message };
+  }
+  const ready = check.status === 'up';
+  res.status(ready ? 200 : 503).json({
+    success: ready,
+    status: ready ? 'ready' : 'not_ready',
+    service: 'notification-service',
+    checks: { database: check },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Only the API Gateway and other services may call this service (see identity/)
+app.use(requireInternalToken());
+
+// Caller identity forwarded by the API Gateway; null for internal service-to-service calls
+function getCaller(req) {
+  const userId = req.get('X-User-Id');
+  if (!userId) {
+    return null;
+  }
+  return {
+    id: parseInt(userId, 10),
+    role: req.get('X-User-Role') || 'customer'
+  };
+}
+
+// Admins may access the notifications of any user, everybody else only their own
+function canAccessUser(caller, userId) {
+  return !caller || caller.role === 'admin' || caller.id === parseInt(userId, 10);
+}
+
+// Consistent 403 response, same shape as the API Gateway and other services
+function forbidden(res, reason) {
+  return res.status(403).json({
+    success: false,
+    code: 'FORBIDDEN',
+    message: 'Akses ditolak',
+    reason
+  });
+}
+
+// Express 4 does not catch rejected promises; pass them on to the error handler
+function asyncHandler(handler) {
+  return (req, res, next) => handler(req, res, next).catch(next);
+}
+
+// Stored preferences of a user, or the defaults
+async function getPreferences(userId) {
+  return (await preferencesRepository.find(userId)) || { userId, ...DEFAULT_PREFERENCES, updatedAt: null };
+}
+
+// Name, email and phone come from User Service when a notification is sent. Resolves to
+// null for users that no longer exist; other failures reject, so the event is retried
+async function fetchUser(userId) {
+  try {
+    const response = await axios.get(`${USER_SERVICE_URL}/users/${userId}`, { headers: internalHeaders(), timeout: USER_SERVICE_TIMEOUT_MS });
+    return response.data.data;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// ===== EVENT HANDLING =====
+// Notification type for an order event, or null when the customer is not notified of it
+function notificationType(event) {
+  if (event.type === 'OrderCreated') {
+    return 'order.created';
+  }
+  const type = `order.${event.data.toStatus}`;
+  return NOTIFICATION_TYPES.includes(type) ? type : null;
+}
+
+// Notify the customer of an order event on every channel their preferences allow. Each
+// channel is recorded in the notifications log, so an event the bus delivers again is not
+// sent twice. A transport failure is logged with status failed and not retried
+async function notifyCustomer(event) {
+  const type = notificationType(event);
+  if (!type) {
+    return;
+  }
+
+  const { orderId, userId, reason, order } = event.data;
+  const preferences = await getPreferences(userId);
+  const enabledChannels = CHANNELS.filter(channel => preferences[`${channel}Enabled`]);
+  if (preferences.mutedTypes.includes(type) || enabledChannels.length === 0) {
+    return;
+  }
+
+  const user = await fetchUser(userId);
+  if (!user) {
+    return;
+  }
+
+  for (const channel of enabledChannels) {
+    const recipient = channel === 'email' ? user.email : user.phone;
+    if (!recipient || await notificationsRepository.exists(event.id, channel)) {
+      continue;
+    }
+
+    const message = renderMessage(type, preferences.locale, channel, {
+      name: user.name,
+      orderId,
+      restaurantName: order && order.restaurantName,
+      totalPrice: order && order.totalPrice,
+      reason
+    });
+    let error = null;
+    try {
+      await channels[channel].send({ channel, to: recipient, ...message });
+    } catch (err) {
+      error = err.message;
+      console.error(`Error sending ${type} ${channel} notification to user ${userId}:`, err.message);
+    }
+    await notificationsRepository.record({
+      eventId: event.id,
+      userId,
+      type,
+      channel,
+      locale: preferences.locale,
+      recipient,
+      ...message,
+      status: error ? 'failed' : 'sent',
+      error
+    });
+  }
+}
+
+function subscribeToEvents() {
+  eventBus.subscribe('notification-service.orders', ['OrderCreated', 'OrderStatusChanged'], notifyCustomer);
+
+  // Nothing is kept about deleted users, including the contact details in the log
+  eventBus.subscribe('notification-service.users', ['UserDeleted'], (event) => database.transaction(async (tx) => {
+    await new PreferencesRepository(tx).delete(event.data.userId);
+    await new NotificationsRepository(tx).deleteForUser(event.data.userId);
+  }));
+}
+
+// ===== ROUTES =====
+const DEFAULT_PAGE_SIZE = 20;
+
+app.get('/notifications', asyncHandler(async (req, res) => {
+  const caller = getCaller(req);
+  let userId = req.query.userId === undefined ? undefined : parseInt(req.query.userId, 10);
+  if (caller && caller.role !== 'admin') {
+    if (userId !== undefined && userId !== caller.id) {
+      return forbidden(res, 'Hanya dapat melihat notifikasi sendiri');
+    }
+    userId = caller.id;
+  }
+
+  const page = req.query.page === undefined ? 1 : Number(req.query.page);
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+  const { notifications, total } = await notificationsRepository.list({ userId, limit, offset: (page - 1) * limit });
+
+  res.json({
+    success: true,
+    data: notifications,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+app.get('/notifications/preferences/:userId', asyncHandler(async (req, res) => {
+  if (!canAccessUser(getCaller(req), req.params.userId)) {
+    return forbidden(res, 'Hanya dapat melihat preferensi sendiri');
+  }
+
+  res.json({
+    success: true,
+    data: await getPreferences(parseInt(req.params.userId, 10))
+  });
+}));
+
+// Fields not sent keep their current value
+app.patch('/notifications/preferences/:userId', asyncHandler(async (req, res) => {
+  if (!canAccessUser(getCaller(req), req.params.userId)) {
+    return forbidden(res, 'Hanya dapat mengubah preferensi sendiri');
+  }
+
+  const userId = parseInt(req.params.userId, 10);
+  const current = await getPreferences(userId);
+  const preferences = await preferencesRepository.save(userId, {
+    locale: req.body.locale ?? current.locale,
+    emailEnabled: req.body.emailEnabled ?? current.emailEnabled,
+    smsEnabled: req.body.smsEnabled ?? current.smsEnabled,
+    mutedTypes: req.body.mutedTypes ?? current.mutedTypes
+  });
+
+  res.json({
+    success: true,
+    message: 'Preferensi notifikasi berhasil disimpan',
+    data: preferences
+  });
+}));
+
+// Errors passed on by route handlers. Client errors raised by Express itself (such as a
+// malformed JSON body) are answered as they are, anything else is a 500
+app.use((err, req, res, next) => {
+  if (err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.message
+    });
+  }
+  console.error(`Error handling ${req.method} ${req.originalUrl}:`, err.message);
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: err.message
+  });
+});
+
+// Graceful shutdown
+process.on('SIGINT', () => {
+  eventBus.close()
+    .catch(err => console.error('Error closing event bus:', err.message))
+    .then(() => database.close())
+    .then(() => console.log('Database connection closed'))
+    .catch(err => console.error('Error closing database:', err.message))
+    .then(() => process.exit(0));
+});
+
+app.listen(PORT, () => {
+  console.log(`Notification Service running on http://localhost:${PORT}`);
+  console.log(`Database: ${database.description}`);
+  console.log(`Event bus: ${eventBus.description}`);
+  console.log(`Transports: ${CHANNELS.map(channel => `${channel}=${channels[channel].transport}`).join(', ')}`);
+  console.log(`Swagger UI available at http://localhost:${PORT}/api-docs`);
+});
\ No newline at end of file
@@ -0,0 +1,96 @@
+// Message templates per notification type and locale. Each has the subject and body of the
+// email and the shorter SMS text; {{placeholders}} are filled with the message variables,
+// and {{total}} with the order total formatted for the locale.
+const LOCALES = ['id', 'en'];
+const DEFAULT_LOCALE = LOCALES.includes(process.env.NOTIFICATION_DEFAULT_LOCALE) ? process.env.NOTIFICATION_DEFAULT_LOCALE : 'id';
+
+const TEMPLATES = {
+  'order.created': {
+    id: {
+      subject: 'Pesanan #{{orderId}} sudah kami terima',
+      email: 'Halo {{name}},\n\nPesanan #{{orderId}} di {{restaurantName}} dengan total {{total}} sudah kami terima dan sedang menunggu konfirmasi restoran.\n\nTerima kasih telah memesan!',
+      sms: 'Pesanan #{{orderId}} di {{restaurantName}} ({{total}}) diterima, menunggu konfirmasi restoran.'
+    },
+    en: {
+      subject: 'We received your order #{{orderId}}',
+      email: 'Hi {{name}},\n\nYour order #{{orderId}} from {{restaurantName}} totalling {{total}} has been received and is waiting for the restaurant to confirm it.\n\nThank you for your order!',
+      sms: 'Order #{{orderId}} from {{restaurantName}} ({{total}}) received, waiting for the restaurant to confirm.'
+    }
+  },
+  'order.processing': {
+    id: {
+      subject: 'Pesanan #{{orderId}} sedang disiapkan',
+      email: 'Halo {{name}},\n\n{{restaurantName}} telah menerima pesanan #{{orderId}} dan sedang menyiapkannya.',
+      sms: '{{restaurantName}} sedang menyiapkan pesanan #{{orderId}}.'
+    },
+    en: {
+      subject: 'Your order #{{orderId}} is being prepared',
+      email: 'Hi {{name}},\n\n{{restaurantName}} has accepted your order #{{orderId}} and is preparing it.',
+      sms: '{{restaurantName}} is preparing your order #{{orderId}}.'
+    }
+  },
+  'order.on_delivery': {
+    id: {
+      subject: 'Pesanan #{{orderId}} sedang diantar',
+      email: 'Halo {{name}},\n\nPesanan #{{orderId}} dari {{restaurantName}} sedang dalam perjalanan ke alamat Anda.',
+      sms: 'Pesanan #{{orderId}} sedang diantar ke alamat Anda.'
+    },
+    en: {
+      subject: 'Your order #{{orderId}} is on its way',
+      email: 'Hi {{name}},\n\nYour order #{{orderId}} from {{restaurantName}} is on its way to you.',
+      sms: 'Your order #{{orderId}} is on its way.'
+    }
+  },
+  'order.delivered': {
+    id: {
+      subject: 'Pesanan #{{orderId}} telah sampai',
+      email: 'Halo {{name}},\n\nPesanan #{{orderId}} dari {{restaurantName}} telah sampai. Selamat menikmati!',
+      sms: 'Pesanan #{{orderId}} telah sampai. Selamat menikmati!'
+    },
+    en: {
+      subject: 'Your order #{{orderId}} has been delivered',
+      email: 'Hi {{name}},\n\nYour order #{{orderId}} from {{restaurantName}} has been delivered. Enjoy your meal!',
+      sms: 'Your order #{{orderId}} has been delivered. Enjoy your meal!'
+    }
+  },
+  'order.cancelled': {
+    id: {
+      subject: 'Pesanan #{{orderId}} dibatalkan',
+      email: 'Halo {{name}},\n\nPesanan #{{orderId}} di {{restaurantName}} dibatalkan.\nAlasan: {{reason}}',
+      sms: 'Pesanan #{{orderId}} dibatalkan. Alasan: {{reason}}'
+    },
+    en: {
+      subject: 'Your order #{{orderId}} was cancelled',
+      email: 'Hi {{name}},\n\nYour order #{{orderId}} from {{restaurantName}} was cancelled.\nReason: {{reason}}',
+      sms: 'Order #{{orderId}} was cancelled. Reason: {{reason}}'
+    }
+  }
+};
+
+const NOTIFICATION_TYPES = Object.keys(TEMPLATES);
+
+// Rupiah amount, e.g. "Rp 25.000" (id) or "IDR 25,000" (en)
+function formatCurrency(amount, locale) {
+  return new Intl.NumberFormat(locale === 'en' ? 'en-US' : 'id-ID', {
+    style: 'currency',
+    currency: 'IDR',
+    maximumFractionDigits: 0
+  }).format(amount);
+}
+
+// Render a notification type for a channel ('email' or 'sms') as { subject, body },
+// subject being null for SMS. Missing variables are shown as '-'
+function renderMessage(type, locale, channel, variables) {
+  const template = TEMPLATES[type][locale] || TEMPLATES[type][DEFAULT_LOCALE];
+  const values = {
+    ...variables,
+    total: typeof variables.totalPrice === 'number' ? formatCurrency(variables.totalPrice, locale) : null
+  };
+  const fill = text => text.replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? '-');
+  return {
+    subject: channel === 'email' ? fill(template.subject) : null,
+    body: fill(template[channel])
+  };
+}
+
+module.exports = { LOCALES, DEFAULT_LOCALE, NOTIFICATION_TYPES, renderMessage };
\ No newline at end of file
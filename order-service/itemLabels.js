@@ -0,0 +1,15 @@
+// orders.items keeps a JSON array of these labels next to the order_items rows, so clients
+// written before line items existed still get a readable item list
+const MODIFIER_LABELS = {
+  spiceLevel: 'Level'
+};
+
+// Human readable label for a line item, e.g. "2x Ayam Geprek (Level 5)"
+function formatItemLabel(item) {
+  const modifiers = Object.entries(item.modifiers || {})
+    .map(([key, value]) => `${MODIFIER_LABELS[key] || key} ${value}`);
+  return `${item.quantity > 1 ? `${item.quantity}x ` : ''}${item.name}` +
+    (modifiers.length > 0 ? ` (${modifiers.join(', ')})` : '');
+}
+
+module.exports = { formatItemLabel };
\ No newline at end of file
@@ -0,0 +1,21 @@
+// Orders table as it was in the first release; items is a JSON array of display labels
+module.exports = {
+  async up(db) {
+    const { id, timestamp } = db.types;
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS orders (
+        id ${id},
+        user_id INTEGER NOT NULL,
+        restaurant_name TEXT NOT NULL,
+        items TEXT NOT NULL,
+        total_price INTEGER NOT NULL,
+        status TEXT DEFAULT 'pending',
+        created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE orders');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,26 @@
+const { addColumns, dropColumns } = require('../../migrations');
+
+// Orders priced by Restaurant Service, with one order_items row per line item
+module.exports = {
+  async up(db) {
+    await addColumns(db, 'orders', [{ name: 'restaurant_id', definition: 'INTEGER' }]);
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS order_items (
+        id ${db.types.id},
+        order_id INTEGER NOT NULL REFERENCES orders(id),
+        menu_item_id INTEGER,
+        item_name TEXT NOT NULL,
+        unit_price INTEGER NOT NULL,
+        quantity INTEGER NOT NULL,
+        modifiers TEXT NOT NULL DEFAULT '{}',
+        notes TEXT,
+        subtotal INTEGER NOT NULL
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE order_items');
+    await dropColumns(db, 'orders', ['restaurant_id']);
+  }
+};
\ No newline at end of file
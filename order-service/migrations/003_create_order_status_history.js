@@ -0,0 +1,21 @@
+// Every status change with who made it and why
+module.exports = {
+  async up(db) {
+    const { id, timestamp } = db.types;
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS order_status_history (
+        id ${id},
+        order_id INTEGER NOT NULL REFERENCES orders(id),
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        actor TEXT NOT NULL,
+        reason TEXT,
+        created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE order_status_history');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,15 @@
+const { addColumns, dropColumns } = require('../../migrations');
+
+// Customer name and address at order time, kept after the user is deleted
+module.exports = {
+  async up(db) {
+    await addColumns(db, 'orders', [
+      { name: 'customer_name', definition: 'TEXT' },
+      { name: 'customer_address', definition: 'TEXT' }
+    ]);
+  },
+
+  async down(db) {
+    await dropColumns(db, 'orders', ['customer_name', 'customer_address']);
+  }
+};
\ No newline at end of file
@@ -0,0 +1,43 @@
+// Webhook subscriptions of restaurants and partners, and the log of deliveries made to them.
+// A subscription without restaurant_id receives the events of every restaurant
+module.exports = {
+  async up(db) {
+    const { id, timestamp } = db.types;
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+        id ${id},
+        restaurant_id INTEGER,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        event_types TEXT NOT NULL,
+        is_active INTEGER NOT NULL DEFAULT 1,
+        created_by TEXT NOT NULL,
+        created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+        updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id ${id},
+        subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id),
+        event_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at ${timestamp},
+        last_attempt_at ${timestamp},
+        response_status INTEGER,
+        error TEXT,
+        created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+        delivered_at ${timestamp},
+        UNIQUE (subscription_id, event_id)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE webhook_deliveries');
+    await db.run('DROP TABLE webhook_subscriptions');
+  }
+};
\ No newline at end of file
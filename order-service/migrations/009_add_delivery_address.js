@@ -0,0 +1,19 @@
+const { addColumns, dropColumns } = require('../../migrations');
+
+// Snapshot of the saved address an order is delivered to (see User Service addresses).
+// The address text itself stays in customer_address
+module.exports = {
+  async up(db) {
+    await addColumns(db, 'orders', [
+      { name: 'delivery_address_id', definition: 'INTEGER' },
+      { name: 'delivery_label', definition: 'TEXT' },
+      { name: 'delivery_notes', definition: 'TEXT' },
+      { name: 'delivery_latitude', definition: 'DOUBLE PRECISION' },
+      { name: 'delivery_longitude', definition: 'DOUBLE PRECISION' }
+    ]);
+  },
+
+  async down(db) {
+    await dropColumns(db, 'orders', ['delivery_address_id', 'delivery_label', 'delivery_notes', 'delivery_latitude', 'delivery_longitude']);
+  }
+};
\ No newline at end of file
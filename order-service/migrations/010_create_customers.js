@@ -0,0 +1,19 @@
+// One row per customer that placed an order or was deleted. Creating an order and preparing
+// a user deletion both write the customer's row first, so the row lock makes them run one
+// after the other on every driver
+module.exports = {
+  async up(db) {
+    const { timestamp } = db.types;
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS customers (
+        user_id INTEGER PRIMARY KEY,
+        deleted_at ${timestamp},
+        created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE customers');
+  }
+};
\ No newline at end of file
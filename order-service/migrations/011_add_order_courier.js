@@ -0,0 +1,13 @@
+const { addColumns, dropColumns } = require('../../migrations');
+
+// Courier assigned to deliver an order, as published by Delivery Service (DeliveryAssigned)
+// or set when a courier picks up an order that had none
+module.exports = {
+  async up(db) {
+    await addColumns(db, 'orders', [{ name: 'courier_id', definition: 'INTEGER' }]);
+  },
+
+  async down(db) {
+    await dropColumns(db, 'orders', ['courier_id']);
+  }
+};
\ No newline at end of file
@@ -0,0 +1,470 @@
+const { formatItemLabel } = require('./itemLabels');
+
+// Data access for Order Service. Every repository takes a storage from storage/ (any driver), or
+// the transaction handle passed to its transaction(), so the same methods work inside and
+// outside a transaction. Methods that write to several tables run in a transaction of their
+// own, or join the one they are called in.
+
+function parseOrderItemRow(row) {
+  return {
+    id: row.id,
+    menuItemId: row.menu_item_id,
+    name: row.item_name,
+    unitPrice: row.unit_price,
+    quantity: row.quantity,
+    modifiers: JSON.parse(row.modifiers),
+    notes: row.notes,
+    subtotal: row.subtotal
+  };
+}
+
+// Orders created before order_items existed only have plain string labels
+function parseLegacyItem(label) {
+  const match = /^(\d+)x (.+)$/.exec(label);
+  return {
+    id: null,
+    menuItemId: null,
+    name: match ? match[2] : label,
+    unitPrice: null,
+    quantity: match ? parseInt(match[1], 10) : 1,
+    modifiers: {},
+    notes: null,
+    subtotal: null
+  };
+}
+
+// Columns holding the delivery address snapshot of an order, and their values for a
+// { address, addressId, label, notes, latitude, longitude } snapshot. Only address is set
+// when the order was not delivered to a saved address
+const DELIVERY_COLUMNS = ['customer_address', 'delivery_address_id', 'delivery_label', 'delivery_notes', 'delivery_latitude', 'delivery_longitude'];
+
+function deliveryValues({ address, addressId = null, label = null, notes = null, latitude = null, longitude = null }) {
+  return [address, addressId, label, notes, latitude, longitude];
+}
+
+// Order row together with its line items, as returned by the API
+function parseOrderRow(row, itemRows = []) {
+  return {
+    ...row,
+    items: itemRows.length > 0
+      ? itemRows.map(parseOrderItemRow)
+      : JSON.parse(row.items).map(parseLegacyItem),
+    totalPrice: row.total_price,
+    userId: row.user_id,
+    customerName: row.customer_name,
+    customerAddress: row.customer_address,
+    deliveryAddress: {
+      addressId: row.delivery_address_id,
+      label: row.delivery_label,
+      address: row.customer_address,
+      notes: row.delivery_notes,
+      latitude: row.delivery_latitude,
+      longitude: row.delivery_longitude
+    },
+    restaurantId: row.restaurant_id,
+    restaurantName: row.restaurant_name,
+    courierId: row.courier_id,
+    createdAt: row.created_at,
+    // Orders from before updated_at existed report their creation time
+    updatedAt: row.updated_at || row.created_at
+  };
+}
+
+// Subscription as returned by the API; the secret is only shown when it is created
+function parseWebhookSubscriptionRow(row) {
+  return {
+    id: row.id,
+    restaurantId: row.restaurant_id,
+    url: row.url,
+    eventTypes: JSON.parse(row.event_types),
+    isActive: row.is_active === 1,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function parseWebhookDeliveryRow(row) {
+  return {
+    id: row.id,
+    subscriptionId: row.subscription_id,
+    eventId: row.event_id,
+    eventType: row.event_type,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastAttemptAt: row.last_attempt_at,
+    responseStatus: row.response_status,
+    error: row.error,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at,
+    payload: JSON.parse(row.payload)
+  };
+}
+
+function parseStatusHistoryRow(row) {
+  return {
+    id: row.id,
+    orderId: row.order_id,
+    fromStatus: row.from_status,
+    toStatus: row.to_status,
+    actor: row.actor,
+    reason: row.reason,
+    createdAt: row.created_at
+  };
+}
+
+class OrdersRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // One page of orders matching the given WHERE conditions; resolves to { orders, total }
+  async list({ conditions = [], params = [], orderBy, limit, offset }) {
+    const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+    const count = await this.db.get(`SELECT COUNT(*) as total FROM orders${where}`, params);
+    const rows = await this.db.all(
+      `SELECT * FROM orders${where} ORDER BY ${orderBy} LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    const itemsByOrder = await this.loadItems(rows.map(row => row.id));
+    return {
+      orders: rows.map(row => parseOrderRow(row, itemsByOrder.get(row.id))),
+      total: count.total
+    };
+  }
+
+  // Single order with its line items, or null
+  async findById(id) {
+    const row = await this.db.get('SELECT * FROM orders WHERE id = ?', [id]);
+    if (!row) {
+      return null;
+    }
+    const itemsByOrder = await this.loadItems([row.id]);
+    return parseOrderRow(row, itemsByOrder.get(row.id));
+  }
+
+  // Just the columns needed for access checks and updates (database column names), or undefined
+  findState(id) {
+    return this.db.get('SELECT id, status, user_id, restaurant_id, courier_id, customer_address, version FROM orders WHERE id = ?', [id]);
+  }
+
+  // order_items rows for the given orders, grouped by order_id
+  async loadItems(orderIds) {
+    const itemsByOrder = new Map();
+    if (orderIds.length === 0) {
+      return itemsByOrder;
+    }
+
+    const placeholders = orderIds.map(() => '?').join(', ');
+    const rows = await this.db.all(`SELECT * FROM order_items WHERE order_id IN (${placeholders}) ORDER BY id`, orderIds);
+    rows.forEach(row => {
+      if (!itemsByOrder.has(row.order_id)) {
+        itemsByOrder.set(row.order_id, []);
+      }
+      itemsByOrder.get(row.order_id).push(row);
+    });
+    return itemsByOrder;
+  }
+
+  // Insert a pending order with its priced line items and first status history entry, all
+  // or nothing; resolves to the created order
+  create({ userId, customerName, deliveryAddress, restaurantId, restaurantName, items, totalPrice }, actor) {
+    return this.db.transaction(async (tx) => {
+      const orders = new OrdersRepository(tx);
+      const { lastID: orderId } = await tx.run(
+        `INSERT INTO orders (user_id, customer_name, ${DELIVERY_COLUMNS.join(', ')}, restaurant_id, restaurant_name, items, total_price, status)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [userId, customerName, ...deliveryValues(deliveryAddress), restaurantId, restaurantName, JSON.stringify(items.map(formatItemLabel)), totalPrice, 'pending']
+      );
+      for (const item of items) {
+        await tx.run(
+          'INSERT INTO order_items (order_id, menu_item_id, item_name, unit_price, quantity, modifiers, notes, subtotal) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+          [orderId, item.menuItemId, item.name, item.unitPrice, item.quantity, JSON.stringify(item.modifiers || {}), item.notes || null, item.subtotal]
+        );
+      }
+      await orders.addStatusChange(orderId, null, 'pending', { actor });
+      return orders.findById(orderId);
+    });
+  }
+
+  // Write the status of an order read at `version`, replace its delivery address snapshot
+  // when deliveryAddress is given and set its courier when courierId is, recording a status
+  // change in the history. Resolves to the updated order, or null when the order was changed
+  // since it was read
+  update(id, version, { status, deliveryAddress, courierId }, { fromStatus, actor, reason }) {
+    return this.db.transaction(async (tx) => {
+      const orders = new OrdersRepository(tx);
+      const columns = ['status'];
+      const values = [status];
+      if (deliveryAddress) {
+        columns.push(...DELIVERY_COLUMNS);
+        values.push(...deliveryValues(deliveryAddress));
+      }
+      if (courierId !== undefined) {
+        columns.push('courier_id');
+        values.push(courierId);
+      }
+      const { changes } = await tx.run(
+        `UPDATE orders SET
+           ${columns.map(column => `${column} = ?`).join(', ')},
+           version = version + 1,
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND version = ?`,
+        [...values, id, version]
+      );
+      if (changes === 0) {
+        return null;
+      }
+      if (status !== fromStatus) {
+        await orders.addStatusChange(id, fromStatus, status, { actor, reason });
+      }
+      return orders.findById(id);
+    });
+  }
+
+  addStatusChange(orderId, fromStatus, toStatus, { actor, reason }) {
+    return this.db.run(
+      'INSERT INTO order_status_history (order_id, from_status, to_status, actor, reason) VALUES (?, ?, ?, ?, ?)',
+      [orderId, fromStatus, toStatus, actor, reason || null]
+    );
+  }
+
+  async listStatusHistory(orderId) {
+    const rows = await this.db.all('SELECT * FROM order_status_history WHERE order_id = ? ORDER BY id', [orderId]);
+    return rows.map(parseStatusHistoryRow);
+  }
+
+  // Delete an order with its items and history; resolves to false when it does not exist.
+  // Items and history go first, as they reference the order
+  delete(id) {
+    return this.db.transaction(async (tx) => {
+      await tx.run('DELETE FROM order_items WHERE order_id = ?', [id]);
+      await tx.run('DELETE FROM order_status_history WHERE order_id = ?', [id]);
+      const { changes } = await tx.run('DELETE FROM orders WHERE id = ?', [id]);
+      return changes > 0;
+    });
+  }
+
+  async findIdsByUserAndStatus(userId, statuses) {
+    const placeholders = statuses.map(() => '?').join(', ');
+    const rows = await this.db.all(`SELECT id FROM orders WHERE user_id = ? AND status IN (${placeholders})`, [userId, ...statuses]);
+    return rows.map(row => row.id);
+  }
+
+  async findIdsByCourierAndStatus(courierId, statuses) {
+    const placeholders = statuses.map(() => '?').join(', ');
+    const rows = await this.db.all(`SELECT id FROM orders WHERE courier_id = ? AND status IN (${placeholders})`, [courierId, ...statuses]);
+    return rows.map(row => row.id);
+  }
+
+  // Give an order waiting for pickup (processing) to a courier; resolves to false when it is
+  // no longer waiting, e.g. because a courier already picked it up, or already has that courier
+  async assignCourier(id, courierId) {
+    const { changes } = await this.db.run(
+      `UPDATE orders SET
+         courier_id = ?,
+         version = version + 1,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'processing' AND (courier_id IS NULL OR courier_id <> ?)`,
+      [courierId, id, courierId]
+    );
+    return changes > 0;
+  }
+
+  // Store the customer's name and address on their orders that do not have them yet;
+  // resolves to the number of orders changed
+  async snapshotCustomer(userId, { name, address }) {
+    const { changes } = await this.db.run(
+      `UPDATE orders SET
+         customer_name = COALESCE(customer_name, ?),
+         customer_address = COALESCE(customer_address, ?),
+         version = version + 1,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND (customer_name IS NULL OR customer_address IS NULL)`,
+      [name || null, address || null, userId]
+    );
+    return changes;
+  }
+}
+
+// Customers as far as Order Service needs them: whether the user was deleted. Call these
+// inside a transaction; the written row stays locked until it ends
+class CustomersRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Lock the customer's row, creating it if needed; resolves to whether the user was deleted
+  async lock(userId) {
+    await this.db.run(
+      'INSERT INTO customers (user_id) VALUES (?) ON CONFLICT (user_id) DO UPDATE SET user_id = excluded.user_id',
+      [userId]
+    );
+    const row = await this.db.get('SELECT deleted_at FROM customers WHERE user_id = ?', [userId]);
+    return row.deleted_at !== null;
+  }
+
+  markDeleted(userId) {
+    return this.db.run(
+      `INSERT INTO customers (user_id, deleted_at) VALUES (?, CURRENT_TIMESTAMP)
+       ON CONFLICT (user_id) DO UPDATE SET deleted_at = COALESCE(customers.deleted_at, CURRENT_TIMESTAMP)`,
+      [userId]
+    );
+  }
+}
+
+class WebhookSubscriptionsRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // All subscriptions, or those of one restaurant
+  async list({ restaurantId } = {}) {
+    const rows = restaurantId === undefined
+      ? await this.db.all('SELECT * FROM webhook_subscriptions ORDER BY id')
+      : await this.db.all('SELECT * FROM webhook_subscriptions WHERE restaurant_id = ? ORDER BY id', [restaurantId]);
+    return rows.map(parseWebhookSubscriptionRow);
+  }
+
+  async findById(id) {
+    const row = await this.db.get('SELECT * FROM webhook_subscriptions WHERE id = ?', [id]);
+    return row ? parseWebhookSubscriptionRow(row) : null;
+  }
+
+  // Active subscriptions to eventType for orders of the restaurant: its own and those
+  // without a restaurant. Resolves to database rows, including the secret
+  async listForEvent(eventType, restaurantId) {
+    const rows = await this.db.all(
+      'SELECT * FROM webhook_subscriptions WHERE is_active = 1 AND (restaurant_id IS NULL OR restaurant_id = ?) ORDER BY id',
+      [restaurantId]
+    );
+    return rows.filter(row => JSON.parse(row.event_types).includes(eventType));
+  }
+
+  async create({ restaurantId, url, secret, eventTypes, createdBy }) {
+    const { lastID } = await this.db.run(
+      'INSERT INTO webhook_subscriptions (restaurant_id, url, secret, event_types, created_by) VALUES (?, ?, ?, ?, ?)',
+      [restaurantId, url, secret, JSON.stringify(eventTypes), createdBy]
+    );
+    return this.findById(lastID);
+  }
+
+  // Change the fields given ({ url, secret, eventTypes, isActive }); resolves to the
+  // updated subscription, or null when it does not exist
+  async update(id, { url, secret, eventTypes, isActive }) {
+    const { changes } = await this.db.run(
+      `UPDATE webhook_subscriptions SET
+         url = COALESCE(?, url),
+         secret = COALESCE(?, secret),
+         event_types = COALESCE(?, event_types),
+         is_active = COALESCE(?, is_active),
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [
+        url ?? null,
+        secret ?? null,
+        eventTypes ? JSON.stringify(eventTypes) : null,
+        isActive === undefined ? null : Number(isActive),
+        id
+      ]
+    );
+    return changes === 0 ? null : this.findById(id);
+  }
+
+  // Delete a subscription with its delivery log; resolves to false when it does not exist
+  delete(id) {
+    return this.db.transaction(async (tx) => {
+      await tx.run('DELETE FROM webhook_deliveries WHERE subscription_id = ?', [id]);
+      const { changes } = await tx.run('DELETE FROM webhook_subscriptions WHERE id = ?', [id]);
+      return changes > 0;
+    });
+  }
+}
+
+// A delivery with what is needed to send it: the URL and secret of its subscription
+const SENDABLE_DELIVERY_QUERY = `
+  SELECT d.*, s.url, s.secret, s.is_active
+  FROM webhook_deliveries d
+  JOIN webhook_subscriptions s ON s.id = d.subscription_id`;
+
+// One row per event sent (or to be sent) to a subscription. status is 'pending' while
+// attempts remain (the next one at next_attempt_at), then 'succeeded' or 'failed'
+class WebhookDeliveriesRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Queue an event for a subscription, to be sent right away. Queueing the same event
+  // again does nothing, so an event the bus delivers twice is sent once
+  enqueue(subscriptionId, { eventId, eventType, payload }) {
+    return this.db.run(
+      `INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload, next_attempt_at)
+       VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT (subscription_id, event_id) DO NOTHING`,
+      [subscriptionId, eventId, eventType, payload]
+    );
+  }
+
+  // One page of a subscription's deliveries, newest first; resolves to { deliveries, total }
+  async list(subscriptionId, { status, limit, offset }) {
+    const conditions = ['subscription_id = ?'];
+    const params = [subscriptionId];
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    const where = ` WHERE ${conditions.join(' AND ')}`;
+    const count = await this.db.get(`SELECT COUNT(*) as total FROM webhook_deliveries${where}`, params);
+    const rows = await this.db.all(
+      `SELECT * FROM webhook_deliveries${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return { deliveries: rows.map(parseWebhookDeliveryRow), total: count.total };
+  }
+
+  async findById(subscriptionId, id) {
+    const row = await this.db.get('SELECT * FROM webhook_deliveries WHERE subscription_id = ? AND id = ?', [subscriptionId, id]);
+    return row ? parseWebhookDeliveryRow(row) : null;
+  }
+
+  // Database row of a delivery joined with its subscription (see SENDABLE_DELIVERY_QUERY), or undefined
+  findSendable(subscriptionId, id) {
+    return this.db.get(`${SENDABLE_DELIVERY_QUERY} WHERE d.subscription_id = ? AND d.id = ?`, [subscriptionId, id]);
+  }
+
+  // Pending deliveries of active subscriptions whose next attempt is due at `now`
+  // ('YYYY-MM-DD HH:MM:SS' UTC), oldest first
+  listDue(now, limit) {
+    return this.db.all(
+      `${SENDABLE_DELIVERY_QUERY}
+       WHERE d.status = 'pending' AND s.is_active = 1 AND d.next_attempt_at <= ?
+       ORDER BY d.id LIMIT ?`,
+      [now, limit]
+    );
+  }
+
+  // Record one attempt and the status it leaves the delivery in
+  recordAttempt(id, { status, nextAttemptAt = null, responseStatus = null, error = null }) {
+    return this.db.run(
+      `UPDATE webhook_deliveries SET
+         status = ?,
+         attempts = attempts + 1,
+         next_attempt_at = ?,
+         last_attempt_at = CURRENT_TIMESTAMP,
+         response_status = ?,
+         error = ?,
+         delivered_at = CASE WHEN ? = 'succeeded' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+       WHERE id = ?`,
+      [status, nextAttemptAt, responseStatus, error, status, id]
+    );
+  }
+}
+
+module.exports = {
+  OrdersRepository,
+  CustomersRepository,
+  WebhookSubscriptionsRepository,
+  WebhookDeliveriesRepository
+};
\ No newline at end of file
@@ -1,486 +1,1950 @@
-require('dotenv').config();
-const express = require('express');
-const cors = require('cors');
-const axios = require('axios');
-const swaggerUi = require('swagger-ui-express');
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
-const fs = require('fs');
-
-const app = express();
-const PORT = process.env.PORT || 3002;
-const DB_PATH = process.env.DB_PATH || './database/orders.db';
-const USER_SERVICE_URL = process.env.USER_SERVICE_URL || 'http://localhost:3001';
-
-app.use(cors());
-app.use(express.json());
-
-// Ensure database directory exists
-const dbDir = path.dirname(DB_PATH);
-if (!fs.existsSync(dbDir)) {
-  fs.mkdirSync(dbDir, { recursive: true });
-}
-
-// Initialize SQLite Database
-const db = new sqlite3.Database(DB_PATH, (err) => {
-  if (err) {
-    console.error('Error opening database:', err.message);
-  } else {
-    console.log('Connected to SQLite database:', DB_PATH);
-    initializeDatabase();
-  }
-});
-
-// Create tables and seed initial data
-function initializeDatabase() {
-  db.run(`
-    CREATE TABLE IF NOT EXISTS orders (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER NOT NULL,
-      restaurant_name TEXT NOT NULL,
-      items TEXT NOT NULL,
-      total_price INTEGER NOT NULL,
-      status TEXT DEFAULT 'pending',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `, (err) => {
-    if (err) {
-      console.error('Error creating table:', err.message);
-    } else {
-      console.log('Orders table ready');
-      seedInitialData();
-    }
-  });
-}
-
-// Seed initial data
-function seedInitialData() {
-  db.get('SELECT COUNT(*) as count FROM orders', (err, row) => {
-    if (err) {
-      console.error('Error checking data:', err.message);
-      return;
-    }
-    
-    if (row.count === 0) {
-      const initialOrders = [
-        {
-          user_id: 1,
-          restaurant_name: 'Nasi Goreng Kambing',
-          items: JSON.stringify(['Nasi Goreng Kambing', 'Es Teh Manis']),
-          total_price: 45000,
-          status: 'delivered'
-        },
-        {
-          user_id: 2,
-          restaurant_name: 'Ayam Geprek Bensu',
-          items: JSON.stringify(['Ayam Geprek Level 5', 'Jus Alpukat']),
-          total_price: 35000,
-          status: 'on_delivery'
-        }
-      ];
-
-      const stmt = db.prepare('INSERT INTO orders (user_id, restaurant_name, items, total_price, status) VALUES (?, ?, ?, ?, ?)');
-      initialOrders.forEach(order => {
-        stmt.run([order.user_id, order.restaurant_name, order.items, order.total_price, order.status]);
-      });
-      stmt.finalize();
-      console.log('Initial data seeded');
-    }
-  });
-}
-
-// Swagger Documentation
-const swaggerDocument = {
-  openapi: '3.0.0',
-  info: {
-    title: 'Order Service API with SQLite',
-    version: '2.0.0',
-    description: 'API untuk mengelola pesanan menggunakan SQLite database'
-  },
-  servers: [
-    { url: `http://localhost:${PORT}`, description: 'Order Service' }
-  ],
-  paths: {
-    '/orders': {
-      get: {
-        summary: 'Mendapatkan semua pesanan',
-        parameters: [
-          {
-            name: 'userId',
-            in: 'query',
-            schema: { type: 'integer' },
-            description: 'Filter berdasarkan user ID'
-          }
-        ],
-        responses: {
-          '200': {
-            description: 'Daftar pesanan berhasil diambil'
-          }
-        }
-      },
-      post: {
-        summary: 'Membuat pesanan baru',
-        requestBody: {
-          required: true,
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                required: ['userId', 'restaurantName', 'items', 'totalPrice'],
-                properties: {
-                  userId: { type: 'integer', example: 1 },
-                  restaurantName: { type: 'string', example: 'Sate Padang Ajo Ramon' },
-                  items: {
-                    type: 'array',
-                    items: { type: 'string' },
-                    example: ['Sate Padang', 'Lontong', 'Es Teh']
-                  },
-                  totalPrice: { type: 'number', example: 50000 }
-                }
-              }
-            }
-          }
-        },
-        responses: {
-          '201': {
-            description: 'Pesanan berhasil dibuat'
-          }
-        }
-      }
-    },
-    '/orders/{id}': {
-      get: {
-        summary: 'Mendapatkan detail pesanan',
-        parameters: [
-          {
-            name: 'id',
-            in: 'path',
-            required: true,
-            schema: { type: 'integer' }
-          }
-        ],
-        responses: {
-          '200': {
-            description: 'Detail pesanan'
-          }
-        }
-      },
-      put: {
-        summary: 'Update pesanan',
-        parameters: [
-          {
-            name: 'id',
-            in: 'path',
-            required: true,
-            schema: { type: 'integer' }
-          }
-        ],
-        requestBody: {
-          required: true,
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  status: {
-                    type: 'string',
-                    enum: ['pending', 'processing', 'on_delivery', 'delivered', 'cancelled']
-                  }
-                }
-              }
-            }
-          }
-        },
-        responses: {
-          '200': {
-            description: 'Pesanan berhasil diupdate'
-          }
-        }
-      }
-    },
-    '/orders/{id}/with-user': {
-      get: {
-        summary: 'Mendapatkan detail pesanan dengan data user (Integrasi dengan User Service)',
-        parameters: [
-          {
-            name: 'id',
-            in: 'path',
-            required: true,
-            schema: { type: 'integer' }
-          }
-        ],
-        responses: {
-          '200': {
-            description: 'Detail pesanan dengan informasi user'
-          }
-        }
-      }
-    }
-  }
-};
-
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument));
-
-// Helper function to parse order items
-function parseOrderRow(row) {
-  return {
-    ...row,
-    items: JSON.parse(row.items),
-    totalPrice: row.total_price,
-    userId: row.user_id,
-    restaurantName: row.restaurant_name,
-    createdAt: row.created_at
-  };
-}
-
-// Routes
-app.get('/orders', (req, res) => {
-  let query = 'SELECT * FROM orders';
-  let params = [];
-  
-  if (req.query.userId) {
-    query += ' WHERE user_id = ?';
-    params.push(req.query.userId);
-  }
-  
-  query += ' ORDER BY id DESC';
-  
-  db.all(query, params, (err, rows) => {
-    if (err) {
-      return res.status(500).json({
-        success: false,
-        message: 'Error fetching orders',
-        error: err.message
-      });
-    }
-    
-    const orders = rows.map(parseOrderRow);
-    res.json({
-      success: true,
-      data: orders
-    });
-  });
-});
-
-app.get('/orders/:id', (req, res) => {
-  db.get('SELECT * FROM orders WHERE id = ?', [req.params.id], (err, row) => {
-    if (err) {
-      return res.status(500).json({
-        success: false,
-        message: 'Error fetching order',
-        error: err.message
-      });
-    }
-    if (!row) {
-      return res.status(404).json({
-        success: false,
-        message: 'Order tidak ditemukan'
-      });
-    }
-    
-    const order = parseOrderRow(row);
-    res.json({
-      success: true,
-      data: order
-    });
-  });
-});
-
-// Endpoint dengan integrasi ke User Service (Service-to-Service Communication)
-app.get('/orders/:id/with-user', async (req, res) => {
-  try {
-    // Get order from database
-    db.get('SELECT * FROM orders WHERE id = ?', [req.params.id], async (err, row) => {
-      if (err) {
-        return res.status(500).json({
-          success: false,
-          message: 'Error fetching order',
-          error: err.message
-        });
-      }
-      if (!row) {
-        return res.status(404).json({
-          success: false,
-          message: 'Order tidak ditemukan'
-        });
-      }
-
-      const order = parseOrderRow(row);
-
-      try {
-        // Panggil User Service untuk mendapatkan data user
-        const userResponse = await axios.get(`${USER_SERVICE_URL}/users/${order.userId}`);
-        
-        res.json({
-          success: true,
-          data: {
-            ...order,
-            userDetails: userResponse.data.data
-          }
-        });
-      } catch (userError) {
-        res.status(500).json({
-          success: false,
-          message: 'Gagal mengambil data user',
-          error: userError.message
-        });
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error processing request',
-      error: error.message
-    });
-  }
-});
-
-app.post('/orders', (req, res) => {
-  const { userId, restaurantName, items, totalPrice } = req.body;
-  
-  if (!userId || !restaurantName || !items || !totalPrice) {
-    return res.status(400).json({
-      success: false,
-      message: 'Semua field wajib diisi'
-    });
-  }
-
-  const itemsJson = JSON.stringify(items);
-  
-  db.run(
-    'INSERT INTO orders (user_id, restaurant_name, items, total_price, status) VALUES (?, ?, ?, ?, ?)',
-    [userId, restaurantName, itemsJson, totalPrice, 'pending'],
-    function(err) {
-      if (err) {
-        return res.status(500).json({
-          success: false,
-          message: 'Error creating order',
-          error: err.message
-        });
-      }
-      
-      db.get('SELECT * FROM orders WHERE id = ?', [this.lastID], (err, row) => {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Error fetching created order',
-            error: err.message
-          });
-        }
-        
-        const order = parseOrderRow(row);
-        res.status(201).json({
-          success: true,
-          data: order
-        });
-      });
-    }
-  );
-});
-
-app.put('/orders/:id', (req, res) => {
-  const { status, restaurantName, items, totalPrice } = req.body;
-  
-  // Build dynamic update query
-  let updateFields = [];
-  let params = [];
-  
-  if (status) {
-    updateFields.push('status = ?');
-    params.push(status);
-  }
-  if (restaurantName) {
-    updateFields.push('restaurant_name = ?');
-    params.push(restaurantName);
-  }
-  if (items) {
-    updateFields.push('items = ?');
-    params.push(JSON.stringify(items));
-  }
-  if (totalPrice) {
-    updateFields.push('total_price = ?');
-    params.push(totalPrice);
-  }
-  
-  if (updateFields.length === 0) {
-    return res.status(400).json({
-      success: false,
-      message: 'Tidak ada field yang diupdate'
-    });
-  }
-  
-  params.push(req.params.id);
-  const query = `UPDATE orders SET ${updateFields.join(', ')} WHERE id = ?`;
-  
-  db.run(query, params, function(err) {
-    if (err) {
-      return res.status(500).json({
-        success: false,
-        message: 'Error updating order',
-        error: err.message
-      });
-    }
-    if (this.changes === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Order tidak ditemukan'
-      });
-    }
-    
-    db.get('SELECT * FROM orders WHERE id = ?', [req.params.id], (err, row) => {
-      if (err) {
-        return res.status(500).json({
-          success: false,
-          message: 'Error fetching updated order',
-          error: err.message
-        });
-      }
-      
-      const order = parseOrderRow(row);
-      res.json({
-        success: true,
-        data: order
-      });
-    });
-  });
-});
-
-app.delete('/orders/:id', (req, res) => {
-  db.run('DELETE FROM orders WHERE id = ?', [req.params.id], function(err) {
-    if (err) {
-      return res.status(500).json({
-        success: false,
-        message: 'Error deleting order',
-        error: err.message
-      });
-    }
-    if (this.changes === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Order tidak ditemukan'
-      });
-    }
-    res.json({
-      success: true,
-      message: 'Order berhasil dihapus'
-    });
-  });
-});
-
-// Graceful shutdown
-process.on('SIGINT', () => {
-  db.close((err) => {
-    if (err) {
-      console.error('Error closing database:', err.message);
-    } else {
-      console.log('Database connection closed');
-    }
-    process.exit(0);
-  });
-});
-
-app.listen(PORT, () => {
-  console.log(`Order Service running on http://localhost:${PORT}`);
-  console.log(`Database: ${DB_PATH}`);
-  console.log(`Swagger UI available at http://localhost:${PORT}/api-docs`);
+require('dotenv').config();
+const express = require('express');
+const cors = require('cors');
+const axios = require('axios');
+const swaggerUi = require('swagger-ui-express');
+const { EventEmitter } = require('events');
+const { migrateUp } = require('./migrate');
+const { openStorage, storageConfig } = require('../storage');
+const { createRequestValidator } = require('../validation');
+const { internalHeaders, requireInternalToken } = require('../identity');
+const { openEventBus, OutboxRepository } = require('../eventbus');
+const { createIdempotencyMiddleware } = require('../idempotency');
+const { seedIfEmpty } = require('../seed');
+const {
+  OrdersRepository,
+  CustomersRepository,
+  WebhookSubscriptionsRepository,
+  WebhookDeliveriesRepository
+} = require('./repositories');
+const { WEBHOOK_EVENT_TYPES, checkWebhookUrl, generateSecret, redeliver, startWebhookDispatcher } = require('./webhooks');
+
+const app = express();
+const PORT = process.env.PORT || 3002;
+const USER_SERVICE_URL = process.env.USER_SERVICE_URL || 'http://localhost:3001';
+const RESTAURANT_SERVICE_URL = process.env.RESTAURANT_SERVICE_URL || 'http://localhost:3003';
+const RESTAURANT_SERVICE_TIMEOUT_MS = parseInt(process.env.RESTAURANT_SERVICE_TIMEOUT_MS, 10) || 3000;
+const DELIVERY_SERVICE_URL = process.env.DELIVERY_SERVICE_URL || 'http://localhost:3005';
+const DELIVERY_SERVICE_TIMEOUT_MS = parseInt(process.env.DELIVERY_SERVICE_TIMEOUT_MS, 10) || 3000;
+
+// What to do when User Service cannot be reached while creating an order:
+// 'fail-closed' rejects the order with 503, 'fail-open' accepts it without verifying the user
+const USER_VALIDATION_MODE = process.env.USER_VALIDATION_MODE === 'fail-open' ? 'fail-open' : 'fail-closed';
+const USER_SERVICE_TIMEOUT_MS = parseInt(process.env.USER_SERVICE_TIMEOUT_MS, 10) || 3000;
+
+// Comment lines sent on idle event streams so proxies do not close them
+const EVENT_STREAM_HEARTBEAT_MS = parseInt(process.env.EVENT_STREAM_HEARTBEAT_MS, 10) || 25000;
+
+app.use(cors());
+app.use(express.json());
+
+// Open the database selected by DB_DRIVER (sqlite by default, memory or postgres), see storage/
+let database;
+try {
+  database = openStorage(storageConfig('', './database/orders.db'));
+} catch (err) {
+  console.error('Error opening database:', err.message);
+  process.exit(1);
+}
+console.log('Using database:', database.description);
+const ordersRepository = new OrdersRepository(database);
+const webhookSubscriptionsRepository = new WebhookSubscriptionsRepository(database);
+const webhookDeliveriesRepository = new WebhookDeliveriesRepository(database);
+
+// Makes a create endpoint safe to retry with an Idempotency-Key header, see idempotency/
+const idempotent = createIdempotencyMiddleware(database);
+
+// OrderCreated, OrderStatusChanged and OrderCancelled are written to the outbox with the
+// change and relayed to the event bus (see eventbus/) once the outbox table exists
+const eventBus = openEventBus();
+// Sends order events to webhook subscribers (see webhooks.js), started with the outbox relay
+let webhookDispatcher = null;
+
+// Bring the schema up to date (see migrate.js) and seed initial data. The service does not
+// start on a database whose migrations failed
+function initializeDatabase() {
+  migrateUp(database)
+    .then((applied) => {
+      console.log(applied.length > 0
+        ? `Applied ${applied.length} migration(s): ${applied.map(migration => migration.id).join(', ')}`
+        : 'Database schema up to date');
+      eventBus.relayOutbox('order-service', database);
+      webhookDispatcher = startWebhookDispatcher({ database, eventBus });
+      subscribeToDeliveryEvents();
+      return seedInitialData();
+    })
+    .catch((err) => {
+      console.error('Error migrating database:', err.message);
+      process.exit(1);
+    });
+}
+
+// Delivery Service publishes DeliveryAssigned when it gives an order's delivery to a courier;
+// from then on only that courier may see and deliver the order
+function subscribeToDeliveryEvents() {
+  eventBus.subscribe('order-service.deliveries', ['DeliveryAssigned'], async (event) => {
+    const { orderId, courierId } = event.data;
+    if (await ordersRepository.assignCourier(orderId, courierId)) {
+      console.log(`Order ${orderId} assigned to courier ${courierId}`);
+    }
+  });
+}
+
+// Load the demo fixtures (fixtures/orders.json) into an empty database when SEED_ON_STARTUP=true,
+// see seed.js. Without it the service starts with an empty database
+function seedInitialData() {
+  if (process.env.SEED_ON_STARTUP !== 'true') {
+    return;
+  }
+  return seedIfEmpty('orders', database)
+    .then((count) => {
+      if (count > 0) {
+        console.log(`Initial data seeded (${count} orders)`);
+      }
+    })
+    .catch((err) => {
+      console.error('Error seeding data:', err.message);
+    });
+}
+
+initializeDatabase();
+
+const ORDER_STATUSES = ['pending', 'processing', 'on_delivery', 'delivered', 'cancelled'];
+const MAX_ITEM_NOTES_LENGTH = 200;
+
+// from/to listing filters: YYYY-MM-DD or YYYY-MM-DDTHH:MM[:SS]
+const DATE_PARAMETER_PATTERN = '^\\d{4}-\\d{2}-\\d{2}([T ]\\d{2}:\\d{2}(:\\d{2})?)?$';
+
+// Allowed status transitions; delivered and cancelled are final
+const STATUS_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['on_delivery', 'cancelled'],
+  on_delivery: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+const IF_MATCH_PARAMETER = {
+  name: 'If-Match',
+  in: 'header',
+  schema: { type: 'string', example: '"2"' },
+  description: 'ETag dari pembacaan sebelumnya; perubahan ditolak dengan 412 jika pesanan sudah berubah'
+};
+
+const WEBHOOK_ID_PARAMETER = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  schema: { type: 'integer', minimum: 1 }
+};
+
+const DELIVERY_ID_PARAMETER = {
+  name: 'deliveryId',
+  in: 'path',
+  required: true,
+  schema: { type: 'integer', minimum: 1 }
+};
+
+const WEBHOOK_URL_SCHEMA = {
+  type: 'string',
+  format: 'uri',
+  pattern: '^https?://',
+  maxLength: 2000,
+  example: 'https://partner.example.com/hooks/orders',
+  description: 'URL publik; host lokal, jaringan privat dan service internal ditolak'
+};
+const WEBHOOK_EVENT_TYPES_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  uniqueItems: true,
+  items: { type: 'string', enum: WEBHOOK_EVENT_TYPES },
+  example: ['order.created', 'order.status_changed']
+};
+const WEBHOOK_SECRET_SCHEMA = { type: 'string', minLength: 16, maxLength: 200, description: 'Kunci HMAC untuk header X-Webhook-Signature' };
+
+// Swagger path item for the POST /orders/{id}/<action> status endpoints
+function statusActionDoc(summary, requestBody) {
+  return {
+    post: {
+      summary,
+      parameters: [
+        {
+          name: 'id',
+          in: 'path',
+          required: true,
+          schema: { type: 'integer', minimum: 1 }
+        },
+        {
+          name: 'X-User-Id',
+          in: 'header',
+          schema: { type: 'integer' },
+          description: 'ID user pemanggil, diisi oleh API Gateway (dicatat di riwayat status)'
+        },
+        IF_MATCH_PARAMETER
+      ],
+      ...(requestBody && { requestBody }),
+      responses: {
+        '200': {
+          description: 'Status pesanan berhasil diubah'
+        },
+        '404': {
+          description: 'Order tidak ditemukan'
+        },
+        '409': {
+          description: 'Perubahan status tidak diizinkan dari status saat ini'
+        },
+        '412': {
+          description: 'If-Match tidak sesuai dengan versi pesanan saat ini, atau pesanan diubah request lain saat diupdate (header ETag berisi versi terbaru)'
+        }
+      }
+    }
+  };
+}
+
+// Swagger Documentation
+const swaggerDocument = {
+  openapi: '3.0.0',
+  info: {
+    title: 'Order Service API with SQLite',
+    version: '2.0.0',
+    description: 'API untuk mengelola pesanan menggunakan SQLite database'
+  },
+  servers: [
+    { url: `http://localhost:${PORT}`, description: 'Order Service' }
+  ],
+  paths: {
+    '/health': {
+      get: {
+        summary: 'Liveness check',
+        responses: {
+          '200': {
+            description: 'Service berjalan'
+          }
+        }
+      }
+    },
+    '/ready': {
+      get: {
+        summary: 'Readiness check (koneksi database)',
+        responses: {
+          '200': {
+            description: 'Service siap menerima request'
+          },
+          '503': {
+            description: 'Database tidak dapat diakses'
+          }
+        }
+      }
+    },
+    '/orders': {
+      get: {
+        summary: 'Mendapatkan semua pesanan',
+        parameters: [
+          {
+            name: 'userId',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1 },
+            description: 'Filter berdasarkan user ID'
+          },
+          {
+            name: 'status',
+            in: 'query',
+            schema: { type: 'string', pattern: `^(${ORDER_STATUSES.join('|')})(,(${ORDER_STATUSES.join('|')}))*$`, example: 'pending,processing' },
+            description: 'Filter status, pisahkan dengan koma untuk beberapa status'
+          },
+          {
+            name: 'restaurantId',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1 },
+            description: 'Filter berdasarkan restoran'
+          },
+          {
+            name: 'minPrice',
+            in: 'query',
+            schema: { type: 'integer', minimum: 0 },
+            description: 'Total harga minimum'
+          },
+          {
+            name: 'maxPrice',
+            in: 'query',
+            schema: { type: 'integer', minimum: 0 },
+            description: 'Total harga maksimum'
+          },
+          {
+            name: 'from',
+            in: 'query',
+            schema: { type: 'string', pattern: DATE_PARAMETER_PATTERN, example: '2024-01-01' },
+            description: 'Dibuat sejak (YYYY-MM-DD atau YYYY-MM-DDTHH:MM:SS, UTC)'
+          },
+          {
+            name: 'to',
+            in: 'query',
+            schema: { type: 'string', pattern: DATE_PARAMETER_PATTERN, example: '2024-12-31' },
+            description: 'Dibuat sampai (tanggal saja berarti sampai akhir hari tersebut, UTC)'
+          },
+          {
+            name: 'sort',
+            in: 'query',
+            schema: { type: 'string', enum: ['id', '-id', 'createdAt', '-createdAt', 'totalPrice', '-totalPrice', 'status', '-status'], default: '-id' },
+            description: 'Urutan hasil; awalan - untuk urutan menurun'
+          },
+          {
+            name: 'page',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1, default: 1 }
+          },
+          {
+            name: 'limit',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Daftar pesanan berhasil diambil, beserta pagination (page, limit, total, totalPages)'
+          },
+          '400': {
+            description: 'Parameter filter, sort atau pagination tidak valid'
+          }
+        }
+      },
+      post: {
+        summary: 'Membuat pesanan baru',
+        description: 'Nama restoran, harga item dan total harga dihitung dari Restaurant Service',
+        parameters: [
+          {
+            name: 'Idempotency-Key',
+            in: 'header',
+            schema: { type: 'string', maxLength: 255 },
+            description: 'Kunci unik per pesanan; request ulang dengan kunci dan body yang sama mengembalikan respons pertama'
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['restaurantId', 'items'],
+                properties: {
+                  userId: { type: 'integer', minimum: 1, example: 1, description: 'Default: user pemanggil (X-User-Id)' },
+                  restaurantId: { type: 'integer', minimum: 1, example: 1 },
+                  addressId: {
+                    type: 'integer',
+                    minimum: 1,
+                    example: 2,
+                    description: 'Alamat tersimpan user (User Service /users/{id}/addresses). Default: alamat utama user, atau alamat profil jika belum ada'
+                  },
+                  items: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                      type: 'object',
+                      required: ['menuItemId', 'quantity'],
+                      properties: {
+                        menuItemId: { type: 'integer', minimum: 1, example: 3 },
+                        quantity: { type: 'integer', minimum: 1, example: 2 },
+                        modifiers: {
+                          type: 'object',
+                          description: 'Pilihan item (nilai string/angka/boolean), mis. level pedas',
+                          additionalProperties: {
+                            oneOf: [{ type: 'string' }, { type: 'number' }, { type: 'boolean' }]
+                          },
+                          example: { spiceLevel: 5 }
+                        },
+                        notes: { type: 'string', nullable: true, maxLength: MAX_ITEM_NOTES_LENGTH, example: 'Sambal dipisah' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '201': {
+            description: 'Pesanan berhasil dibuat'
+          },
+          '409': {
+            description: 'Idempotency-Key sudah dipakai untuk body berbeda atau request pertama masih diproses'
+          },
+          '422': {
+            description: 'User, alamat, restoran atau menu tidak ditemukan / tidak tersedia'
+          },
+          '503': {
+            description: 'User Service (mode fail-closed) atau Restaurant Service tidak dapat dihubungi'
+          }
+        }
+      }
+    },
+    '/orders/events': {
+      get: {
+        summary: 'Stream perubahan status pesanan (Server-Sent Events)',
+        description: 'Event order.created dan order.status_changed untuk pesanan yang dapat dilihat pemanggil. Koneksi tetap terbuka; baris komentar dikirim berkala sebagai heartbeat',
+        parameters: [
+          {
+            name: 'userId',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1 },
+            description: 'Hanya pesanan milik user ini (customer hanya dapat memakai ID sendiri)'
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Stream text/event-stream; data setiap event berisi orderId, userId, restaurantId, fromStatus, toStatus, actor, reason, occurredAt dan order'
+          },
+          '403': {
+            description: 'Customer meminta pesanan user lain'
+          }
+        }
+      }
+    },
+    '/orders/{id}': {
+      get: {
+        summary: 'Mendapatkan detail pesanan',
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer', minimum: 1 }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Detail pesanan beserta line items (nama, harga satuan, quantity, modifiers, notes, subtotal), dengan header ETag berisi versi pesanan'
+          }
+        }
+      },
+      put: {
+        summary: 'Update status pesanan',
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer', minimum: 1 }
+          },
+          IF_MATCH_PARAMETER
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['status'],
+                properties: {
+                  status: {
+                    type: 'string',
+                    enum: ORDER_STATUSES
+                  },
+                  reason: { type: 'string', description: 'Wajib diisi jika status = cancelled' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Pesanan berhasil diupdate'
+          },
+          '400': {
+            description: 'Status tidak dikenal'
+          },
+          '409': {
+            description: 'Perubahan status tidak diizinkan dari status saat ini'
+          },
+          '412': {
+            description: 'If-Match tidak sesuai dengan versi pesanan saat ini, atau pesanan diubah request lain saat diupdate (header ETag berisi versi terbaru)'
+          }
+        }
+      },
+      patch: {
+        summary: 'Update sebagian pesanan: status dan/atau alamat pengiriman (alamat hanya selama pending)',
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer', minimum: 1 }
+          },
+          IF_MATCH_PARAMETER
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                minProperties: 1,
+                additionalProperties: false,
+                properties: {
+                  status: {
+                    type: 'string',
+                    enum: ORDER_STATUSES
+                  },
+                  reason: { type: 'string', description: 'Wajib diisi jika status = cancelled' },
+                  customerAddress: { type: 'string', minLength: 1, maxLength: 255, example: 'Jl. Gatot Subroto No. 10, Jakarta' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Pesanan berhasil diupdate, dengan header ETag versi baru'
+          },
+          '400': {
+            description: 'Tidak ada status atau alamat yang diubah'
+          },
+          '403': {
+            description: 'Alamat hanya dapat diubah oleh pemesan atau admin'
+          },
+          '409': {
+            description: 'Perubahan status tidak diizinkan, kurir masih memiliki pengantaran aktif, atau alamat diubah setelah pesanan diproses'
+          },
+          '412': {
+            description: 'If-Match tidak sesuai dengan versi pesanan saat ini, atau pesanan diubah request lain saat diupdate (header ETag berisi versi terbaru)'
+          }
+        }
+      }
+    },
+    '/orders/{id}/accept': statusActionDoc('Restoran menerima pesanan (pending → processing)'),
+    '/orders/{id}/dispatch': statusActionDoc('Pesanan dikirim kurir (processing → on_delivery). Kurir hanya dapat mengambil pesanan yang ditugaskan kepadanya, atau pesanan tanpa kurir selama tidak memiliki pengantaran aktif'),
+    '/orders/{id}/deliver': statusActionDoc('Pesanan diterima pelanggan (on_delivery → delivered)'),
+    '/orders/{id}/cancel': statusActionDoc('Batalkan pesanan (pending/processing → cancelled)', {
+      required: true,
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            required: ['reason'],
+            properties: {
+              reason: { type: 'string', minLength: 1, example: 'Restoran kehabisan bahan' }
+            }
+          }
+        }
+      }
+    }),
+    '/orders/{id}/history': {
+      get: {
+        summary: 'Riwayat perubahan status pesanan',
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer', minimum: 1 }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Daftar perubahan status (from, to, actor, reason, timestamp)'
+          },
+          '404': {
+            description: 'Order tidak ditemukan'
+          }
+        }
+      }
+    },
+    '/orders/{id}/events': {
+      get: {
+        summary: 'Stream perubahan status satu pesanan (Server-Sent Events)',
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer', minimum: 1 }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Stream text/event-stream berisi event order.status_changed pesanan ini'
+          },
+          '404': {
+            description: 'Order tidak ditemukan'
+          }
+        }
+      }
+    },
+    '/orders/{id}/with-user': {
+      get: {
+        summary: 'Mendapatkan detail pesanan dengan data user (Integrasi dengan User Service)',
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer', minimum: 1 }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Detail pesanan dengan informasi user. Untuk user yang sudah dihapus, userDetails diambil dari snapshot pesanan (deleted: true)'
+          },
+          '503': {
+            description: 'User Service tidak dapat dihubungi'
+          }
+        }
+      }
+    },
+    '/orders/{id}/with-delivery': {
+      get: {
+        summary: 'Mendapatkan detail pesanan dengan data pengantaran (Integrasi dengan Delivery Service)',
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer', minimum: 1 }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Detail pesanan dengan kurir yang ditugaskan serta waktu penugasan, pengambilan dan pengantaran. delivery bernilai null sebelum restoran menerima pesanan'
+          },
+          '503': {
+            description: 'Delivery Service tidak dapat dihubungi'
+          }
+        }
+      }
+    },
+    '/webhooks': {
+      get: {
+        summary: 'Daftar webhook (admin: semua, staff: milik restorannya)',
+        parameters: [
+          {
+            name: 'restaurantId',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1 },
+            description: 'Filter berdasarkan restoran (admin)'
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Daftar webhook, tanpa secret'
+          }
+        }
+      },
+      post: {
+        summary: 'Mendaftarkan webhook untuk event pesanan',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['url', 'eventTypes'],
+                additionalProperties: false,
+                properties: {
+                  url: WEBHOOK_URL_SCHEMA,
+                  eventTypes: WEBHOOK_EVENT_TYPES_SCHEMA,
+                  restaurantId: {
+                    type: 'integer',
+                    minimum: 1,
+                    nullable: true,
+                    description: 'Hanya event pesanan restoran ini. Staff selalu restorannya sendiri; admin boleh null untuk semua restoran (partner)'
+                  },
+                  secret: { ...WEBHOOK_SECRET_SCHEMA, description: 'Kunci HMAC; dibuat otomatis jika tidak diisi' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '201': {
+            description: 'Webhook terdaftar; secret hanya ditampilkan di respons ini'
+          },
+          '400': {
+            description: 'Data tidak valid, atau URL mengarah ke alamat lokal, jaringan privat atau service internal'
+          },
+          '403': {
+            description: 'Staff mendaftarkan webhook untuk restoran lain'
+          }
+        }
+      }
+    },
+    '/webhooks/{id}': {
+      get: {
+        summary: 'Detail webhook',
+        parameters: [WEBHOOK_ID_PARAMETER],
+        responses: {
+          '200': {
+            description: 'Detail webhook, tanpa secret'
+          },
+          '404': {
+            description: 'Webhook tidak ditemukan'
+          }
+        }
+      },
+      patch: {
+        summary: 'Mengubah URL, event, secret atau status aktif webhook',
+        parameters: [WEBHOOK_ID_PARAMETER],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                minProperties: 1,
+                additionalProperties: false,
+                properties: {
+                  url: WEBHOOK_URL_SCHEMA,
+                  eventTypes: WEBHOOK_EVENT_TYPES_SCHEMA,
+                  secret: WEBHOOK_SECRET_SCHEMA,
+                  isActive: {
+                    type: 'boolean',
+                    description: 'Webhook nonaktif tidak menerima event baru; pengiriman yang tertunda dilanjutkan saat diaktifkan kembali'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Webhook berhasil diubah'
+          },
+          '400': {
+            description: 'Data tidak valid, atau URL mengarah ke alamat lokal, jaringan privat atau service internal'
+          },
+          '404': {
+            description: 'Webhook tidak ditemukan'
+          }
+        }
+      },
+      delete: {
+        summary: 'Menghapus webhook beserta log pengirimannya',
+        parameters: [WEBHOOK_ID_PARAMETER],
+        responses: {
+          '200': {
+            description: 'Webhook berhasil dihapus'
+          },
+          '404': {
+            description: 'Webhook tidak ditemukan'
+          }
+        }
+      }
+    },
+    '/webhooks/{id}/deliveries': {
+      get: {
+        summary: 'Log pengiriman webhook, terbaru lebih dulu',
+        parameters: [
+          WEBHOOK_ID_PARAMETER,
+          {
+            name: 'status',
+            in: 'query',
+            schema: { type: 'string', enum: ['pending', 'succeeded', 'failed'] }
+          },
+          {
+            name: 'page',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1, default: 1 }
+          },
+          {
+            name: 'limit',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Pengiriman dengan payload, jumlah percobaan, status HTTP dan error terakhir'
+          },
+          '404': {
+            description: 'Webhook tidak ditemukan'
+          }
+        }
+      }
+    },
+    '/webhooks/{id}/deliveries/{deliveryId}': {
+      get: {
+        summary: 'Detail satu pengiriman webhook',
+        parameters: [WEBHOOK_ID_PARAMETER, DELIVERY_ID_PARAMETER],
+        responses: {
+          '200': {
+            description: 'Detail pengiriman'
+          },
+          '404': {
+            description: 'Webhook atau pengiriman tidak ditemukan'
+          }
+        }
+      }
+    },
+    '/webhooks/{id}/deliveries/{deliveryId}/redeliver': {
+      post: {
+        summary: 'Mengirim ulang satu event sekarang (sekali, tanpa retry otomatis jika gagal)',
+        parameters: [WEBHOOK_ID_PARAMETER, DELIVERY_ID_PARAMETER],
+        responses: {
+          '200': {
+            description: 'Hasil pengiriman ulang (status succeeded atau failed)'
+          },
+          '404': {
+            description: 'Webhook atau pengiriman tidak ditemukan'
+          },
+          '409': {
+            description: 'Webhook sedang nonaktif'
+          }
+        }
+      }
+    },
+    '/internal/user-deletions': {
+      post: {
+        summary: 'Persiapan penghapusan user (dipanggil oleh User Service, tidak diekspos lewat API Gateway)',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['userId'],
+                properties: {
+                  userId: { type: 'integer', minimum: 1, example: 1 },
+                  name: { type: 'string', nullable: true, example: 'John Doe' },
+                  address: { type: 'string', nullable: true, example: 'Jl. Sudirman No. 1, Jakarta' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Tidak ada pesanan aktif; snapshot nama dan alamat disimpan pada pesanan user'
+          },
+          '409': {
+            description: 'User masih memiliki pesanan aktif'
+          }
+        }
+      }
+    }
+  }
+};
+
+app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument));
+
+// ===== REQUEST VALIDATION =====
+// Requests are checked against the schemas in swaggerDocument, see validation/
+app.use(createRequestValidator(swaggerDocument));
+
+const startedAt = Date.now();
+
+// ===== HEALTH ROUTES =====
+// Liveness: the process is up and serving requests
+app.get('/health', (req, res) => {
+  res.json({
+    success: true,
+    status: 'ok',
+    service: 'order-service',
+    uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Readiness: the database answers queries and the orders table has been created
+app.get('/ready', async (req, res) => {
+  const started = Date.now();
+  let check;
+  try {
+    await database.get('SELECT 1 FROM orders LIMIT 1');
+    check = { status: 'up', latencyMs: Date.now() - started };
+  } catch (err) {
+    check = { status: 'down', error: err.message };
+  }
+  const ready = check.status === 'up';
+  res.status(ready ? 200 : 503).json({
+    success: ready,
+    status: ready ? 'ready' : 'not_ready',
+    service: 'order-service',
+    checks: { database: check },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Only the API Gateway and other services may call this service (see identity/)
+app.use(requireInternalToken());
+
+// Caller identity forwarded by the API Gateway; null for internal service-to-service calls
+function getCaller(req) {
+  const userId = req.get('X-User-Id');
+  if (!userId) {
+    return null;
+  }
+  const restaurantId = req.get('X-User-Restaurant-Id');
+  return {
+    id: parseInt(userId, 10),
+    email: req.get('X-User-Email'),
+    role: req.get('X-User-Role') || 'customer',
+    restaurantId: restaurantId ? parseInt(restaurantId, 10) : null
+  };
+}
+
+// Who is performing the request, as recorded in order_status_history
+function getActor(req) {
+  const caller = getCaller(req);
+  return caller ? `${caller.role}:${caller.id}` : 'system';
+}
+
+// Consistent 403 response, same shape as the API Gateway and other services
+function forbidden(res, reason) {
+  return res.status(403).json({
+    success: false,
+    code: 'FORBIDDEN',
+    message: 'Akses ditolak',
+    reason
+  });
+}
+
+// Strong ETag for an order version, e.g. "3"
+function versionTag(version) {
+  return `"${version}"`;
+}
+
+// Whether an If-Match header allows changing an order at this version; no header always matches
+function matchesIfMatch(ifMatch, version) {
+  if (ifMatch === undefined || ifMatch.trim() === '*') {
+    return true;
+  }
+  return ifMatch.split(',').map(tag => tag.trim()).includes(versionTag(version));
+}
+
+// Roles (besides admin) allowed to move an order into each status
+const STATUS_PERMISSIONS = {
+  processing: ['restaurant_staff'],
+  on_delivery: ['courier'],
+  delivered: ['courier'],
+  cancelled: ['customer', 'restaurant_staff']
+};
+
+// Orders that are not finished yet; a user with any of these cannot be deleted
+const ACTIVE_STATUSES = ['pending', 'processing', 'on_delivery'];
+
+// Orders a courier is still delivering or has yet to pick up; a courier with any of these
+// cannot pick up an order nobody was assigned to
+const COURIER_ACTIVE_STATUSES = ['processing', 'on_delivery'];
+
+// Whether the caller may see an order (row uses database column names)
+function canViewOrder(caller, row) {
+  if (!caller || caller.role === 'admin') {
+    return true;
+  }
+  switch (caller.role) {
+    case 'customer':
+      return row.user_id === caller.id;
+    case 'restaurant_staff':
+      return row.restaurant_id === caller.restaurantId;
+    // Their own deliveries, and orders waiting for pickup that no courier was assigned to
+    case 'courier':
+      return row.courier_id === caller.id || (row.status === 'processing' && row.courier_id === null);
+    default:
+      return false;
+  }
+}
+
+// Reason the caller may not move the order to toStatus, or null when allowed
+function transitionDenialReason(caller, row, toStatus) {
+  if (!caller || caller.role === 'admin') {
+    return null;
+  }
+  if (!(STATUS_PERMISSIONS[toStatus] || []).includes(caller.role)) {
+    return `Role ${caller.role} tidak dapat mengubah status menjadi ${toStatus}`;
+  }
+  if (!canViewOrder(caller, row)) {
+    return 'Pesanan ini tidak dapat diakses';
+  }
+  return null;
+}
+
+// 412 for a change to an order that is no longer at the version it was read at
+function preconditionFailed(currentVersion) {
+  return httpError(412, 'Pesanan telah diubah oleh pengguna lain, muat ulang lalu coba lagi', {
+    code: 'PRECONDITION_FAILED',
+    currentVersion
+  });
+}
+
+// Apply changes ({ status, reason, customerAddress }) to an order, recording a status change
+// in the history. The checks and the write run in one transaction; the order must still
+// have the version that was read, and that version must match ifMatch when the client sent one.
+// Resolves to the updated order; rejects with an httpError for 400/403/404/409/412 cases.
+async function updateOrder(orderId, changes, { caller, actor, ifMatch }) {
+  const { status: toStatus, reason, customerAddress } = changes;
+
+  if (toStatus === undefined && customerAddress === undefined) {
+    throw httpError(400, 'Tidak ada field yang diupdate');
+  }
+  if (toStatus !== undefined && !ORDER_STATUSES.includes(toStatus)) {
+    throw httpError(400, `Status tidak dikenal: ${toStatus}`, { allowedStatuses: ORDER_STATUSES });
+  }
+  if (toStatus === 'cancelled' && !reason) {
+    throw httpError(400, 'Alasan pembatalan (reason) wajib diisi');
+  }
+
+  return database.transaction(async (tx) => {
+    const orders = new OrdersRepository(tx);
+    const row = await orders.findState(orderId);
+    if (!row) {
+      throw httpError(404, 'Order tidak ditemukan');
+    }
+    if (!matchesIfMatch(ifMatch, row.version)) {
+      throw preconditionFailed(row.version);
+    }
+
+    if (toStatus !== undefined) {
+      const denialReason = transitionDenialReason(caller, row, toStatus);
+      if (denialReason) {
+        throw httpError(403, 'Akses ditolak', { code: 'FORBIDDEN', reason: denialReason });
+      }
+
+      const allowed = STATUS_TRANSITIONS[row.status] || [];
+      if (!allowed.includes(toStatus)) {
+        throw httpError(409, `Status tidak dapat diubah dari ${row.status} ke ${toStatus}`, {
+          currentStatus: row.status,
+          allowedTransitions: allowed
+        });
+      }
+    }
+
+    // A courier picking up an order nobody was assigned to becomes its courier, unless they
+    // are still busy with another one
+    let courierId;
+    if (toStatus === 'on_delivery' && caller && caller.role === 'courier' && row.courier_id === null) {
+      const activeOrderIds = await orders.findIdsByCourierAndStatus(caller.id, COURIER_ACTIVE_STATUSES);
+      if (activeOrderIds.length > 0) {
+        throw httpError(409, 'Kurir masih memiliki pengantaran aktif', { orderIds: activeOrderIds });
+      }
+      courierId = caller.id;
+    }
+
+    // The delivery address belongs to the customer and is fixed once the restaurant accepts
+    if (customerAddress !== undefined) {
+      if (caller && caller.role !== 'admin' && !(caller.role === 'customer' && row.user_id === caller.id)) {
+        throw httpError(403, 'Akses ditolak', { code: 'FORBIDDEN', reason: 'Hanya pemesan yang dapat mengubah alamat pengiriman' });
+      }
+      if (row.status !== 'pending') {
+        throw httpError(409, 'Alamat pengiriman hanya dapat diubah selama pesanan masih pending', {
+          currentStatus: row.status
+        });
+      }
+    }
+
+    // A new address replaces the whole snapshot; the saved address it came from no longer applies
+    const order = await orders.update(
+      row.id,
+      row.version,
+      {
+        status: toStatus ?? row.status,
+        deliveryAddress: customerAddress !== undefined && customerAddress !== row.customer_address ? { address: customerAddress } : null,
+        courierId
+      },
+      { fromStatus: row.status, actor, reason }
+    );
+    if (!order) {
+      // Another request changed the order between the read and this write: the same failed
+      // precondition as a stale If-Match
+      const current = await orders.findState(row.id);
+      if (!current) {
+        throw httpError(404, 'Order tidak ditemukan');
+      }
+      throw preconditionFailed(current.version);
+    }
+    if (order.status !== row.status) {
+      await addStatusChangeEvents(new OutboxRepository(tx), order, { fromStatus: row.status, actor, reason });
+    }
+    return order;
+  });
+}
+
+// Write the events for a status change to the outbox, in the transaction making the change
+async function addStatusChangeEvents(outbox, order, { fromStatus, actor, reason = null }) {
+  const change = {
+    orderId: order.id,
+    userId: order.userId,
+    restaurantId: order.restaurantId,
+    fromStatus,
+    toStatus: order.status,
+    actor,
+    reason
+  };
+  await outbox.add('OrderStatusChanged', order.id, { ...change, order });
+  if (order.status === 'cancelled') {
+    await outbox.add('OrderCancelled', order.id, change);
+  }
+}
+
+// Create an error carrying the HTTP status and extra response fields
+function httpError(status, message, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.extra = extra;
+  return error;
+}
+
+// Express 4 does not catch rejected promises; pass them on to the error handler
+function asyncHandler(handler) {
+  return (req, res, next) => handler(req, res, next).catch(next);
+}
+
+// Check with User Service that the user exists before accepting an order for them.
+// Resolves to the user, or null when the check was skipped in fail-open mode
+async function verifyUser(userId) {
+  try {
+    const response = await axios.get(`${USER_SERVICE_URL}/users/${userId}`, { headers: internalHeaders(), timeout: USER_SERVICE_TIMEOUT_MS });
+    return response.data.data;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      throw httpError(422, 'User tidak ditemukan', { userId });
+    }
+    if (USER_VALIDATION_MODE === 'fail-open') {
+      console.warn(`User Service unavailable, accepting order for unverified user ${userId}:`, error.message);
+      return null;
+    }
+    throw httpError(503, 'User Service tidak dapat dihubungi', { error: error.message });
+  }
+}
+
+// Snapshot of where a new order is delivered: the user's saved address addressId, else their
+// default saved address, else the address in their profile. Without addressId an unavailable
+// User Service is handled like in verifyUser, falling back to the profile address in fail-open mode
+async function resolveDeliveryAddress(userId, addressId, customer) {
+  const toSnapshot = ({ id, label, address, notes, latitude, longitude }) => ({ addressId: id, label, address, notes, latitude, longitude });
+  const profileAddress = { address: customer ? customer.address : null };
+  try {
+    if (addressId !== undefined) {
+      const response = await axios.get(`${USER_SERVICE_URL}/users/${userId}/addresses/${addressId}`, { headers: internalHeaders(), timeout: USER_SERVICE_TIMEOUT_MS });
+      return toSnapshot(response.data.data);
+    }
+    const response = await axios.get(`${USER_SERVICE_URL}/users/${userId}/addresses`, { headers: internalHeaders(), timeout: USER_SERVICE_TIMEOUT_MS });
+    const saved = response.data.data.find(address => address.isDefault);
+    return saved ? toSnapshot(saved) : profileAddress;
+  } catch (error) {
+    if (addressId !== undefined && error.response?.status === 404) {
+      throw httpError(422, 'Alamat tidak ditemukan', { addressId });
+    }
+    if (addressId === undefined && USER_VALIDATION_MODE === 'fail-open') {
+      console.warn(`User Service unavailable, using the profile address for user ${userId}:`, error.message);
+      return profileAddress;
+    }
+    throw httpError(503, 'User Service tidak dapat dihubungi', { error: error.message });
+  }
+}
+
+// Look up the restaurant and its menu in Restaurant Service and price the
+// requested items server-side. Client-supplied names and prices are never used.
+async function priceOrder(restaurantId, requestedItems) {
+  let restaurant;
+  try {
+    const response = await axios.get(`${RESTAURANT_SERVICE_URL}/restaurants/${restaurantId}`, {
+      headers: internalHeaders(),
+      timeout: RESTAURANT_SERVICE_TIMEOUT_MS
+    });
+    restaurant = response.data.data;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      throw httpError(422, 'Restoran tidak ditemukan');
+    }
+    throw httpError(503, 'Restaurant Service tidak dapat dihubungi', { error: error.message });
+  }
+
+  if (!restaurant.isOpen) {
+    throw httpError(422, 'Restoran sedang tutup');
+  }
+
+  const menuById = new Map(restaurant.menu.map(menuItem => [menuItem.id, menuItem]));
+  const items = [];
+  const unavailable = [];
+  let totalPrice = 0;
+
+  requestedItems.forEach(({ menuItemId, quantity, modifiers, notes }) => {
+    const menuItem = menuById.get(menuItemId);
+    if (!menuItem || !menuItem.isAvailable) {
+      unavailable.push(menuItemId);
+      return;
+    }
+    const subtotal = menuItem.price * quantity;
+    totalPrice += subtotal;
+    items.push({
+      menuItemId,
+      name: menuItem.name,
+      unitPrice: menuItem.price,
+      quantity,
+      modifiers: modifiers || {},
+      notes: notes || null,
+      subtotal
+    });
+  });
+
+  if (unavailable.length > 0) {
+    throw httpError(422, 'Menu tidak ditemukan atau tidak tersedia', { menuItemIds: unavailable });
+  }
+
+  return { restaurant, items, totalPrice };
+}
+
+// ===== ORDER EVENT STREAMS =====
+// Order events from the event bus are passed to the connected clients as Server-Sent Events.
+// The consumer is live (it starts at the end of the log), so a client that reconnects
+// should reload the orders it shows instead of expecting to receive the changes it missed
+const orderEvents = new EventEmitter();
+orderEvents.setMaxListeners(0);
+
+// Bus event type → event name sent to clients
+const STREAMED_EVENTS = {
+  OrderCreated: 'order.created',
+  OrderStatusChanged: 'order.status_changed'
+};
+
+eventBus.subscribe('order-service.event-streams', Object.keys(STREAMED_EVENTS), async (event) => {
+  const { data } = event;
+  orderEvents.emit('event', {
+    id: event.sequence,
+    type: STREAMED_EVENTS[event.type],
+    data: {
+      orderId: data.orderId,
+      userId: data.userId,
+      restaurantId: data.restaurantId,
+      fromStatus: data.fromStatus ?? null,
+      toStatus: data.toStatus ?? data.status,
+      actor: data.actor,
+      reason: data.reason ?? null,
+      occurredAt: event.occurredAt,
+      order: data.order
+    }
+  });
+}, { live: true });
+
+// Keep the response open as an event stream of the order events accepted by filter(data).
+// The caller must be allowed to see the order in its new status
+function streamOrderEvents(req, res, filter) {
+  const caller = getCaller(req);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const send = (event) => {
+    const { data } = event;
+    const row = {
+      user_id: data.userId,
+      restaurant_id: data.restaurantId,
+      courier_id: data.order ? data.order.courierId : null,
+      status: data.toStatus
+    };
+    if (canViewOrder(caller, row) && filter(data)) {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), EVENT_STREAM_HEARTBEAT_MS);
+
+  orderEvents.on('event', send);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    orderEvents.off('event', send);
+  });
+}
+
+// Registered before the /orders/:id access check, which would take "events" for an order ID
+app.get('/orders/events', (req, res) => {
+  const caller = getCaller(req);
+  const userId = req.query.userId === undefined ? null : parseInt(req.query.userId, 10);
+  if (caller && caller.role === 'customer' && userId !== null && userId !== caller.id) {
+    return forbidden(res, 'Hanya dapat melihat pesanan sendiri');
+  }
+  streamOrderEvents(req, res, data => userId === null || data.userId === userId);
+});
+
+// Callers authenticated through the gateway may only access orders visible to their role
+app.use('/orders/:id', asyncHandler(async (req, res, next) => {
+  const caller = getCaller(req);
+  if (!caller) {
+    return next();
+  }
+
+  const row = await ordersRepository.findState(req.params.id);
+  // Unknown orders fall through to the route, which responds with 404
+  if (row && !canViewOrder(caller, row)) {
+    return forbidden(res, 'Pesanan ini tidak dapat diakses');
+  }
+  next();
+}));
+
+// Routes
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Sort keys accepted by ?sort= (prefix with - for descending) and their columns
+const ORDER_SORT_COLUMNS = {
+  id: 'id',
+  createdAt: 'created_at',
+  totalPrice: 'total_price',
+  status: 'status'
+};
+
+// Read ?page= and ?limit=; returns { error } for invalid values
+function parsePagination(query) {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: 'page harus bilangan bulat positif' };
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit harus antara 1 dan ${MAX_PAGE_SIZE}` };
+  }
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+// Turn ?sort=field / ?sort=-field into an ORDER BY clause, with id as tie-breaker
+function parseSort(value, columns, defaultSort) {
+  const sort = value || defaultSort;
+  const descending = sort.startsWith('-');
+  const column = columns[descending ? sort.slice(1) : sort];
+  if (!column) {
+    return { error: `sort harus salah satu dari: ${Object.keys(columns).join(', ')} (awali dengan - untuk urutan menurun)` };
+  }
+  const direction = descending ? 'DESC' : 'ASC';
+  return { orderBy: `${column} ${direction}, id ${direction}` };
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2})?$/;
+
+// Build WHERE conditions for the optional listing filters; returns { error } for invalid values
+function buildOrderFilters(query) {
+  const conditions = [];
+  const params = [];
+
+  if (query.status) {
+    const statuses = String(query.status).split(',');
+    const invalid = statuses.find(status => !ORDER_STATUSES.includes(status));
+    if (invalid) {
+      return { error: `Status tidak valid: ${invalid}` };
+    }
+    conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+
+  if (query.restaurantId !== undefined) {
+    const restaurantId = Number(query.restaurantId);
+    if (!Number.isInteger(restaurantId)) {
+      return { error: 'restaurantId harus berupa angka' };
+    }
+    conditions.push('restaurant_id = ?');
+    params.push(restaurantId);
+  }
+
+  for (const [name, operator] of [['minPrice', '>='], ['maxPrice', '<=']]) {
+    if (query[name] !== undefined) {
+      const price = Number(query[name]);
+      if (!Number.isInteger(price) || price < 0) {
+        return { error: `${name} harus bilangan bulat tidak negatif` };
+      }
+      conditions.push(`total_price ${operator} ?`);
+      params.push(price);
+    }
+  }
+
+  // Dates are compared in UTC, like created_at; a date-only "to" includes the whole day.
+  // Values are written out as 'YYYY-MM-DD HH:MM:SS', the form created_at has on every driver
+  for (const [name, operator] of [['from', '>='], ['to', '<=']]) {
+    const value = query[name];
+    if (value === undefined) {
+      continue;
+    }
+    if (DATE_PATTERN.test(value) && name === 'to') {
+      const nextDay = new Date(`${value}T00:00:00Z`);
+      if (Number.isNaN(nextDay.getTime())) {
+        return { error: `${name} bukan tanggal yang valid` };
+      }
+      nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+      conditions.push('created_at < ?');
+      params.push(nextDay.toISOString().replace('T', ' ').slice(0, 19));
+    } else if (DATE_PATTERN.test(value)) {
+      conditions.push(`created_at ${operator} ?`);
+      params.push(`${value} 00:00:00`);
+    } else if (DATETIME_PATTERN.test(value)) {
+      const timestamp = value.replace('T', ' ');
+      conditions.push(`created_at ${operator} ?`);
+      params.push(timestamp.length === 16 ? `${timestamp}:00` : timestamp);
+    } else {
+      return { error: `${name} harus berformat YYYY-MM-DD atau YYYY-MM-DDTHH:MM:SS` };
+    }
+  }
+
+  return { conditions, params };
+}
+
+app.get('/orders', asyncHandler(async (req, res) => {
+  const caller = getCaller(req);
+  let conditions = [];
+  let params = [];
+  
+  if (caller && caller.role === 'customer' && req.query.userId && parseInt(req.query.userId, 10) !== caller.id) {
+    return forbidden(res, 'Hanya dapat melihat pesanan sendiri');
+  }
+
+  const pagination = parsePagination(req.query);
+  const sort = parseSort(req.query.sort, ORDER_SORT_COLUMNS, '-id');
+  const filters = buildOrderFilters(req.query);
+  const queryError = pagination.error || sort.error || filters.error;
+  if (queryError) {
+    return res.status(400).json({
+      success: false,
+      message: queryError
+    });
+  }
+
+  // Scope the listing to what the caller's role may see
+  if (caller && caller.role === 'customer') {
+    conditions.push('user_id = ?');
+    params.push(caller.id);
+  } else if (caller && caller.role === 'restaurant_staff') {
+    conditions.push('restaurant_id = ?');
+    params.push(caller.restaurantId);
+  } else if (caller && caller.role === 'courier') {
+    conditions.push("(courier_id = ? OR (status = 'processing' AND courier_id IS NULL))");
+    params.push(caller.id);
+  }
+
+  if (req.query.userId && !(caller && caller.role === 'customer')) {
+    conditions.push('user_id = ?');
+    params.push(req.query.userId);
+  }
+
+  conditions.push(...filters.conditions);
+  params.push(...filters.params);
+
+  const { orders, total } = await ordersRepository.list({
+    conditions,
+    params,
+    orderBy: sort.orderBy,
+    limit: pagination.limit,
+    offset: pagination.offset
+  });
+
+  res.json({
+    success: true,
+    data: orders,
+    pagination: {
+      page: pagination.page,
+      limit: pagination.limit,
+      total,
+      totalPages: Math.ceil(total / pagination.limit)
+    }
+  });
+}));
+
+app.get('/orders/:id', asyncHandler(async (req, res) => {
+  const order = await ordersRepository.findById(req.params.id);
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order tidak ditemukan'
+    });
+  }
+  
+  res.set('ETag', versionTag(order.version));
+  res.json({
+    success: true,
+    data: order
+  });
+}));
+
+// Endpoint dengan integrasi ke User Service (Service-to-Service Communication)
+app.get('/orders/:id/with-user', asyncHandler(async (req, res) => {
+  const order = await ordersRepository.findById(req.params.id);
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order tidak ditemukan'
+    });
+  }
+
+  try {
+    // Panggil User Service untuk mendapatkan data user
+    const userResponse = await axios.get(`${USER_SERVICE_URL}/users/${order.userId}`, {
+      headers: internalHeaders(),
+      timeout: USER_SERVICE_TIMEOUT_MS
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        ...order,
+        userDetails: userResponse.data.data
+      }
+    });
+  } catch (userError) {
+    // Deleted users are gone from User Service; fall back to the snapshot taken with the order
+    if (userError.response?.status === 404) {
+      return res.json({
+        success: true,
+        data: {
+          ...order,
+          userDetails: {
+            id: order.userId,
+            name: order.customerName,
+            address: order.customerAddress,
+            deleted: true
+          }
+        }
+      });
+    }
+    res.status(503).json({
+      success: false,
+      message: 'Gagal mengambil data user',
+      error: userError.message
+    });
+  }
+}));
+
+// The order's delivery comes from Delivery Service, which creates it when the restaurant
+// accepts the order
+app.get('/orders/:id/with-delivery', asyncHandler(async (req, res) => {
+  const order = await ordersRepository.findById(req.params.id);
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order tidak ditemukan'
+    });
+  }
+
+  try {
+    const deliveryResponse = await axios.get(`${DELIVERY_SERVICE_URL}/deliveries`, {
+      params: { orderId: order.id },
+      headers: internalHeaders(),
+      timeout: DELIVERY_SERVICE_TIMEOUT_MS
+    });
+    res.json({
+      success: true,
+      data: {
+        ...order,
+        delivery: deliveryResponse.data.data[0] || null
+      }
+    });
+  } catch (deliveryError) {
+    res.status(503).json({
+      success: false,
+      message: 'Gagal mengambil data pengantaran',
+      error: deliveryError.message
+    });
+  }
+}));
+
+app.post('/orders', idempotent, asyncHandler(async (req, res) => {
+  const caller = getCaller(req);
+  const { restaurantId, items, addressId } = req.body;
+  const userId = req.body.userId || (caller && caller.id);
+  
+  if (caller && caller.role !== 'admin') {
+    if (caller.role !== 'customer') {
+      return forbidden(res, 'Hanya customer yang dapat membuat pesanan');
+    }
+    if (userId !== caller.id) {
+      return forbidden(res, 'Tidak dapat membuat pesanan untuk user lain');
+    }
+  }
+
+  // Internal calls have no caller to default to
+  if (!userId) {
+    return res.status(400).json({
+      success: false,
+      message: 'userId wajib diisi'
+    });
+  }
+
+  const customer = await verifyUser(userId);
+  const deliveryAddress = await resolveDeliveryAddress(userId, addressId, customer);
+  const pricedOrder = await priceOrder(restaurantId, items);
+
+  const actor = getActor(req);
+  const order = await database.transaction(async (tx) => {
+    // A user deletion prepared since the user was verified wins over the order
+    if (await new CustomersRepository(tx).lock(userId)) {
+      throw httpError(422, 'User tidak ditemukan', { userId });
+    }
+    const created = await new OrdersRepository(tx).create({
+      userId,
+      customerName: customer && customer.name,
+      deliveryAddress,
+      restaurantId: pricedOrder.restaurant.id,
+      restaurantName: pricedOrder.restaurant.name,
+      items: pricedOrder.items,
+      totalPrice: pricedOrder.totalPrice
+    }, actor);
+    await new OutboxRepository(tx).add('OrderCreated', created.id, {
+      orderId: created.id,
+      userId: created.userId,
+      restaurantId: created.restaurantId,
+      status: created.status,
+      actor,
+      order: created
+    });
+    return created;
+  });
+
+  res.status(201).json({
+    success: true,
+    data: order
+  });
+}));
+
+// Run updateOrder for the request and send the updated order. Either way the response
+// carries the order's current version in ETag
+function sendUpdate(req, res, changes) {
+  return updateOrder(req.params.id, changes, { caller: getCaller(req), actor: getActor(req), ifMatch: req.get('If-Match') })
+    .then(order => {
+      res.set('ETag', versionTag(order.version));
+      res.json({
+        success: true,
+        data: order
+      });
+    }, (err) => {
+      if (err.status === 412) {
+        res.set('ETag', versionTag(err.extra.currentVersion));
+      }
+      throw err;
+    });
+}
+
+// Restaurant, items and total price are fixed at creation time (priced by Restaurant Service).
+// PUT sets the status; PATCH changes only the fields sent (status and/or delivery address)
+app.put('/orders/:id', asyncHandler((req, res) => {
+  const { status, reason } = req.body;
+  return sendUpdate(req, res, { status, reason });
+}));
+
+app.patch('/orders/:id', asyncHandler((req, res) => sendUpdate(req, res, req.body)));
+
+// Dedicated status actions
+const STATUS_ACTIONS = {
+  accept: 'processing',
+  dispatch: 'on_delivery',
+  deliver: 'delivered',
+  cancel: 'cancelled'
+};
+
+Object.entries(STATUS_ACTIONS).forEach(([action, toStatus]) => {
+  app.post(`/orders/:id/${action}`, asyncHandler((req, res) => {
+    const reason = req.body && req.body.reason;
+    return sendUpdate(req, res, { status: toStatus, reason });
+  }));
+});
+
+app.get('/orders/:id/history', asyncHandler(async (req, res) => {
+  if (!(await ordersRepository.findState(req.params.id))) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order tidak ditemukan'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: await ordersRepository.listStatusHistory(req.params.id)
+  });
+}));
+
+app.get('/orders/:id/events', asyncHandler(async (req, res) => {
+  const orderId = parseInt(req.params.id, 10);
+  if (!(await ordersRepository.findState(orderId))) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order tidak ditemukan'
+    });
+  }
+  streamOrderEvents(req, res, data => data.orderId === orderId);
+}));
+
+app.delete('/orders/:id', asyncHandler(async (req, res) => {
+  const caller = getCaller(req);
+  if (caller && caller.role !== 'admin') {
+    return forbidden(res, 'Hanya admin yang dapat menghapus pesanan');
+  }
+
+  if (!(await ordersRepository.delete(req.params.id))) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order tidak ditemukan'
+    });
+  }
+  res.json({
+    success: true,
+    message: 'Order berhasil dihapus'
+  });
+}));
+
+// ===== WEBHOOKS =====
+// Subscriptions are managed by admins, for any restaurant or (restaurantId null) for all of
+// them, and by restaurant staff for their own restaurant. Deliveries are made by webhooks.js
+function canManageWebhook(caller, subscription) {
+  if (!caller || caller.role === 'admin') {
+    return true;
+  }
+  return caller.role === 'restaurant_staff' && subscription.restaurantId === caller.restaurantId;
+}
+
+// 400 for a URL webhooks may not be sent to (see checkWebhookUrl in webhooks.js); resolves to
+// whether it was sent
+async function rejectWebhookUrl(res, url) {
+  const refused = await checkWebhookUrl(url);
+  if (refused) {
+    console.warn(`Refused webhook URL ${url}: ${refused}`);
+    res.status(400).json({
+      success: false,
+      message: 'URL webhook harus mengarah ke host publik, bukan alamat lokal, jaringan privat atau service internal'
+    });
+  }
+  return Boolean(refused);
+}
+
+app.use('/webhooks', (req, res, next) => {
+  const caller = getCaller(req);
+  if (caller && !['admin', 'restaurant_staff'].includes(caller.role)) {
+    return forbidden(res, 'Hanya admin dan staff restoran yang dapat mengelola webhook');
+  }
+  next();
+});
+
+// Load the subscription for /webhooks/:id routes into req.webhook
+app.use('/webhooks/:id', asyncHandler(async (req, res, next) => {
+  const subscription = await webhookSubscriptionsRepository.findById(req.params.id);
+  if (!subscription) {
+    return res.status(404).json({
+      success: false,
+      message: 'Webhook tidak ditemukan'
+    });
+  }
+  if (!canManageWebhook(getCaller(req), subscription)) {
+    return forbidden(res, 'Webhook ini milik restoran lain');
+  }
+  req.webhook = subscription;
+  next();
+}));
+
+app.get('/webhooks', asyncHandler(async (req, res) => {
+  const caller = getCaller(req);
+  let restaurantId = req.query.restaurantId === undefined ? undefined : parseInt(req.query.restaurantId, 10);
+  if (caller && caller.role === 'restaurant_staff') {
+    restaurantId = caller.restaurantId;
+  }
+
+  res.json({
+    success: true,
+    data: await webhookSubscriptionsRepository.list({ restaurantId })
+  });
+}));
+
+app.post('/webhooks', asyncHandler(async (req, res) => {
+  const caller = getCaller(req);
+  const { url, eventTypes } = req.body;
+  let restaurantId = req.body.restaurantId ?? null;
+
+  if (caller && caller.role === 'restaurant_staff') {
+    if (!caller.restaurantId) {
+      return forbidden(res, 'Akun staff belum terhubung ke restoran');
+    }
+    if (restaurantId !== null && restaurantId !== caller.restaurantId) {
+      return forbidden(res, 'Tidak dapat mendaftarkan webhook untuk restoran lain');
+    }
+    restaurantId = caller.restaurantId;
+  }
+
+  if (await rejectWebhookUrl(res, url)) {
+    return;
+  }
+
+  const secret = req.body.secret || generateSecret();
+  const subscription = await webhookSubscriptionsRepository.create({
+    restaurantId,
+    url,
+    secret,
+    eventTypes,
+    createdBy: getActor(req)
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Webhook berhasil didaftarkan. Simpan secret ini, secret tidak ditampilkan lagi',
+    data: { ...subscription, secret }
+  });
+}));
+
+app.get('/webhooks/:id', (req, res) => {
+  res.json({
+    success: true,
+    data: req.webhook
+  });
+});
+
+app.patch('/webhooks/:id', asyncHandler(async (req, res) => {
+  if (req.body.url !== undefined && await rejectWebhookUrl(res, req.body.url)) {
+    return;
+  }
+  const subscription = await webhookSubscriptionsRepository.update(req.webhook.id, req.body);
+  if (!subscription) {
+    return res.status(404).json({
+      success: false,
+      message: 'Webhook tidak ditemukan'
+    });
+  }
+  res.json({
+    success: true,
+    data: subscription
+  });
+}));
+
+app.delete('/webhooks/:id', asyncHandler(async (req, res) => {
+  if (!(await webhookSubscriptionsRepository.delete(req.webhook.id))) {
+    return res.status(404).json({
+      success: false,
+      message: 'Webhook tidak ditemukan'
+    });
+  }
+  res.json({
+    success: true,
+    message: 'Webhook berhasil dihapus'
+  });
+}));
+
+app.get('/webhooks/:id/deliveries', asyncHandler(async (req, res) => {
+  const pagination = parsePagination(req.query);
+  if (pagination.error) {
+    return res.status(400).json({
+      success: false,
+      message: pagination.error
+    });
+  }
+
+  const { deliveries, total } = await webhookDeliveriesRepository.list(req.webhook.id, {
+    status: req.query.status,
+    limit: pagination.limit,
+    offset: pagination.offset
+  });
+
+  res.json({
+    success: true,
+    data: deliveries,
+    pagination: {
+      page: pagination.page,
+      limit: pagination.limit,
+      total,
+      totalPages: Math.ceil(total / pagination.limit)
+    }
+  });
+}));
+
+app.get('/webhooks/:id/deliveries/:deliveryId', asyncHandler(async (req, res) => {
+  const delivery = await webhookDeliveriesRepository.findById(req.webhook.id, req.params.deliveryId);
+  if (!delivery) {
+    return res.status(404).json({
+      success: false,
+      message: 'Pengiriman webhook tidak ditemukan'
+    });
+  }
+  res.json({
+    success: true,
+    data: delivery
+  });
+}));
+
+// Send the event again now and respond with the outcome
+app.post('/webhooks/:id/deliveries/:deliveryId/redeliver', asyncHandler(async (req, res) => {
+  const row = await webhookDeliveriesRepository.findSendable(req.webhook.id, req.params.deliveryId);
+  if (!row) {
+    return res.status(404).json({
+      success: false,
+      message: 'Pengiriman webhook tidak ditemukan'
+    });
+  }
+  if (!req.webhook.isActive) {
+    return res.status(409).json({
+      success: false,
+      message: 'Webhook sedang nonaktif, aktifkan terlebih dahulu'
+    });
+  }
+
+  await redeliver(webhookDeliveriesRepository, row);
+  const delivery = await webhookDeliveriesRepository.findById(req.webhook.id, row.id);
+  res.json({
+    success: true,
+    message: delivery.status === 'succeeded' ? 'Webhook berhasil dikirim ulang' : 'Pengiriman ulang gagal',
+    data: delivery
+  });
+}));
+
+// Called by User Service before it deletes a user. Refuses while the user has active
+// orders, otherwise marks the customer deleted, so that no order can be created for them from
+// then on, and stores the customer snapshot on orders that do not have one yet. Order
+// creation locks the same customer row, so an order is either created before this check
+// (and refuses the deletion) or rejected after it. If User Service then fails to delete the
+// user, they cannot order until the deletion is retried
+app.post('/internal/user-deletions', asyncHandler(async (req, res) => {
+  if (getCaller(req)) {
+    return forbidden(res, 'Endpoint internal');
+  }
+
+  const { userId, name, address } = req.body;
+
+  const ordersUpdated = await database.transaction(async (tx) => {
+    await new CustomersRepository(tx).markDeleted(userId);
+    const orders = new OrdersRepository(tx);
+    const activeOrderIds = await orders.findIdsByUserAndStatus(userId, ACTIVE_STATUSES);
+    if (activeOrderIds.length > 0) {
+      throw httpError(409, 'User masih memiliki pesanan aktif', { orderIds: activeOrderIds });
+    }
+    return orders.snapshotCustomer(userId, { name, address });
+  });
+
+  res.json({
+    success: true,
+    data: { userId, ordersUpdated }
+  });
+}));
+
+// Errors passed on by route handlers. httpError()s and client errors raised by Express
+// itself (such as a malformed JSON body) are answered as they are, anything else is a 500
+app.use((err, req, res, next) => {
+  if (err.extra) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.message,
+      ...err.extra
+    });
+  }
+  if (err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.message
+    });
+  }
+  console.error(`Error handling ${req.method} ${req.originalUrl}:`, err.message);
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: err.message
+  });
+});
+
+// Graceful shutdown
+process.on('SIGINT', () => {
+  if (webhookDispatcher) {
+    webhookDispatcher.stop();
+  }
+  eventBus.close()
+    .catch(err => console.error('Error closing event bus:', err.message))
+    .then(() => database.close())
+    .then(() => console.log('Database connection closed'))
+    .catch(err => console.error('Error closing database:', err.message))
+    .then(() => process.exit(0));
+});
+
+app.listen(PORT, () => {
+  console.log(`Order Service running on http://localhost:${PORT}`);
+  console.log(`Database: ${database.description}`);
+  console.log(`Event bus: ${eventBus.description}`);
+  console.log(`Swagger UI available at http://localhost:${PORT}/api-docs`);
 });
\ No newline at end of file
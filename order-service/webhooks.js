@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const { poller } = require('../eventbus');
+const { WebhookSubscriptionsRepository, WebhookDeliveriesRepository } = require('./repositories');
+
+// Outgoing webhooks. Order events from the event bus are queued as one delivery per
+// matching subscription, then POSTed to the subscriber's URL by a worker that retries
+// failed attempts with exponential backoff. The JSON body is
+//
+//   { "id": "<event id>", "type": "order.status_changed", "occurredAt": "...", "data": { ... } }
+//
+// and every request is signed with the subscription's secret, so the receiver can check
+// that it came from us and is recent:
+//
+//   X-Webhook-Timestamp: <unix seconds>
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+//
+// Delivery is at least once; receivers should ignore an X-Webhook-Id they have already processed.
+
+// Bus event type → webhook event type
+const WEBHOOK_EVENTS = {
+  OrderCreated: 'order.created',
+  OrderStatusChanged: 'order.status_changed',
+  OrderCancelled: 'order.cancelled'
+};
+const WEBHOOK_EVENT_TYPES = Object.values(WEBHOOK_EVENTS);
+
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000;
+// A delivery is given up (status failed) after this many attempts. Retry n waits
+// RETRY_BASE_MS * 2^(n-1): 30s, 1m, 2m, 4m, ... with the defaults
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30000;
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 1000;
+const BATCH_SIZE = 20;
+const MAX_ERROR_LENGTH = 500;
+
+// Webhook URLs may not point into our own network: hosts that resolve to loopback, private
+// (RFC 1918), link-local or other non-public addresses, and the hosts of the services we
+// call. URLs are checked when saved and again before every attempt, and the attempt only
+// connects to a public address, so a host that later resolves to an internal one is refused
+// too. Hosts in WEBHOOK_ALLOWED_HOSTS (comma-separated) skip the check, e.g. a test
+// receiver on localhost
+const BLOCKED_SUBNETS = {
+  ipv4: [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+  ],
+  // IPv4-mapped addresses (::ffff:10.0.0.1) are checked against the IPv4 subnets
+  ipv6: [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+};
+const BLOCKED_ADDRESSES = new net.BlockList();
+Object.entries(BLOCKED_SUBNETS).forEach(([family, subnets]) => {
+  subnets.forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, family));
+});
+
+const INTERNAL_HOSTS = new Set([
+  'localhost',
+  ...['USER_SERVICE_URL', 'RESTAURANT_SERVICE_URL', 'DELIVERY_SERVICE_URL']
+    .filter(name => process.env[name])
+    .map(name => new URL(process.env[name]).hostname.toLowerCase())
+]);
+const ALLOWED_HOSTS = new Set(
+  (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+);
+
+// Host name of a URL as compared against the lists: lower case, without IPv6 brackets or a
+// trailing dot
+function urlHost(url) {
+  return new URL(url).hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1').replace(/\.$/, '');
+}
+
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Why webhooks may not be sent to the URL, or null when they may
+async function checkWebhookUrl(url) {
+  let host;
+  try {
+    host = urlHost(url);
+  } catch (err) {
+    return 'Invalid URL';
+  }
+  if (ALLOWED_HOSTS.has(host)) {
+    return null;
+  }
+  if (INTERNAL_HOSTS.has(host) || host.endsWith('.localhost')) {
+    return `Host ${host} is internal`;
+  }
+
+  if (net.isIP(host)) {
+    return isBlockedAddress(host) ? `Address ${host} is not public` : null;
+  }
+
+  let addresses;
+  try {
+    addresses = (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+  } catch (err) {
+    return `Host ${host} could not be resolved`;
+  }
+  const blocked = addresses.find(isBlockedAddress);
+  return blocked ? `Host ${host} resolves to non-public address ${blocked}` : null;
+}
+
+// dns.lookup for webhook requests that fails on non-public addresses, so the address
+// connected to is the one checked
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) {
+      return callback(err);
+    }
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = addresses.find(isBlockedAddress);
+    if (blocked) {
+      return callback(new Error(`Host ${hostname} resolves to non-public address ${blocked}`));
+    }
+    callback(null, address, family);
+  });
+}
+
+// UTC 'YYYY-MM-DD HH:MM:SS', the form timestamps are stored and compared in
+function toSqlTimestamp(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Secret for a subscription created without one
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// POST a delivery (a row from findSendable/listDue) once; resolves to { ok, responseStatus, error }.
+// Any 2xx response is a success; redirects are not followed. URLs refused by
+// checkWebhookUrl() fail without a request
+async function send(row) {
+  const refused = await checkWebhookUrl(row.url);
+  if (refused) {
+    return { ok: false, responseStatus: null, error: refused };
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    const response = await axios.post(row.url, row.payload, {
+      timeout: TIMEOUT_MS,
+      maxRedirects: 0,
+      lookup: ALLOWED_HOSTS.has(urlHost(row.url)) ? undefined : publicLookup,
+      validateStatus: () => true,
+      // Send the stored body exactly as it was signed
+      transformRequest: [data => data],
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'FoodDelivery-Webhooks/1.0',
+        'X-Webhook-Id': row.event_id,
+        'X-Webhook-Event': row.event_type,
+        'X-Webhook-Delivery': String(row.id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': sign(row.secret, timestamp, row.payload)
+      }
+    });
+    const ok = response.status >= 200 && response.status < 300;
+    return { ok, responseStatus: response.status, error: ok ? null : `HTTP ${response.status}` };
+  } catch (error) {
+    return { ok: false, responseStatus: null, error: error.message.slice(0, MAX_ERROR_LENGTH) };
+  }
+}
+
+// Make one attempt and record it. A failed attempt is scheduled again while attempts
+// remain, unless retry is false
+async function attemptDelivery(deliveries, row, { retry = true } = {}) {
+  const result = await send(row);
+  const attempts = row.attempts + 1;
+  let status = 'succeeded';
+  let nextAttemptAt = null;
+  if (!result.ok && retry && attempts < MAX_ATTEMPTS) {
+    status = 'pending';
+    nextAttemptAt = toSqlTimestamp(new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1)));
+  } else if (!result.ok) {
+    status = 'failed';
+  }
+  await deliveries.recordAttempt(row.id, {
+    status,
+    nextAttemptAt,
+    responseStatus: result.responseStatus,
+    error: result.error
+  });
+}
+
+// Send a delivery again now, whatever its status, e.g. after the receiver fixed a problem.
+// A failed manual attempt is not retried
+function redeliver(deliveries, row) {
+  return attemptDelivery(deliveries, row, { retry: false });
+}
+
+// Queue order events for the subscriptions and keep sending due deliveries. Call once the
+// webhook tables exist; returns an object with stop()
+function startWebhookDispatcher({ database, eventBus }) {
+  const subscriptions = new WebhookSubscriptionsRepository(database);
+  const deliveries = new WebhookDeliveriesRepository(database);
+
+  // A durable consumer, so events published while the service was down are queued when it
+  // starts again
+  const consumer = eventBus.subscribe('order-service.webhooks', Object.keys(WEBHOOK_EVENTS), async (event) => {
+    const eventType = WEBHOOK_EVENTS[event.type];
+    const payload = JSON.stringify({ id: event.id, type: eventType, occurredAt: event.occurredAt, data: event.data });
+    const targets = await subscriptions.listForEvent(eventType, event.data.restaurantId);
+    for (const subscription of targets) {
+      await deliveries.enqueue(subscription.id, { eventId: event.id, eventType, payload });
+    }
+  });
+
+  const worker = poller('Webhook delivery', async () => {
+    const due = await deliveries.listDue(toSqlTimestamp(new Date()), BATCH_SIZE);
+    for (const row of due) {
+      await attemptDelivery(deliveries, row);
+    }
+  }, POLL_INTERVAL_MS);
+
+  return {
+    stop() {
+      consumer.stop();
+      worker.stop();
+    }
+  };
+}
+
+module.exports = { WEBHOOK_EVENT_TYPES, checkWebhookUrl, generateSecret, redeliver, startWebhookDispatcher };
\ No newline at end of file
@@ -0,0 +1,29 @@
+// Restaurants and their menus
+module.exports = {
+  async up(db) {
+    const { id, timestamp } = db.types;
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS restaurants (
+        id ${id},
+        name TEXT NOT NULL,
+        address TEXT NOT NULL,
+        phone TEXT,
+        is_open INTEGER NOT NULL DEFAULT 1,
+        created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE IF NOT EXISTS menu_items (
+        id ${id},
+        restaurant_id INTEGER NOT NULL REFERENCES restaurants(id),
+        name TEXT NOT NULL,
+        description TEXT,
+        price INTEGER NOT NULL,
+        is_available INTEGER NOT NULL DEFAULT 1,
+        created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE menu_items; DROP TABLE restaurants;');
+  }
+};
\ No newline at end of file
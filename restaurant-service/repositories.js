@@ -0,0 +1,140 @@
+// Data access for Restaurant Service. Every repository takes a storage from storage/ (any
+// driver), or the transaction handle passed to its transaction().
+
+// Restaurant as returned by the API: the row, plus camelCase fields
+function parseRestaurantRow(row) {
+  return {
+    ...row,
+    is_open: Boolean(row.is_open),
+    isOpen: Boolean(row.is_open),
+    createdAt: row.created_at
+  };
+}
+
+function parseMenuItemRow(row) {
+  return {
+    ...row,
+    is_available: Boolean(row.is_available),
+    restaurantId: row.restaurant_id,
+    isAvailable: Boolean(row.is_available),
+    createdAt: row.created_at
+  };
+}
+
+// SET clause and parameters for the fields present in `fields`; columns maps each API field
+// to its column and the function storing its value
+function setClause(columns, fields) {
+  const present = Object.keys(columns).filter(field => fields[field] !== undefined);
+  return {
+    assignments: present.map(field => `${columns[field][0]} = ?`).join(', '),
+    params: present.map(field => columns[field][1](fields[field]))
+  };
+}
+
+const asFlag = value => (value ? 1 : 0);
+const asIs = value => value;
+
+const RESTAURANT_COLUMNS = {
+  name: ['name', asIs],
+  address: ['address', asIs],
+  phone: ['phone', asIs],
+  isOpen: ['is_open', asFlag]
+};
+
+const MENU_ITEM_COLUMNS = {
+  name: ['name', asIs],
+  description: ['description', asIs],
+  price: ['price', asIs],
+  isAvailable: ['is_available', asFlag]
+};
+
+class RestaurantsRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async list() {
+    const rows = await this.db.all('SELECT * FROM restaurants ORDER BY id');
+    return rows.map(parseRestaurantRow);
+  }
+
+  // Restaurant, or null
+  async findById(id) {
+    const row = await this.db.get('SELECT * FROM restaurants WHERE id = ?', [id]);
+    return row ? parseRestaurantRow(row) : null;
+  }
+
+  async create({ name, address, phone, isOpen }) {
+    const { lastID } = await this.db.run(
+      'INSERT INTO restaurants (name, address, phone, is_open) VALUES (?, ?, ?, ?)',
+      [name, address, phone || null, isOpen === false ? 0 : 1]
+    );
+    return this.findById(lastID);
+  }
+
+  // Write the fields given (at least one); resolves to the updated restaurant, or null when
+  // it does not exist
+  async update(id, fields) {
+    const { assignments, params } = setClause(RESTAURANT_COLUMNS, fields);
+    const { changes } = await this.db.run(`UPDATE restaurants SET ${assignments} WHERE id = ?`, [...params, id]);
+    return changes === 0 ? null : this.findById(id);
+  }
+
+  // Delete a restaurant and its menu; resolves to false when it does not exist
+  delete(id) {
+    return this.db.transaction(async (tx) => {
+      await tx.run('DELETE FROM menu_items WHERE restaurant_id = ?', [id]);
+      const { changes } = await tx.run('DELETE FROM restaurants WHERE id = ?', [id]);
+      return changes > 0;
+    });
+  }
+}
+
+// Menu items of a restaurant. Every method is scoped to the restaurant, so an item id of
+// another restaurant is simply not found
+class MenuItemsRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async list(restaurantId, { availableOnly = false } = {}) {
+    const rows = await this.db.all(
+      `SELECT * FROM menu_items WHERE restaurant_id = ?${availableOnly ? ' AND is_available = 1' : ''} ORDER BY id`,
+      [restaurantId]
+    );
+    return rows.map(parseMenuItemRow);
+  }
+
+  // Menu item, or null
+  async findById(restaurantId, id) {
+    const row = await this.db.get('SELECT * FROM menu_items WHERE id = ? AND restaurant_id = ?', [id, restaurantId]);
+    return row ? parseMenuItemRow(row) : null;
+  }
+
+  async create(restaurantId, { name, description, price, isAvailable }) {
+    const { lastID } = await this.db.run(
+      'INSERT INTO menu_items (restaurant_id, name, description, price, is_available) VALUES (?, ?, ?, ?, ?)',
+      [restaurantId, name, description || null, price, isAvailable === false ? 0 : 1]
+    );
+    return this.findById(restaurantId, lastID);
+  }
+
+  // Write the fields given (at least one); resolves to the updated item, or null when it
+  // does not exist
+  async update(restaurantId, id, fields) {
+    const { assignments, params } = setClause(MENU_ITEM_COLUMNS, fields);
+    const { changes } = await this.db.run(
+      `UPDATE menu_items SET ${assignments} WHERE id = ? AND restaurant_id = ?`,
+      [...params, id, restaurantId]
+    );
+    return changes === 0 ? null : this.findById(restaurantId, id);
+  }
+
+  // Resolves to false when the item does not exist
+  async delete(restaurantId, id) {
+    const { changes } = await this.db.run('DELETE FROM menu_items WHERE id = ? AND restaurant_id = ?', [id, restaurantId]);
+    return changes > 0;
+  }
+}
+
+module.exports = { RestaurantsRepository, MenuItemsRepository };
\ No newline at end of file
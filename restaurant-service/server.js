@@ -0,0 +1,556 @@
+require('dotenv').config();
+const express = require('express');
+const cors = require('cors');
+const swaggerUi = require('swagger-ui-express');
+const { migrateUp } = require('./migrate');
+const { openStorage, storageConfig } = require('../storage');
+const { requireInternalToken } = require('../identity');
+const { createRequestValidator } = require('../validation');
+const { seedIfEmpty } = require('../seed');
+const { RestaurantsRepository, MenuItemsRepository } = require('./repositories');
+
+const app = express();
+const PORT = process.env.PORT || 3003;
+
+app.use(cors());
+app.use(express.json());
+
+// Open the database selected by DB_DRIVER (sqlite by default, memory or postgres), see storage/
+let storage;
+try {
+  storage = openStorage(storageConfig('', './database/restaurants.db'));
+} catch (err) {
+  console.error('Error opening database:', err.message);
+  process.exit(1);
+}
+console.log('Using database:', storage.description);
+const restaurantsRepository = new RestaurantsRepository(storage);
+const menuItemsRepository = new MenuItemsRepository(storage);
+
+// Bring the schema up to date (see migrate.js) and seed initial data. The service does not
+// start on a database whose migrations failed
+function initializeDatabase() {
+  migrateUp(storage)
+    .then((applied) => {
+      console.log(applied.length > 0
+        ? `Applied ${applied.length} migration(s): ${applied.map(migration => migration.id).join(', ')}`
+        : 'Database schema up to date');
+      return seedInitialData();
+    })
+    .catch((err) => {
+      console.error('Error migrating database:', err.message);
+      process.exit(1);
+    });
+}
+
+initializeDatabase();
+
+// Load the demo fixtures (fixtures/restaurants.json) into an empty database when SEED_ON_STARTUP=true,
+// see seed.js. Without it the service starts with an empty database
+function seedInitialData() {
+  if (process.env.SEED_ON_STARTUP !== 'true') {
+    return;
+  }
+  return seedIfEmpty('restaurants', storage)
+    .then((count) => {
+      if (count > 0) {
+        console.log(`Initial data seeded (${count} restaurants)`);
+      }
+    })
+    .catch((err) => {
+      console.error('Error seeding data:', err.message);
+    });
+}
+
+// Field schemas shared by the Swagger documentation and request validation
+const RESTAURANT_FIELDS = {
+  name: { type: 'string', minLength: 1, maxLength: 100, example: 'Sate Padang Ajo Ramon' },
+  address: { type: 'string', minLength: 1, maxLength: 255, example: 'Jl. Cikini Raya No. 1, Jakarta' },
+  phone: { type: 'string', pattern: '^\\+?[0-9]{8,15}$', example: '0211234567' },
+  isOpen: { type: 'boolean', example: true }
+};
+
+const MENU_ITEM_FIELDS = {
+  name: { type: 'string', minLength: 1, maxLength: 100, example: 'Sate Padang' },
+  description: { type: 'string', maxLength: 500, example: 'Sate daging sapi dengan kuah kental' },
+  price: { type: 'integer', minimum: 0, example: 30000 },
+  isAvailable: { type: 'boolean', example: true }
+};
+
+const RESTAURANT_ID_PARAMETER = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  schema: { type: 'integer', minimum: 1 }
+};
+
+const MENU_ITEM_ID_PARAMETER = {
+  name: 'itemId',
+  in: 'path',
+  required: true,
+  schema: { type: 'integer', minimum: 1 }
+};
+
+// Swagger Documentation
+const swaggerDocument = {
+  openapi: '3.0.0',
+  info: {
+    title: 'Restaurant Service API',
+    version: '2.0.0',
+    description: 'API untuk mengelola restoran dan menu (SQLite, PostgreSQL atau in-memory, lihat DB_DRIVER)'
+  },
+  servers: [
+    { url: `http://localhost:${PORT}`, description: 'Restaurant Service' }
+  ],
+  paths: {
+    '/health': {
+      get: {
+        summary: 'Liveness check',
+        responses: {
+          '200': {
+            description: 'Service berjalan'
+          }
+        }
+      }
+    },
+    '/ready': {
+      get: {
+        summary: 'Readiness check (koneksi database)',
+        responses: {
+          '200': {
+            description: 'Service siap menerima request'
+          },
+          '503': {
+            description: 'Database tidak dapat diakses'
+          }
+        }
+      }
+    },
+    '/restaurants': {
+      get: {
+        summary: 'Mendapatkan semua restoran',
+        responses: {
+          '200': {
+            description: 'Daftar restoran berhasil diambil'
+          }
+        }
+      },
+      post: {
+        summary: 'Membuat restoran baru',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name', 'address'],
+                additionalProperties: false,
+                properties: RESTAURANT_FIELDS
+              }
+            }
+          }
+        },
+        responses: {
+          '201': {
+            description: 'Restoran berhasil dibuat'
+          },
+          '400': {
+            description: 'Data restoran tidak valid'
+          }
+        }
+      }
+    },
+    '/restaurants/{id}': {
+      get: {
+        summary: 'Mendapatkan restoran beserta menunya',
+        parameters: [RESTAURANT_ID_PARAMETER],
+        responses: {
+          '200': {
+            description: 'Detail restoran'
+          },
+          '404': {
+            description: 'Restoran tidak ditemukan'
+          }
+        }
+      },
+      put: {
+        summary: 'Update restoran',
+        parameters: [RESTAURANT_ID_PARAMETER],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                minProperties: 1,
+                additionalProperties: false,
+                properties: RESTAURANT_FIELDS
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Restoran berhasil diupdate'
+          },
+          '400': {
+            description: 'Data restoran tidak valid atau tidak ada field yang diupdate'
+          },
+          '404': {
+            description: 'Restoran tidak ditemukan'
+          }
+        }
+      },
+      delete: {
+        summary: 'Hapus restoran beserta menunya',
+        parameters: [RESTAURANT_ID_PARAMETER],
+        responses: {
+          '200': {
+            description: 'Restoran berhasil dihapus'
+          }
+        }
+      }
+    },
+    '/restaurants/{id}/menu': {
+      get: {
+        summary: 'Mendapatkan menu restoran',
+        parameters: [
+          RESTAURANT_ID_PARAMETER,
+          {
+            name: 'available',
+            in: 'query',
+            schema: { type: 'boolean' },
+            description: 'Hanya tampilkan menu yang tersedia'
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Daftar menu berhasil diambil'
+          }
+        }
+      },
+      post: {
+        summary: 'Menambahkan menu baru',
+        parameters: [RESTAURANT_ID_PARAMETER],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name', 'price'],
+                additionalProperties: false,
+                properties: MENU_ITEM_FIELDS
+              }
+            }
+          }
+        },
+        responses: {
+          '201': {
+            description: 'Menu berhasil dibuat'
+          },
+          '400': {
+            description: 'Data menu tidak valid (mis. harga negatif atau bukan bilangan bulat)'
+          },
+          '404': {
+            description: 'Restoran tidak ditemukan'
+          }
+        }
+      }
+    },
+    '/restaurants/{id}/menu/{itemId}': {
+      get: {
+        summary: 'Mendapatkan detail menu',
+        parameters: [
+          RESTAURANT_ID_PARAMETER,
+          MENU_ITEM_ID_PARAMETER
+        ],
+        responses: {
+          '200': {
+            description: 'Detail menu'
+          },
+          '404': {
+            description: 'Menu tidak ditemukan'
+          }
+        }
+      },
+      put: {
+        summary: 'Update menu (harga, ketersediaan, dll)',
+        parameters: [
+          RESTAURANT_ID_PARAMETER,
+          MENU_ITEM_ID_PARAMETER
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                minProperties: 1,
+                additionalProperties: false,
+                properties: MENU_ITEM_FIELDS
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Menu berhasil diupdate'
+          },
+          '400': {
+            description: 'Data menu tidak valid atau tidak ada field yang diupdate'
+          },
+          '404': {
+            description: 'Menu tidak ditemukan'
+          }
+        }
+      },
+      delete: {
+        summary: 'Hapus menu',
+        parameters: [
+          RESTAURANT_ID_PARAMETER,
+          MENU_ITEM_ID_PARAMETER
+        ],
+        responses: {
+          '200': {
+            description: 'Menu berhasil dihapus'
+          }
+        }
+      }
+    }
+  }
+};
+
+app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument));
+
+const startedAt = Date.now();
+
+// ===== HEALTH ROUTES =====
+// Liveness: the process is up and serving requests
+app.get('/health', (req, res) => {
+  res.json({
+    success: true,
+    status: 'ok',
+    service: 'restaurant-service',
+    uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Readiness: the database answers queries and the restaurants table has been created
+app.get('/ready', async (req, res) => {
+  const started = Date.now();
+  let check;
+  try {
+    await storage.get('SELECT 1 FROM restaurants LIMIT 1');
+    check = { status: 'up', latencyMs: Date.now() - started };
+  } catch (err) {
+    check = { status: 'down', error: err.message };
+  }
+  const ready = check.status === 'up';
+  res.status(ready ? 200 : 503).json({
+    success: ready,
+    status: ready ? 'ready' : 'not_ready',
+    service: 'restaurant-service',
+    checks: { database: check },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Only the API Gateway and other services may call this service (see identity/). Restaurants
+// and menus can be read by anonymous requests through the gateway
+app.use(requireInternalToken({ isPublic: req => req.method === 'GET' }));
+
+// Reject requests that do not match the documented schemas (see validation/)
+app.use(createRequestValidator(swaggerDocument));
+
+// Caller identity forwarded by the API Gateway; null for internal service-to-service calls
+// and for anonymous requests to public routes (see requireInternalToken)
+function getCaller(req) {
+  const userId = req.get('X-User-Id');
+  if (!userId) {
+    return null;
+  }
+  const restaurantId = req.get('X-User-Restaurant-Id');
+  return {
+    id: parseInt(userId, 10),
+    email: req.get('X-User-Email'),
+    role: req.get('X-User-Role') || 'customer',
+    restaurantId: restaurantId ? parseInt(restaurantId, 10) : null
+  };
+}
+
+// Consistent 403 response, same shape as the API Gateway and other services
+function forbidden(res, reason) {
+  return res.status(403).json({
+    success: false,
+    code: 'FORBIDDEN',
+    message: 'Akses ditolak',
+    reason
+  });
+}
+
+// Only admins may create or delete restaurants
+function requireAdmin(req, res, next) {
+  const caller = getCaller(req);
+  if (caller && caller.role !== 'admin') {
+    return forbidden(res, 'Hanya admin yang dapat mengelola daftar restoran');
+  }
+  next();
+}
+
+// Admins, or staff of the restaurant in the URL, may change a restaurant and its menu
+function requireRestaurantManager(req, res, next) {
+  const caller = getCaller(req);
+  if (!caller || caller.role === 'admin') {
+    return next();
+  }
+  if (caller.role === 'restaurant_staff' && caller.restaurantId === parseInt(req.params.id, 10)) {
+    return next();
+  }
+  forbidden(res, 'Hanya staff restoran ini atau admin yang dapat mengubah data restoran');
+}
+
+// Express 4 does not catch rejected promises; pass them on to the error handler
+function asyncHandler(handler) {
+  return (req, res, next) => handler(req, res, next).catch(next);
+}
+
+function notFound(res, message) {
+  return res.status(404).json({
+    success: false,
+    message
+  });
+}
+
+// ===== RESTAURANT ROUTES =====
+app.get('/restaurants', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await restaurantsRepository.list()
+  });
+}));
+
+app.get('/restaurants/:id', asyncHandler(async (req, res) => {
+  const restaurant = await restaurantsRepository.findById(req.params.id);
+  if (!restaurant) {
+    return notFound(res, 'Restoran tidak ditemukan');
+  }
+  res.json({
+    success: true,
+    data: {
+      ...restaurant,
+      menu: await menuItemsRepository.list(restaurant.id)
+    }
+  });
+}));
+
+app.post('/restaurants', requireAdmin, asyncHandler(async (req, res) => {
+  res.status(201).json({
+    success: true,
+    data: await restaurantsRepository.create(req.body)
+  });
+}));
+
+app.put('/restaurants/:id', requireRestaurantManager, asyncHandler(async (req, res) => {
+  const restaurant = await restaurantsRepository.update(req.params.id, req.body);
+  if (!restaurant) {
+    return notFound(res, 'Restoran tidak ditemukan');
+  }
+  res.json({
+    success: true,
+    data: restaurant
+  });
+}));
+
+app.delete('/restaurants/:id', requireAdmin, asyncHandler(async (req, res) => {
+  if (!(await restaurantsRepository.delete(req.params.id))) {
+    return notFound(res, 'Restoran tidak ditemukan');
+  }
+  res.json({
+    success: true,
+    message: 'Restoran berhasil dihapus'
+  });
+}));
+
+// ===== MENU ROUTES =====
+app.get('/restaurants/:id/menu', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await menuItemsRepository.list(req.params.id, { availableOnly: req.query.available === true })
+  });
+}));
+
+app.get('/restaurants/:id/menu/:itemId', asyncHandler(async (req, res) => {
+  const menuItem = await menuItemsRepository.findById(req.params.id, req.params.itemId);
+  if (!menuItem) {
+    return notFound(res, 'Menu tidak ditemukan');
+  }
+  res.json({
+    success: true,
+    data: menuItem
+  });
+}));
+
+app.post('/restaurants/:id/menu', requireRestaurantManager, asyncHandler(async (req, res) => {
+  const restaurant = await restaurantsRepository.findById(req.params.id);
+  if (!restaurant) {
+    return notFound(res, 'Restoran tidak ditemukan');
+  }
+  res.status(201).json({
+    success: true,
+    data: await menuItemsRepository.create(restaurant.id, req.body)
+  });
+}));
+
+app.put('/restaurants/:id/menu/:itemId', requireRestaurantManager, asyncHandler(async (req, res) => {
+  const menuItem = await menuItemsRepository.update(req.params.id, req.params.itemId, req.body);
+  if (!menuItem) {
+    return notFound(res, 'Menu tidak ditemukan');
+  }
+  res.json({
+    success: true,
+    data: menuItem
+  });
+}));
+
+app.delete('/restaurants/:id/menu/:itemId', requireRestaurantManager, asyncHandler(async (req, res) => {
+  if (!(await menuItemsRepository.delete(req.params.id, req.params.itemId))) {
+    return notFound(res, 'Menu tidak ditemukan');
+  }
+  res.json({
+    success: true,
+    message: 'Menu berhasil dihapus'
+  });
+}));
+
+// Errors passed on by route handlers. Client errors raised by Express itself (such as a
+// malformed JSON body) are answered as they are, anything else is a 500
+app.use((err, req, res, next) => {
+  if (err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.message
+    });
+  }
+  console.error(`Error handling ${req.method} ${req.originalUrl}:`, err.message);
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: err.message
+  });
+});
+
+// Graceful shutdown
+process.on('SIGINT', () => {
+  storage.close()
+    .then(() => console.log('Database connection closed'))
+    .catch(err => console.error('Error closing database:', err.message))
+    .then(() => process.exit(0));
+});
+
+app.listen(PORT, () => {
+  console.log(`Restaurant Service running on http://localhost:${PORT}`);
+  console.log(`Database: ${storage.description}`);
+  console.log(`Swagger UI available at http://localhost:${PORT}/api-docs`);
+});
\ No newline at end of file
@@ -0,0 +1,538 @@
+require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const path = require('path');
+const fs = require('fs');
+const { openStorage, storageConfig } = require('./storage');
+const userMigrations = require('./user-service/migrate');
+const restaurantMigrations = require('./restaurant-service/migrate');
+const orderMigrations = require('./order-service/migrate');
+const { formatItemLabel } = require('./order-service/itemLabels');
+
+// Seed data for the User, Restaurant and Order databases: fixture files, generated fake
+// customers and orders for load testing, and resetting databases to the fixtures for tests.
+// With SEED_ON_STARTUP=true each service calls seedIfEmpty on startup, so an empty database
+// gets the default fixtures. Users without a password in their fixture get SEED_PASSWORD;
+// there is no default password, and every admin account seeded is logged.
+//
+//   node seed.js load [service] [file...]   load fixtures (default: fixtures/<service>.json for every service)
+//   node seed.js reset [service]            delete all data, then load the default fixtures
+//   node seed.js fake [--customers n] [--orders n] [--seed n]
+//                                           add fake Indonesian customers, and orders from existing
+//                                           customers at existing restaurants
+//
+// service is users, restaurants or orders. Fixture files are JSON arrays, or CSV (see
+// README for the columns). Databases default to the SQLite files the services use. Each
+// database is chosen like its service chooses it, with the variables prefixed USER_,
+// RESTAURANT_ and ORDER_ (USER_DB_DRIVER, USER_DB_PATH, USER_DATABASE_URL, ...).
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const DEFAULT_FAKE_CUSTOMERS = 20;
+const DEFAULT_FAKE_ORDERS = 100;
+
+// Listed in load order: orders refer to users and restaurants
+const SERVICES = {
+  users: {
+    storage: storageConfig('USER_', './database/users.db'),
+    migrations: userMigrations,
+    // Referencing tables first; the last one is the service's main table
+    tables: ['user_addresses', 'refresh_tokens', 'idempotency_keys', 'outbox_events', 'users'],
+    fromCsv: usersFromCsv,
+    insert: insertUsers
+  },
+  restaurants: {
+    storage: storageConfig('RESTAURANT_', './database/restaurants.db'),
+    migrations: restaurantMigrations,
+    tables: ['menu_items', 'restaurants'],
+    fromCsv: restaurantsFromCsv,
+    insert: insertRestaurants
+  },
+  orders: {
+    storage: storageConfig('ORDER_', './database/orders.db'),
+    migrations: orderMigrations,
+    tables: ['order_status_history', 'order_items', 'idempotency_keys', 'outbox_events', 'webhook_deliveries', 'webhook_subscriptions', 'customers', 'orders'],
+    fromCsv: ordersFromCsv,
+    insert: insertOrders
+  }
+};
+
+// ===== FIXTURE FILES =====
+
+// Comma separated values with an optional double-quoted field syntax ("a, b" and "" for a
+// quote); returns one object per line keyed by the header line
+function parseCsv(text) {
+  const lines = [];
+  let line = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      line.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      line.push(field);
+      lines.push(line);
+      line = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  line.push(field);
+  lines.push(line);
+
+  const [header, ...rows] = lines.filter(values => values.some(value => value !== ''));
+  return rows.map(values => Object.fromEntries(header.map((name, index) => [name.trim(), values[index] ?? ''])));
+}
+
+// Empty CSV cells are null, numbers and booleans are converted
+const csvText = (value) => value === '' || value === undefined ? null : value;
+const csvInteger = (value) => csvText(value) === null ? null : parseInt(value, 10);
+const csvBoolean = (value) => csvText(value) === null ? undefined : ['1', 'true', 'yes'].includes(value.toLowerCase());
+
+// CSV lines sharing the same value in column `key` become one record with a list of children
+function groupCsvRows(rows, key, toRecord, childrenKey, toChild) {
+  const records = new Map();
+  rows.forEach(row => {
+    if (!records.has(row[key])) {
+      records.set(row[key], { ...toRecord(row), [childrenKey]: [] });
+    }
+    records.get(row[key])[childrenKey].push(toChild(row));
+  });
+  return [...records.values()];
+}
+
+// name,email,phone,address,role,restaurantId,password
+function usersFromCsv(rows) {
+  return rows.map(row => ({
+    name: row.name,
+    email: row.email,
+    phone: row.phone,
+    address: row.address,
+    role: csvText(row.role) || 'customer',
+    restaurantId: csvInteger(row.restaurantId),
+    password: csvText(row.password) || undefined
+  }));
+}
+
+// One line per menu item: name,address,phone,isOpen,menuName,menuDescription,menuPrice,menuAvailable
+function restaurantsFromCsv(rows) {
+  return groupCsvRows(rows, 'name', row => ({
+    name: row.name,
+    address: row.address,
+    phone: csvText(row.phone),
+    isOpen: csvBoolean(row.isOpen)
+  }), 'menu', row => ({
+    name: row.menuName,
+    description: csvText(row.menuDescription),
+    price: csvInteger(row.menuPrice),
+    isAvailable: csvBoolean(row.menuAvailable)
+  }));
+}
+
+// One line per line item: orderRef,userId,customerName,customerAddress,restaurantId,
+// restaurantName,status,menuItemId,itemName,unitPrice,quantity,notes
+function ordersFromCsv(rows) {
+  return groupCsvRows(rows, 'orderRef', row => ({
+    userId: csvInteger(row.userId),
+    customerName: csvText(row.customerName),
+    customerAddress: csvText(row.customerAddress),
+    restaurantId: csvInteger(row.restaurantId),
+    restaurantName: row.restaurantName,
+    status: csvText(row.status) || 'pending'
+  }), 'items', row => ({
+    menuItemId: csvInteger(row.menuItemId),
+    name: row.itemName,
+    unitPrice: csvInteger(row.unitPrice),
+    quantity: csvInteger(row.quantity) || 1,
+    notes: csvText(row.notes)
+  }));
+}
+
+function readFixture(service, file) {
+  const text = fs.readFileSync(file, 'utf8');
+  switch (path.extname(file).toLowerCase()) {
+    case '.json':
+      return JSON.parse(text);
+    case '.csv':
+      return SERVICES[service].fromCsv(parseCsv(text));
+    default:
+      throw new Error(`Unsupported fixture file ${file} (use .json or .csv)`);
+  }
+}
+
+function defaultFixture(service) {
+  return path.join(FIXTURES_DIR, `${service}.json`);
+}
+
+// ===== INSERTS =====
+
+// Run one statement per parameter list
+async function insertRows(db, sql, rows) {
+  for (const params of rows) {
+    await db.run(sql, params);
+  }
+}
+
+// SEED_PASSWORD, required as soon as one user has no password of its own
+function seedPassword() {
+  if (!process.env.SEED_PASSWORD) {
+    throw new Error('SEED_PASSWORD must be set to seed users without a password in their fixture');
+  }
+  return process.env.SEED_PASSWORD;
+}
+
+// Users without a password get SEED_PASSWORD; each distinct password is hashed once
+async function insertUsers(db, users) {
+  const hashes = new Map();
+  const hashFor = (password) => {
+    if (!hashes.has(password)) {
+      hashes.set(password, bcrypt.hashSync(password, 10));
+    }
+    return hashes.get(password);
+  };
+
+  await insertRows(
+    db,
+    'INSERT INTO users (name, email, phone, address, password_hash, role, restaurant_id, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))',
+    users.map(user => [
+      user.name,
+      user.email,
+      user.phone,
+      user.address,
+      hashFor(user.password || seedPassword()),
+      user.role || 'customer',
+      user.role === 'restaurant_staff' ? user.restaurantId : null,
+      user.createdAt || null
+    ])
+  );
+  users.filter(user => user.role === 'admin').forEach((user) => {
+    console.warn(`Seeded admin account ${user.email}`);
+  });
+  return users.length;
+}
+
+async function insertRestaurants(db, restaurants) {
+  for (const restaurant of restaurants) {
+    const { lastID: restaurantId } = await db.run(
+      'INSERT INTO restaurants (name, address, phone, is_open) VALUES (?, ?, ?, ?)',
+      [restaurant.name, restaurant.address, restaurant.phone || null, restaurant.isOpen === false ? 0 : 1]
+    );
+    await insertRows(
+      db,
+      'INSERT INTO menu_items (restaurant_id, name, description, price, is_available) VALUES (?, ?, ?, ?, ?)',
+      (restaurant.menu || []).map(item => [restaurantId, item.name, item.description || null, item.price, item.isAvailable === false ? 0 : 1])
+    );
+  }
+  return restaurants.length;
+}
+
+// Orders are stored as Order Service stores them: line items, display labels, the total,
+// and a status history (a single entry for the final status unless the fixture has one)
+async function insertOrders(db, orders) {
+  for (const order of orders) {
+    const items = order.items.map(item => ({ ...item, subtotal: item.unitPrice * item.quantity }));
+    const totalPrice = items.reduce((sum, item) => sum + item.subtotal, 0);
+    const status = order.status || 'pending';
+    const history = order.history || [{ fromStatus: null, toStatus: status, actor: 'system', reason: 'Seed data' }];
+    const updatedAt = history[history.length - 1].createdAt || order.createdAt || null;
+
+    const { lastID: orderId } = await db.run(
+      `INSERT INTO orders (user_id, customer_name, customer_address, restaurant_id, restaurant_name, items, total_price, status, courier_id, version, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), COALESCE(?, CURRENT_TIMESTAMP))`,
+      [
+        order.userId,
+        order.customerName || null,
+        order.customerAddress || null,
+        order.restaurantId,
+        order.restaurantName,
+        JSON.stringify(items.map(formatItemLabel)),
+        totalPrice,
+        status,
+        order.courierId || null,
+        history.length,
+        order.createdAt || null,
+        updatedAt
+      ]
+    );
+    await insertRows(
+      db,
+      'INSERT INTO order_items (order_id, menu_item_id, item_name, unit_price, quantity, modifiers, notes, subtotal) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      items.map(item => [orderId, item.menuItemId, item.name, item.unitPrice, item.quantity, JSON.stringify(item.modifiers || {}), item.notes || null, item.subtotal])
+    );
+    await insertRows(
+      db,
+      'INSERT INTO order_status_history (order_id, from_status, to_status, actor, reason, created_at) VALUES (?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))',
+      history.map(entry => [orderId, entry.fromStatus, entry.toStatus, entry.actor, entry.reason || null, entry.createdAt || null])
+    );
+  }
+  return orders.length;
+}
+
+// Insert records into a service database in one transaction; resolves to the count
+function insertRecords(service, db, records) {
+  return db.transaction(tx => SERVICES[service].insert(tx, records));
+}
+
+function loadFixture(service, db, file) {
+  return insertRecords(service, db, readFixture(service, file));
+}
+
+// Delete every row of the service's tables and restart their ids at 1
+function resetDatabase(service, db) {
+  return db.transaction(tx => tx.truncate(SERVICES[service].tables));
+}
+
+// Load the default fixture when the service's main table is empty. Called by each service
+// on startup; resolves to the number of records loaded (0 when there was data already)
+async function seedIfEmpty(service, db) {
+  const { tables } = SERVICES[service];
+  const row = await db.get(`SELECT COUNT(*) as count FROM ${tables[tables.length - 1]}`);
+  return row.count > 0 ? 0 : loadFixture(service, db, defaultFixture(service));
+}
+
+// ===== FAKE DATA =====
+
+const FIRST_NAMES = [
+  'Budi', 'Siti', 'Agus', 'Dewi', 'Rizky', 'Putri', 'Andi', 'Rina', 'Dimas', 'Ayu',
+  'Fajar', 'Intan', 'Hendra', 'Lestari', 'Yoga', 'Nurul', 'Bayu', 'Wulan', 'Eko', 'Sri'
+];
+const LAST_NAMES = [
+  'Santoso', 'Wijaya', 'Saputra', 'Pratama', 'Hidayat', 'Nugroho', 'Kusuma', 'Setiawan',
+  'Siregar', 'Simanjuntak', 'Wibowo', 'Gunawan', 'Halim', 'Purnomo', 'Rahmawati', 'Hasibuan'
+];
+const STREETS = [
+  'Jl. Merdeka', 'Jl. Diponegoro', 'Jl. Gajah Mada', 'Jl. Ahmad Yani', 'Jl. Pemuda', 'Jl. Veteran',
+  'Jl. Cendrawasih', 'Jl. Kartini', 'Jl. Pahlawan', 'Jl. Imam Bonjol', 'Jl. Hayam Wuruk', 'Jl. Melati'
+];
+const CITIES = ['Jakarta', 'Bandung', 'Surabaya', 'Yogyakarta', 'Semarang', 'Medan', 'Makassar', 'Depok', 'Bekasi', 'Tangerang'];
+const PHONE_PREFIXES = ['0811', '0812', '0813', '0821', '0822', '0852', '0857', '0877', '0878', '0895', '0896'];
+const ITEM_NOTES = ['Tidak pedas', 'Sambal dipisah', 'Tanpa bawang', 'Es sedikit', 'Extra pedas', 'Nasinya sedikit'];
+const CANCEL_REASONS = ['Pelanggan membatalkan pesanan', 'Restoran kehabisan bahan', 'Restoran tutup lebih awal', 'Alamat tidak terjangkau'];
+
+// Final status of generated orders with its weight; most orders are finished
+const FAKE_ORDER_STATUSES = [
+  ['delivered', 60], ['cancelled', 10], ['on_delivery', 10], ['processing', 10], ['pending', 10]
+];
+const STATUS_PATH = ['pending', 'processing', 'on_delivery', 'delivered'];
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Seeded pseudo-random generator (mulberry32), so --seed reproduces the same data
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (list) => list[Math.floor(next() * list.length)],
+    chance: (probability) => next() < probability,
+    weighted: (entries) => {
+      let roll = next() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+      return entries.find(([, weight]) => (roll -= weight) < 0)[0];
+    }
+  };
+}
+
+// Timestamp text (UTC), as CURRENT_TIMESTAMP stores it
+function toTimestamp(time) {
+  return new Date(time).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Customers numbered from firstNumber so generated emails do not repeat between runs
+function fakeCustomers(random, count, firstNumber) {
+  return Array.from({ length: count }, (_, index) => {
+    const firstName = random.pick(FIRST_NAMES);
+    const lastName = random.pick(LAST_NAMES);
+    return {
+      name: `${firstName} ${lastName}`,
+      email: `${firstName}.${lastName}${firstNumber + index}@example.com`.toLowerCase(),
+      phone: `${random.pick(PHONE_PREFIXES)}${random.int(1000000, 99999999)}`,
+      address: `${random.pick(STREETS)} No. ${random.int(1, 200)}, ${random.pick(CITIES)}`,
+      role: 'customer',
+      createdAt: toTimestamp(Date.now() - random.int(30, 365) * DAY_MS)
+    };
+  });
+}
+
+// Orders from the given customers at the given restaurants (each with a non-empty menu),
+// placed over the last 30 days, with a status history leading to their final status
+function fakeOrders(random, count, customers, restaurants) {
+  return Array.from({ length: count }, () => {
+    const customer = random.pick(customers);
+    const restaurant = random.pick(restaurants);
+    const menu = [...restaurant.menu];
+    const items = Array.from({ length: random.int(1, Math.min(4, menu.length)) }, () => {
+      const menuItem = menu.splice(random.int(0, menu.length - 1), 1)[0];
+      return {
+        menuItemId: menuItem.id,
+        name: menuItem.name,
+        unitPrice: menuItem.price,
+        quantity: random.int(1, 3),
+        notes: random.chance(0.2) ? random.pick(ITEM_NOTES) : null
+      };
+    });
+
+    const status = random.weighted(FAKE_ORDER_STATUSES);
+    const steps = status === 'cancelled'
+      ? [...STATUS_PATH.slice(0, random.int(1, 2)), 'cancelled']
+      : STATUS_PATH.slice(0, STATUS_PATH.indexOf(status) + 1);
+
+    let time = Date.now() - random.int(2 * 60, 30 * 24 * 60) * MINUTE_MS;
+    const history = steps.map((toStatus, index) => {
+      if (index > 0) {
+        time += random.int(5, 30) * MINUTE_MS;
+      }
+      return {
+        fromStatus: index > 0 ? steps[index - 1] : null,
+        toStatus,
+        actor: index === 0 || toStatus === 'cancelled' ? `customer:${customer.id}` : 'system',
+        reason: toStatus === 'cancelled' ? random.pick(CANCEL_REASONS) : null,
+        createdAt: toTimestamp(time)
+      };
+    });
+
+    return {
+      userId: customer.id,
+      customerName: customer.name,
+      customerAddress: customer.address,
+      restaurantId: restaurant.id,
+      restaurantName: restaurant.name,
+      status,
+      items,
+      createdAt: history[0].createdAt,
+      history
+    };
+  });
+}
+
+async function loadRestaurantsWithMenu(db) {
+  const rows = await db.all(
+    `SELECT r.id AS restaurant_id, r.name AS restaurant_name, m.id, m.name, m.price
+     FROM restaurants r JOIN menu_items m ON m.restaurant_id = r.id
+     WHERE r.is_open = 1 AND m.is_available = 1
+     ORDER BY r.id, m.id`
+  );
+  const restaurants = new Map();
+  rows.forEach(row => {
+    if (!restaurants.has(row.restaurant_id)) {
+      restaurants.set(row.restaurant_id, { id: row.restaurant_id, name: row.restaurant_name, menu: [] });
+    }
+    restaurants.get(row.restaurant_id).menu.push({ id: row.id, name: row.name, price: row.price });
+  });
+  return [...restaurants.values()];
+}
+
+module.exports = { seedIfEmpty, loadFixture, resetDatabase, parseCsv };
+
+// ===== CLI =====
+
+// Open a service database with its migrations applied, resolve to work(db), then close it
+async function withDatabase(service, work) {
+  const { storage, migrations } = SERVICES[service];
+  const db = openStorage(storage);
+  try {
+    (await migrations.migrateUp(db)).forEach(migration => {
+      console.log(`Applied migration ${migration.id}`);
+    });
+    return await work(db);
+  } finally {
+    await db.close();
+  }
+}
+
+async function loadCommand(args) {
+  const service = SERVICES[args[0]] ? args[0] : null;
+  const files = service ? args.slice(1) : args;
+  if (!service && files.length > 0) {
+    throw new Error('Name the service the fixture files are for: load <users|restaurants|orders> <file...>');
+  }
+
+  for (const name of service ? [service] : Object.keys(SERVICES)) {
+    await withDatabase(name, async (db) => {
+      for (const file of files.length > 0 ? files : [defaultFixture(name)]) {
+        const count = await loadFixture(name, db, file);
+        console.log(`Loaded ${count} ${name} from ${path.relative(process.cwd(), file)}`);
+      }
+    });
+  }
+}
+
+async function resetCommand(args) {
+  if (args[0] && !SERVICES[args[0]]) {
+    throw new Error(`Unknown service ${args[0]} (use users, restaurants or orders)`);
+  }
+  for (const service of args[0] ? [args[0]] : Object.keys(SERVICES)) {
+    await withDatabase(service, async (db) => {
+      await resetDatabase(service, db);
+      const count = await loadFixture(service, db, defaultFixture(service));
+      console.log(`Reset ${db.description} to ${count} ${service} from the default fixture`);
+    });
+  }
+}
+
+async function fakeCommand(args) {
+  const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? fallback : parseInt(args[index + 1], 10);
+  };
+  const customerCount = option('customers', DEFAULT_FAKE_CUSTOMERS);
+  const orderCount = option('orders', DEFAULT_FAKE_ORDERS);
+  const seed = option('seed', Date.now());
+  if (![customerCount, orderCount, seed].every(Number.isInteger) || customerCount < 0 || orderCount < 0) {
+    throw new Error('Usage: fake [--customers n] [--orders n] [--seed n]');
+  }
+  const random = createRandom(seed);
+
+  const customers = await withDatabase('users', async (db) => {
+    const row = await db.get('SELECT COALESCE(MAX(id), 0) + 1 AS next FROM users');
+    await insertRecords('users', db, fakeCustomers(random, customerCount, row.next));
+    console.log(`Added ${customerCount} fake customers`);
+    return db.all("SELECT id, name, address FROM users WHERE role = 'customer' AND deleted_at IS NULL");
+  });
+  if (orderCount === 0) {
+    return;
+  }
+
+  const restaurants = await withDatabase('restaurants', loadRestaurantsWithMenu);
+  if (customers.length === 0 || restaurants.length === 0) {
+    throw new Error('Fake orders need at least one customer and one open restaurant with available menu items');
+  }
+
+  await withDatabase('orders', db => insertRecords('orders', db, fakeOrders(random, orderCount, customers, restaurants)));
+  console.log(`Added ${orderCount} fake orders (seed ${seed})`);
+}
+
+if (require.main === module) {
+  const [command = 'load', ...args] = process.argv.slice(2);
+  const commands = { load: loadCommand, reset: resetCommand, fake: fakeCommand };
+  if (!commands[command]) {
+    console.error('Usage: node seed.js <load [service] [file...] | reset [service] | fake [--customers n] [--orders n] [--seed n]>');
+    process.exit(1);
+  }
+
+  commands[command](args).catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+}
\ No newline at end of file
@@ -1,24 +1,45 @@
-@echo off
-echo Starting all services...
-
-:: Start API Gateway
-cd api-gateway
-start cmd /k "npm run start:gateway"
-cd ..
-
-:: Start Service 1
-cd order-service
-start cmd /k "npm run start:order"
-cd ..
-
-:: Start Service 2
-cd user-service
-start cmd /k "npm run start:user"
-cd ..
-
-
-echo All services started!
-echo API Gateway: http://localhost:3000
-echo Service 1: http://localhost:3001
-echo Service 2: http://localhost:3002
+@echo off
+echo Starting all services...
+
+:: Local run: development values for secrets that are not set (see README, Autentikasi)
+if not defined NODE_ENV set NODE_ENV=development
+
+:: Start API Gateway
+cd api-gateway
+start cmd /k "npm run start:gateway"
+cd ..
+
+:: Start Service 1
+cd order-service
+start cmd /k "npm run start:order"
+cd ..
+
+:: Start Service 2
+cd user-service
+start cmd /k "npm run start:user"
+cd ..
+
+:: Start Service 3
+cd restaurant-service
+start cmd /k "npm run start:restaurant"
+cd ..
+
+:: Start Service 4
+cd notification-service
+start cmd /k "npm run start:notification"
+cd ..
+
+:: Start Service 5
+cd delivery-service
+start cmd /k "npm run start:delivery"
+cd ..
+
+
+echo All services started!
+echo API Gateway: http://localhost:3000
+echo Service 1: http://localhost:3001
+echo Service 2: http://localhost:3002
+echo Service 3: http://localhost:3003
+echo Service 4: http://localhost:3004
+echo Service 5: http://localhost:3005
 pause
\ No newline at end of file
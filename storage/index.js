@@ -0,0 +1,47 @@
+const { openSqlite } = require('./sqlite');
+const { openPostgres } = require('./postgres');
+
+// Storage backends for the services. Every driver offers the same promise-based interface,
+// which the repositories, migrations and seed.js are written against:
+//
+//   run(sql, params)     resolves to { lastID, changes }
+//   get(sql, params)     resolves to the first row, or undefined
+//   all(sql, params)     resolves to every row
+//   exec(sql)            runs several ;-separated statements without parameters
+//   transaction(work)    runs work(tx) in a transaction; tx has the same interface
+//   listColumns(table)   column names of a table, for migrations
+//   truncate(tables)     deletes every row and restarts the ids
+//   close()
+//
+// plus dialect ('sqlite' or 'postgres'), types (column types that differ between drivers,
+// for migrations) and description (for logs). SQL uses ? placeholders on every driver.
+// Errors from constraint violations (unique, not null, ...) have isConstraintError set.
+const DRIVERS = {
+  sqlite: ({ path }) => openSqlite(path),
+  memory: () => openSqlite(':memory:'),
+  postgres: ({ url }) => openPostgres(url)
+};
+
+// Storage settings from the environment. prefix selects a service's variables when one
+// process opens several databases (seed.js uses USER_, ORDER_, ...); services use none:
+//
+//   <prefix>DB_DRIVER      sqlite (default), memory or postgres
+//   <prefix>DB_PATH        SQLite database file (default: defaultPath)
+//   <prefix>DATABASE_URL   PostgreSQL connection string
+function storageConfig(prefix, defaultPath) {
+  return {
+    driver: process.env[`${prefix}DB_DRIVER`] || 'sqlite',
+    path: process.env[`${prefix}DB_PATH`] || defaultPath,
+    url: process.env[`${prefix}DATABASE_URL`]
+  };
+}
+
+function openStorage(config) {
+  const open = DRIVERS[config.driver];
+  if (!open) {
+    throw new Error(`Unknown DB_DRIVER ${config.driver} (use ${Object.keys(DRIVERS).join(', ')})`);
+  }
+  return open(config);
+}
+
+module.exports = { openStorage, storageConfig };
\ No newline at end of file
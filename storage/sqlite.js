@@ -0,0 +1,152 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs');
+
+// SQLite driver: one connection per database file, or an in-memory database that lives as
+// long as the process (DB_DRIVER=memory).
+//
+// SQLite has one transaction per connection, so while a transaction is open every statement
+// from outside it waits until it commits or rolls back. Otherwise a query from a concurrent
+// request would run inside the transaction, and be rolled back with it.
+
+// Mark errors the caller may want to turn into a 409, the same way on every driver
+function normalizeError(err) {
+  if (err.code === 'SQLITE_CONSTRAINT') {
+    err.isConstraintError = true;
+  }
+  return err;
+}
+
+// Wrap a connection's run/get/all. pending() returns a promise to wait for before a
+// statement may be issued, or null when it may be issued right away
+function statements(connection, pending) {
+  // The statement is issued in the same tick as the last pending() check, so a transaction
+  // cannot begin in between
+  const execute = async (issue) => {
+    for (let wait = pending(); wait; wait = pending()) {
+      await wait;
+    }
+    return new Promise(issue);
+  };
+
+  return {
+    // Resolves to { lastID, changes }
+    run(sql, params = []) {
+      return execute((resolve, reject) => {
+        connection.run(sql, params, function(err) {
+          if (err) {
+            return reject(normalizeError(err));
+          }
+          resolve({ lastID: this.lastID, changes: this.changes });
+        });
+      });
+    },
+
+    // Resolves to the first row, or undefined
+    get(sql, params = []) {
+      return execute((resolve, reject) => {
+        connection.get(sql, params, (err, row) => (err ? reject(normalizeError(err)) : resolve(row)));
+      });
+    },
+
+    all(sql, params = []) {
+      return execute((resolve, reject) => {
+        connection.all(sql, params, (err, rows) => (err ? reject(normalizeError(err)) : resolve(rows)));
+      });
+    },
+
+    // Run several ;-separated statements without parameters
+    exec(sql) {
+      return execute((resolve, reject) => {
+        connection.exec(sql, (err) => (err ? reject(normalizeError(err)) : resolve()));
+      });
+    },
+
+    async listColumns(table) {
+      const columns = await this.all(`PRAGMA table_info(${table})`);
+      return columns.map(column => column.name);
+    },
+
+    // Delete every row of the tables and restart their ids at 1
+    async truncate(tables) {
+      await this.exec(tables.map(table => `DELETE FROM ${table};`).join('\n'));
+      await this.run(`DELETE FROM sqlite_sequence WHERE name IN (${tables.map(() => '?').join(', ')})`, tables);
+    }
+  };
+}
+
+// Column types that differ between drivers, for migrations
+const TYPES = {
+  id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+  timestamp: 'DATETIME'
+};
+
+// Storage on an open sqlite3 connection
+function createSqliteStorage(connection, description) {
+  // Execute statements in the order they are issued
+  connection.serialize();
+
+  // Resolves when the open transaction has committed or rolled back; null when none is open
+  let transactionEnded = null;
+
+  // Statements inside the transaction are issued right away; a nested transaction() joins it
+  const tx = { dialect: 'sqlite', types: TYPES, ...statements(connection, () => null) };
+  tx.transaction = (work) => work(tx);
+
+  return {
+    dialect: 'sqlite',
+    description,
+    types: TYPES,
+    ...statements(connection, () => transactionEnded),
+
+    // Run work(tx) in a transaction and resolve to its result. Commits when work resolves,
+    // rolls back and rejects with its error when it throws
+    async transaction(work) {
+      for (let wait = transactionEnded; wait; wait = transactionEnded) {
+        await wait;
+      }
+
+      const result = (async () => {
+        await tx.run('BEGIN IMMEDIATE');
+        try {
+          const value = await work(tx);
+          await tx.run('COMMIT');
+          return value;
+        } catch (error) {
+          await tx.run('ROLLBACK').catch(rollbackError => {
+            console.error('Error rolling back transaction:', rollbackError.message);
+          });
+          throw error;
+        }
+      })();
+      transactionEnded = result.catch(() => {}).then(() => {
+        transactionEnded = null;
+      });
+      return result;
+    },
+
+    close() {
+      return new Promise((resolve, reject) => connection.close(err => (err ? reject(err) : resolve())));
+    }
+  };
+}
+
+// How long a statement waits for another process that has the database file locked (the
+// event bus database is shared by the services) before failing with SQLITE_BUSY
+const BUSY_TIMEOUT_MS = 5000;
+
+// Open (creating it and its directory if needed) a database file, or ':memory:'
+function openSqlite(file) {
+  if (file !== ':memory:') {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+  const connection = new sqlite3.Database(file, (err) => {
+    if (err) {
+      console.error('Error opening database:', err.message);
+    }
+  });
+  connection.configure('busyTimeout', BUSY_TIMEOUT_MS);
+  return createSqliteStorage(connection, file === ':memory:' ? 'SQLite (in-memory)' : `SQLite ${file}`);
+}
+
+module.exports = { openSqlite, createSqliteStorage };
\ No newline at end of file
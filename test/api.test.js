@@ -0,0 +1,276 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { SECRETS, startServices, request } = require('./services');
+
+// Behaviour through the API Gateway, against running services seeded with the fixtures
+// (fixtures/*.json): user 1 is John (customer), 2 Jane (customer), 3 the admin, 4 staff
+// of restaurant 1 and 5 a courier
+describe('API Gateway and services', () => {
+  let services;
+  const tokens = {};
+  const api = (method, path, options) => request(services.gatewayUrl, method, `/api${path}`, options);
+
+  const login = async (email) => {
+    const response = await api('POST', '/auth/login', { body: { email, password: SECRETS.SEED_PASSWORD } });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    return response.body.data;
+  };
+
+  // A new pending order of John's at restaurant 1
+  const createOrder = async (headers = {}) => {
+    const response = await api('POST', '/orders', {
+      token: tokens.customer,
+      headers,
+      body: { userId: 1, restaurantId: 1, items: [{ menuItemId: 1, quantity: 1 }] }
+    });
+    assert.equal(response.status, 201, JSON.stringify(response.body));
+    return response;
+  };
+
+  const changeStatus = (role, orderId, body, headers) =>
+    api('PATCH', `/orders/${orderId}`, { token: tokens[role], body, headers });
+
+  before(async () => {
+    services = await startServices();
+    tokens.customer = (await login('john@example.com')).accessToken;
+    tokens.admin = (await login('admin@example.com')).accessToken;
+    tokens.staff = (await login('staff@example.com')).accessToken;
+    tokens.courier = (await login('courier@example.com')).accessToken;
+  });
+
+  after(() => services && services.stop());
+
+  describe('authentication', () => {
+    it('requires a bearer token outside the public routes', async () => {
+      assert.equal((await api('GET', '/orders')).status, 401);
+      assert.equal((await api('GET', '/orders', { headers: { Authorization: tokens.customer } })).status, 401);
+      assert.equal((await api('GET', '/restaurants')).status, 200);
+    });
+
+    it('rejects tokens that are forged, expired or unsigned', async () => {
+      const claims = { sub: '3', email: 'admin@example.com', role: 'admin' };
+      const forged = jwt.sign(claims, 'another-secret');
+      const expired = jwt.sign({ ...claims, exp: Math.floor(Date.now() / 1000) - 60 }, SECRETS.JWT_SECRET);
+      const unsigned = `${Buffer.from('{"alg":"none","typ":"JWT"}').toString('base64url')}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.`;
+
+      for (const token of [forged, expired, unsigned]) {
+        const response = await api('GET', '/users', { token });
+        assert.equal(response.status, 401);
+        assert.equal(response.body.message, 'Access token tidak valid atau kedaluwarsa');
+      }
+      assert.equal((await api('GET', '/users', { token: jwt.sign(claims, SECRETS.JWT_SECRET) })).status, 200);
+    });
+
+    it('rotates refresh tokens: each one can be used once', async () => {
+      const { refreshToken } = await login('jane@example.com');
+
+      const refreshed = await api('POST', '/auth/refresh', { body: { refreshToken } });
+      assert.equal(refreshed.status, 200);
+      assert.notEqual(refreshed.body.data.refreshToken, refreshToken);
+      assert.equal((await api('GET', '/users/2', { token: refreshed.body.data.accessToken })).status, 200);
+
+      assert.equal((await api('POST', '/auth/refresh', { body: { refreshToken } })).status, 401);
+      assert.equal((await api('POST', '/auth/refresh', { body: { refreshToken: refreshed.body.data.refreshToken } })).status, 200);
+    });
+
+    it('rejects paths that are not in normal form before checking routes and roles', async () => {
+      const paths = [
+        '/auth/../users',
+        '/auth/%2e%2e/users',
+        '/auth/.%2E/users',
+        '/auth%2f..%2fusers',
+        '/users/2/.',
+        '/orders/1/../2',
+        '//users',
+        '/auth/..\\users'
+      ];
+      for (const path of paths) {
+        const response = await api('GET', path);
+        assert.equal(response.status, 400, path);
+        assert.equal(response.body.message, 'Path request tidak valid');
+      }
+      // The query string is forwarded, and is not part of the path check
+      const listed = await api('GET', '/users?search=../john', { token: tokens.admin });
+      assert.equal(listed.status, 200);
+    });
+
+    it('matches role policies case-insensitively and with a trailing slash', async () => {
+      for (const path of ['/users', '/users/', '/USERS', '/Users/']) {
+        const response = await api('GET', path, { token: tokens.customer });
+        assert.equal(response.status, 403, path);
+        assert.equal(response.body.code, 'FORBIDDEN');
+      }
+    });
+  });
+
+  describe('access control', () => {
+    it('denies each role the routes it may not use', async () => {
+      const denied = [
+        ['customer', 'GET', '/users'],
+        ['customer', 'POST', '/restaurants'],
+        ['customer', 'DELETE', '/orders/1'],
+        ['staff', 'DELETE', '/users/2'],
+        ['staff', 'DELETE', '/restaurants/1'],
+        ['staff', 'POST', '/orders'],
+        ['courier', 'POST', '/orders'],
+        ['courier', 'PUT', '/restaurants/1'],
+        ['courier', 'GET', '/webhooks']
+      ];
+      for (const [role, method, path] of denied) {
+        const response = await api(method, path, { token: tokens[role], body: ['POST', 'PUT'].includes(method) ? {} : undefined });
+        assert.equal(response.status, 403, `${role} ${method} ${path}`);
+        assert.equal(response.body.code, 'FORBIDDEN');
+      }
+    });
+
+    it('lets services refuse what the gateway policies allow', async () => {
+      // Staff of restaurant 1 may not change restaurant 2
+      const otherRestaurant = await api('PUT', '/restaurants/2', { token: tokens.staff, body: { isOpen: false } });
+      assert.equal(otherRestaurant.status, 403);
+      // Customers only see their own profile and orders
+      assert.equal((await api('GET', '/users/2', { token: tokens.customer })).status, 403);
+      const order = await createOrder();
+      const jane = (await login('jane@example.com')).accessToken;
+      assert.equal((await api('GET', `/orders/${order.body.data.id}`, { token: jane })).status, 403);
+    });
+
+    it('answers 401 to service requests without the internal token', async () => {
+      const { user, order } = services.serviceUrls;
+      assert.equal((await request(user, 'GET', '/users')).status, 401);
+      const spoofed = await request(user, 'GET', '/users', { headers: { 'X-User-Id': '3', 'X-User-Role': 'admin' } });
+      assert.equal(spoofed.status, 401);
+      assert.equal((await request(order, 'GET', '/orders', { headers: { 'X-Internal-Token': 'wrong' } })).status, 401);
+      assert.equal((await request(user, 'GET', '/users', { headers: { 'X-Internal-Token': SECRETS.INTERNAL_API_TOKEN } })).status, 200);
+    });
+  });
+
+  describe('request validation', () => {
+    it('lists the invalid fields of a request', async () => {
+      const response = await api('POST', '/auth/register', {
+        body: { name: '', email: 'not-an-email', phone: '12', address: 'Jl. A', password: 'short' }
+      });
+      assert.equal(response.status, 400);
+      assert.equal(response.body.code, 'VALIDATION_ERROR');
+      assert.deepEqual(
+        response.body.errors.map(error => error.field).sort(),
+        ['body.email', 'body.name', 'body.password', 'body.phone']
+      );
+    });
+
+    it('rejects invalid orders, ids and menu prices', async () => {
+      const invalid = [
+        ['customer', 'POST', '/orders', { userId: 1, restaurantId: 1, items: [] }, 'body.items'],
+        ['customer', 'POST', '/orders', { userId: 1, restaurantId: 1, items: [{ menuItemId: 1, quantity: 0 }] }, 'body.items[0].quantity'],
+        ['customer', 'POST', '/orders', { userId: 1, restaurantId: 'satu', items: [{ menuItemId: 1, quantity: 1 }] }, 'body.restaurantId'],
+        ['admin', 'GET', '/orders/abc', undefined, 'path.id'],
+        ['staff', 'POST', '/restaurants/1/menu', { name: 'Kopi', price: -1 }, 'body.price'],
+        ['staff', 'PUT', '/restaurants/1/menu/1', { price: 1.5 }, 'body.price'],
+        ['staff', 'PUT', '/restaurants/1', {}, 'body']
+      ];
+      for (const [role, method, path, body, field] of invalid) {
+        const response = await api(method, path, { token: tokens[role], body });
+        assert.equal(response.status, 400, `${method} ${path}`);
+        assert.ok(response.body.errors.some(error => error.field === field), `${method} ${path}: ${JSON.stringify(response.body.errors)}`);
+      }
+    });
+  });
+
+  describe('order status', () => {
+    it('follows pending → processing → on_delivery → delivered, each step by its role', async () => {
+      const { body: { data: order } } = await createOrder();
+      assert.equal(order.status, 'pending');
+
+      assert.equal((await changeStatus('staff', order.id, { status: 'processing' })).status, 200);
+      // The courier is still delivering fixture order 2, and takes one order at a time
+      const busy = await changeStatus('courier', order.id, { status: 'on_delivery' });
+      assert.equal(busy.status, 409);
+      assert.deepEqual(busy.body.orderIds, [2]);
+      assert.equal((await changeStatus('courier', 2, { status: 'delivered' })).status, 200);
+
+      assert.equal((await changeStatus('courier', order.id, { status: 'on_delivery' })).status, 200);
+      const delivered = await changeStatus('courier', order.id, { status: 'delivered' });
+      assert.equal(delivered.status, 200);
+      assert.equal(delivered.body.data.status, 'delivered');
+
+      const history = await api('GET', `/orders/${order.id}/history`, { token: tokens.admin });
+      assert.deepEqual(history.body.data.map(entry => entry.toStatus), ['pending', 'processing', 'on_delivery', 'delivered']);
+    });
+
+    it('refuses transitions the state machine does not allow', async () => {
+      const { body: { data: order } } = await createOrder();
+      const skipped = await changeStatus('admin', order.id, { status: 'delivered' });
+      assert.equal(skipped.status, 409);
+      assert.equal(skipped.body.currentStatus, 'pending');
+      assert.deepEqual(skipped.body.allowedTransitions, ['processing', 'cancelled']);
+
+      assert.equal((await changeStatus('customer', order.id, { status: 'cancelled' })).status, 400);
+      assert.equal((await changeStatus('customer', order.id, { status: 'cancelled', reason: 'Salah pesan' })).status, 200);
+      const reopened = await changeStatus('admin', order.id, { status: 'processing' });
+      assert.equal(reopened.status, 409);
+      assert.deepEqual(reopened.body.allowedTransitions, []);
+    });
+
+    it('refuses status changes by roles that may not make them', async () => {
+      const { body: { data: order } } = await createOrder();
+      const denied = [
+        ['customer', 'processing'],
+        ['courier', 'processing'],
+        ['staff', 'on_delivery'],
+        ['customer', 'delivered']
+      ];
+      for (const [role, status] of denied) {
+        const response = await changeStatus(role, order.id, { status });
+        assert.equal(response.status, 403, `${role} → ${status}`);
+        assert.equal(response.body.code, 'FORBIDDEN');
+      }
+    });
+
+    it('answers a stale If-Match with 412 and the current ETag', async () => {
+      const { body: { data: { id: orderId } } } = await createOrder();
+      const current = await api('GET', `/orders/${orderId}`, { token: tokens.customer });
+
+      assert.equal((await changeStatus('staff', orderId, { status: 'processing' }, { 'If-Match': current.headers.etag })).status, 200);
+      const stale = await changeStatus('staff', orderId, { status: 'cancelled', reason: 'Habis' }, { 'If-Match': current.headers.etag });
+      assert.equal(stale.status, 412);
+      assert.equal(stale.body.code, 'PRECONDITION_FAILED');
+      assert.equal(stale.headers.etag, `"${stale.body.currentVersion}"`);
+      assert.notEqual(stale.headers.etag, current.headers.etag);
+    });
+  });
+
+  describe('idempotency keys', () => {
+    it('replays the stored response for the same key and body', async () => {
+      const key = `order-${Date.now()}`;
+      const first = await createOrder({ 'Idempotency-Key': key });
+      const again = await createOrder({ 'Idempotency-Key': key });
+      assert.equal(again.headers['idempotent-replayed'], 'true');
+      assert.equal(first.headers['idempotent-replayed'], undefined);
+      assert.deepEqual(again.body, first.body);
+    });
+
+    it('refuses the same key with another body', async () => {
+      const key = `order-${Date.now()}-conflict`;
+      await createOrder({ 'Idempotency-Key': key });
+      const response = await api('POST', '/orders', {
+        token: tokens.customer,
+        headers: { 'Idempotency-Key': key },
+        body: { userId: 1, restaurantId: 1, items: [{ menuItemId: 1, quantity: 3 }] }
+      });
+      assert.equal(response.status, 409);
+      assert.equal(response.body.message, 'Idempotency-Key sudah dipakai untuk request yang berbeda');
+    });
+
+    it('keeps keys separate per caller', async () => {
+      const key = `order-${Date.now()}-scope`;
+      const john = await createOrder({ 'Idempotency-Key': key });
+      const admin = await api('POST', '/orders', {
+        token: tokens.admin,
+        headers: { 'Idempotency-Key': key },
+        body: { userId: 1, restaurantId: 1, items: [{ menuItemId: 1, quantity: 1 }] }
+      });
+      assert.equal(admin.status, 201);
+      assert.notEqual(admin.body.data.id, john.body.data.id);
+    });
+  });
+});
\ No newline at end of file
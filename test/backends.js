@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { openStorage } = require('../storage');
+
+// Storage backends the tests run against: the SQLite drivers always, PostgreSQL when
+// DATABASE_URL is set. The PostgreSQL database must be one set aside for tests; suites
+// refuse to touch it unless it is empty, and roll back all their migrations when done
+const BACKENDS = [
+  { driver: 'memory' },
+  { driver: 'sqlite' },
+  ...(process.env.DATABASE_URL ? [{ driver: 'postgres', url: process.env.DATABASE_URL }] : [])
+];
+
+// Tables of the database, schema_version included
+async function listTables(db) {
+  const rows = db.dialect === 'postgres'
+    ? await db.all('SELECT table_name AS name FROM information_schema.tables WHERE table_schema = current_schema()')
+    : await db.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'");
+  return rows.map(row => row.name).sort();
+}
+
+// Run the tests defined by defineTests(context) once per backend, on a database migrated
+// with the service's migrator, after checking that the migrations roll back and apply
+// again cleanly. context.db is the storage while the tests run
+function describeEachBackend(name, migrator, defineTests) {
+  for (const backend of BACKENDS) {
+    describe(`${name} (${backend.driver})`, () => {
+      const context = { db: null };
+      let directory = null;
+
+      before(async () => {
+        if (backend.driver === 'sqlite') {
+          directory = fs.mkdtempSync(path.join(os.tmpdir(), 'food-delivery-test-'));
+        }
+        const db = openStorage({ ...backend, path: directory && path.join(directory, 'test.db') });
+        const tables = await listTables(db);
+        if (tables.length > 0) {
+          await db.close();
+          throw new Error(`Test database ${db.description} is not empty (tables: ${tables.join(', ')})`);
+        }
+        context.db = db;
+        await migrator.migrateUp(db);
+      });
+
+      after(async () => {
+        if (context.db) {
+          await migrator.migrateDown(context.db, (await migrator.getStatus(context.db)).length);
+          await context.db.run('DROP TABLE schema_version');
+          await context.db.close();
+        }
+        if (directory) {
+          fs.rmSync(directory, { recursive: true, force: true });
+        }
+      });
+
+      it('rolls back every migration and applies them again', async () => {
+        const toVersions = migrations => migrations.map(migration => migration.version);
+        const versions = toVersions(await migrator.getStatus(context.db));
+        assert.deepEqual(toVersions(await migrator.migrateDown(context.db, versions.length)), [...versions].reverse());
+        assert.deepEqual(await listTables(context.db), ['schema_version']);
+        assert.deepEqual(toVersions(await migrator.migrateUp(context.db)), versions);
+      });
+
+      defineTests(context);
+    });
+  }
+}
+
+module.exports = { describeEachBackend };
\ No newline at end of file
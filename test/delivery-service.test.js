@@ -0,0 +1,123 @@
+const { it } = require('node:test');
+const assert = require('node:assert/strict');
+const { describeEachBackend } = require('./backends');
+const { testOutbox } = require('./sharedRepositories');
+const { OutboxRepository } = require('../eventbus');
+const migrator = require('../delivery-service/migrate');
+const { CouriersRepository, DeliveriesRepository } = require('../delivery-service/repositories');
+const { assignCourier } = require('../delivery-service/assignment');
+
+// An order as sent in order events, delivered to a saved address with coordinates
+function order(id, dropoff = { address: 'Jl. Melati 1', notes: null, latitude: -6.2297, longitude: 106.8295 }) {
+  return { id, userId: 1, restaurantId: 1, restaurantName: 'Warung Padang', deliveryAddress: dropoff };
+}
+
+describeEachBackend('Delivery Service', migrator, (context) => {
+  it('tracks courier availability and their active delivery', async () => {
+    const couriers = new CouriersRepository(context.db);
+    await couriers.register(5, { name: 'Budi', phone: '0811' });
+    await couriers.register(5, { name: 'Other', phone: '0000' });
+    assert.equal((await couriers.findById(5)).status, 'offline');
+    assert.equal((await couriers.findById(5)).name, 'Budi');
+
+    await couriers.updateContact(5, { name: 'Budi Santoso', phone: '0812' });
+    await couriers.setAvailability(5, true);
+    await couriers.updateLocation(5, { latitude: -6.2, longitude: 106.8 });
+    const available = await couriers.findById(5);
+    assert.equal(available.status, 'available');
+    assert.equal(available.phone, '0812');
+    assert.equal(available.latitude, -6.2);
+    assert.deepEqual((await couriers.listFree()).map(courier => courier.userId), [5]);
+
+    assert.equal(await couriers.claim(5, 100), true);
+    assert.equal(await couriers.claim(5, 101), false);
+    assert.equal((await couriers.findById(5)).status, 'busy');
+    assert.equal((await couriers.list({ status: 'busy', limit: 10, offset: 0 })).total, 1);
+    assert.deepEqual(await couriers.listFree(), []);
+
+    await couriers.release(5, 101);
+    assert.equal((await couriers.findById(5)).activeDeliveryId, 100);
+    await couriers.release(5, 100);
+    assert.equal((await couriers.findById(5)).status, 'available');
+
+    await couriers.delete(5);
+    assert.equal(await couriers.findById(5), null);
+  });
+
+  it('creates one delivery per order and follows it to the end', async () => {
+    const deliveries = new DeliveriesRepository(context.db);
+    const delivery = await deliveries.createForOrder(order(1));
+    assert.equal(delivery.status, 'unassigned');
+    assert.equal(delivery.dropoff.latitude, -6.2297);
+    assert.equal((await deliveries.createForOrder(order(1))).id, delivery.id);
+    const legacy = await deliveries.createForOrder({ ...order(2), deliveryAddress: undefined, customerAddress: 'Jl. Lama 9' });
+    assert.deepEqual(legacy.dropoff, { address: 'Jl. Lama 9', notes: null, latitude: null, longitude: null });
+    assert.deepEqual((await deliveries.listUnassigned(10)).map(unassigned => unassigned.id), [delivery.id, legacy.id]);
+
+    const courier = { userId: 5, name: 'Budi', phone: '0811' };
+    assert.equal(await deliveries.assign(delivery.id, { courier, strategy: 'round-robin' }), true);
+    assert.equal(await deliveries.assign(delivery.id, { courier, strategy: 'round-robin' }), false);
+    assert.equal(await deliveries.reassign(delivery.id, { courier: { userId: 6, name: 'Andi', phone: '0812' } }), true);
+    assert.equal((await deliveries.findById(delivery.id)).courier.userId, 6);
+    assert.equal(await deliveries.reassign(delivery.id, { courier, at: '2026-01-01 09:50:00' }), true);
+    assert.equal(await deliveries.reassign(legacy.id, { courier }), false);
+    await deliveries.markPickedUp(delivery.id, '2026-01-01 10:00:00');
+    assert.equal(await deliveries.reassign(delivery.id, { courier }), false);
+    await deliveries.markDelivered(delivery.id, '2026-01-01 10:30:00');
+    await deliveries.markCancelled(delivery.id, '2026-01-01 11:00:00');
+    const delivered = await deliveries.findByOrderId(1);
+    assert.equal(delivered.status, 'delivered');
+    assert.deepEqual(delivered.courier, courier);
+    assert.equal(delivered.strategy, 'manual');
+    assert.equal(delivered.pickedUpAt, '2026-01-01 10:00:00');
+    assert.equal(delivered.cancelledAt, null);
+
+    await deliveries.markCancelled(legacy.id, '2026-01-01 11:00:00');
+    assert.equal((await deliveries.list({ status: 'cancelled', limit: 10, offset: 0 })).total, 1);
+    assert.deepEqual((await deliveries.list({ courierId: 5, limit: 10, offset: 0 })).deliveries.map(found => found.id), [delivery.id]);
+  });
+
+  it('assigns the nearest free courier, or any free courier without coordinates', async () => {
+    const couriers = new CouriersRepository(context.db);
+    const deliveries = new DeliveriesRepository(context.db);
+    for (const [userId, latitude, longitude] of [[11, -6.9, 107.6], [12, -6.23, 106.83]]) {
+      await couriers.register(userId, { name: `Kurir ${userId}`, phone: '0800' });
+      await couriers.setAvailability(userId, true);
+      await couriers.updateLocation(userId, { latitude, longitude });
+    }
+    await couriers.register(13, { name: 'Kurir 13', phone: '0800' });
+    await couriers.setAvailability(13, true);
+
+    const near = await deliveries.createForOrder(order(10));
+    const { result, delivery: assigned } = await assignCourier(context.db, near.id, 'nearest');
+    assert.equal(result, 'assigned');
+    assert.equal(assigned.courier.userId, 12);
+    assert.equal(assigned.strategy, 'nearest');
+    assert.ok(assigned.distanceKm < 1);
+    assert.deepEqual(await assignCourier(context.db, near.id, 'nearest'), { result: 'not_waiting' });
+
+    const unlocated = await deliveries.createForOrder(order(11, { address: 'Jl. Tanpa Koordinat' }));
+    const { delivery: fallback } = await assignCourier(context.db, unlocated.id, 'nearest');
+    assert.equal(fallback.strategy, 'round-robin');
+    assert.equal(fallback.distanceKm, null);
+
+    const waiting = await deliveries.createForOrder(order(12));
+    assert.equal((await assignCourier(context.db, waiting.id, 'round-robin')).result, 'assigned');
+    const last = await deliveries.createForOrder(order(13));
+    assert.deepEqual(await assignCourier(context.db, last.id, 'round-robin'), { result: 'no_courier_available' });
+    assert.equal((await deliveries.findById(last.id)).status, 'unassigned');
+
+    const outbox = new OutboxRepository(context.db);
+    const events = await outbox.listUnpublished(10);
+    assert.deepEqual(events.map(event => [event.type, JSON.parse(event.payload)]), [
+      ['DeliveryAssigned', { deliveryId: near.id, orderId: 10, courierId: 12, strategy: 'nearest' }],
+      ['DeliveryAssigned', { deliveryId: unlocated.id, orderId: 11, courierId: fallback.courier.userId, strategy: 'round-robin' }],
+      ['DeliveryAssigned', { deliveryId: waiting.id, orderId: 12, courierId: (await deliveries.findById(waiting.id)).courier.userId, strategy: 'round-robin' }]
+    ]);
+    for (const event of events) {
+      await outbox.markPublished(event.id);
+    }
+  });
+
+  testOutbox(context);
+});
\ No newline at end of file
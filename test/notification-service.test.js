@@ -0,0 +1,61 @@
+const { it } = require('node:test');
+const assert = require('node:assert/strict');
+const { describeEachBackend } = require('./backends');
+const migrator = require('../notification-service/migrate');
+const { PreferencesRepository, NotificationsRepository } = require('../notification-service/repositories');
+
+// A sent order notification for user 1
+const NOTIFICATION = {
+  eventId: 'event-1',
+  userId: 1,
+  type: 'OrderCreated',
+  channel: 'email',
+  locale: 'id',
+  recipient: 'john@example.com',
+  subject: 'Pesanan diterima',
+  body: 'Pesanan #1 diterima',
+  status: 'sent'
+};
+
+describeEachBackend('Notification Service', migrator, (context) => {
+  it('saves and replaces notification preferences', async () => {
+    const preferences = new PreferencesRepository(context.db);
+    assert.equal(await preferences.find(1), null);
+
+    const saved = await preferences.save(1, { locale: 'en', emailEnabled: true, smsEnabled: false, mutedTypes: ['OrderCreated'] });
+    assert.deepEqual(
+      { ...saved, updatedAt: undefined },
+      { userId: 1, locale: 'en', emailEnabled: true, smsEnabled: false, mutedTypes: ['OrderCreated'], updatedAt: undefined }
+    );
+    const replaced = await preferences.save(1, { locale: 'id', emailEnabled: false, smsEnabled: true, mutedTypes: [] });
+    assert.equal(replaced.locale, 'id');
+    assert.equal(replaced.smsEnabled, true);
+    assert.deepEqual(replaced.mutedTypes, []);
+
+    await preferences.delete(1);
+    assert.equal(await preferences.find(1), null);
+  });
+
+  it('records each event once per channel', async () => {
+    const notifications = new NotificationsRepository(context.db);
+    await notifications.record(NOTIFICATION);
+    await notifications.record({ ...NOTIFICATION, body: 'Duplikat' });
+    await notifications.record({ ...NOTIFICATION, channel: 'sms', recipient: '0811', subject: null, status: 'failed', error: 'Nomor tidak valid' });
+    await notifications.record({ ...NOTIFICATION, eventId: 'event-2', userId: 2, recipient: 'jane@example.com' });
+
+    assert.equal(await notifications.exists('event-1', 'email'), true);
+    assert.equal(await notifications.exists('event-2', 'sms'), false);
+    const { notifications: sent, total } = await notifications.list({ userId: 1, limit: 10, offset: 0 });
+    assert.equal(total, 2);
+    assert.deepEqual(sent.map(notification => [notification.channel, notification.status, notification.body]), [
+      ['sms', 'failed', 'Pesanan #1 diterima'],
+      ['email', 'sent', 'Pesanan #1 diterima']
+    ]);
+    assert.equal(sent[0].error, 'Nomor tidak valid');
+    assert.equal((await notifications.list({ limit: 1, offset: 0 })).total, 3);
+
+    await notifications.deleteForUser(1);
+    assert.equal((await notifications.list({ userId: 1, limit: 10, offset: 0 })).total, 0);
+    assert.equal((await notifications.list({ limit: 10, offset: 0 })).total, 1);
+  });
+});
\ No newline at end of file
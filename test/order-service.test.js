@@ -0,0 +1,137 @@
+const { it } = require('node:test');
+const assert = require('node:assert/strict');
+const { describeEachBackend } = require('./backends');
+const { testIdempotencyKeys, testOutbox } = require('./sharedRepositories');
+const migrator = require('../order-service/migrate');
+const {
+  OrdersRepository,
+  CustomersRepository,
+  WebhookSubscriptionsRepository,
+  WebhookDeliveriesRepository
+} = require('../order-service/repositories');
+
+// An order of two menu items for user 1 at restaurant 1
+const ORDER = {
+  userId: 1,
+  customerName: 'John Doe',
+  deliveryAddress: { address: 'Jl. Melati 1', addressId: 3, label: 'Rumah', notes: 'Pagar hijau', latitude: -6.2297, longitude: 106.8295 },
+  restaurantId: 1,
+  restaurantName: 'Warung Padang',
+  items: [
+    { menuItemId: 1, name: 'Rendang', unitPrice: 30000, quantity: 2, modifiers: { pedas: 'sedang' }, notes: null, subtotal: 60000 },
+    { menuItemId: 2, name: 'Es Teh', unitPrice: 5000, quantity: 1, subtotal: 5000 }
+  ],
+  totalPrice: 65000
+};
+
+describeEachBackend('Order Service', migrator, (context) => {
+  it('creates orders with their items and status history', async () => {
+    const orders = new OrdersRepository(context.db);
+    const order = await orders.create(ORDER, 'user:1');
+    assert.equal(order.status, 'pending');
+    assert.equal(order.totalPrice, 65000);
+    assert.deepEqual(order.items.map(item => [item.name, item.quantity, item.subtotal]), [['Rendang', 2, 60000], ['Es Teh', 1, 5000]]);
+    assert.deepEqual(order.items[0].modifiers, { pedas: 'sedang' });
+    assert.deepEqual(order.deliveryAddress, { addressId: 3, label: 'Rumah', address: 'Jl. Melati 1', notes: 'Pagar hijau', latitude: -6.2297, longitude: 106.8295 });
+    assert.deepEqual((await orders.listStatusHistory(order.id)).map(entry => [entry.fromStatus, entry.toStatus, entry.actor]), [[null, 'pending', 'user:1']]);
+
+    const page = await orders.list({ conditions: ['user_id = ?'], params: [1], orderBy: 'id ASC', limit: 10, offset: 0 });
+    assert.equal(page.total, 1);
+    assert.equal(page.orders[0].items.length, 2);
+    assert.equal((await orders.findState(order.id)).restaurant_id, 1);
+    assert.deepEqual(await orders.findIdsByUserAndStatus(1, ['pending', 'processing']), [order.id]);
+  });
+
+  it('updates orders read at the current version only', async () => {
+    const orders = new OrdersRepository(context.db);
+    const order = await orders.create(ORDER, 'user:1');
+    const processing = await orders.update(order.id, order.version, { status: 'processing', deliveryAddress: { address: 'Jl. Mawar 3' } }, { fromStatus: 'pending', actor: 'staff:4' });
+    assert.equal(processing.status, 'processing');
+    assert.equal(processing.version, order.version + 1);
+    assert.deepEqual(processing.deliveryAddress, { addressId: null, label: null, address: 'Jl. Mawar 3', notes: null, latitude: null, longitude: null });
+    assert.equal(await orders.update(order.id, order.version, { status: 'cancelled' }, { fromStatus: 'pending', actor: 'user:1' }), null);
+
+    assert.equal(processing.courierId, null);
+    assert.equal(await orders.assignCourier(order.id, 6), true);
+    assert.equal(await orders.assignCourier(order.id, 6), false);
+    assert.deepEqual(await orders.findIdsByCourierAndStatus(6, ['processing', 'on_delivery']), [order.id]);
+    const assigned = await orders.findState(order.id);
+    assert.equal(assigned.courier_id, 6);
+
+    const onDelivery = await orders.update(order.id, assigned.version, { status: 'on_delivery', courierId: 5 }, { fromStatus: 'processing', actor: 'courier:5', reason: 'Diambil' });
+    assert.equal(onDelivery.customerAddress, 'Jl. Mawar 3');
+    assert.equal(onDelivery.courierId, 5);
+    assert.equal(await orders.assignCourier(order.id, 6), false);
+    assert.deepEqual(await orders.findIdsByCourierAndStatus(6, ['processing', 'on_delivery']), []);
+    const history = await orders.listStatusHistory(order.id);
+    assert.deepEqual(history.map(entry => entry.toStatus), ['pending', 'processing', 'on_delivery']);
+    assert.equal(history[2].reason, 'Diambil');
+
+    assert.equal(await orders.delete(order.id), true);
+    assert.equal(await orders.findById(order.id), null);
+    assert.deepEqual(await orders.listStatusHistory(order.id), []);
+    assert.equal(await orders.delete(order.id), false);
+  });
+
+  it('snapshots customer details onto orders without them', async () => {
+    const orders = new OrdersRepository(context.db);
+    const order = await orders.create({ ...ORDER, userId: 2, customerName: null, deliveryAddress: { address: null } }, 'user:2');
+    assert.equal(await orders.snapshotCustomer(2, { name: 'Jane Doe', address: 'Bandung' }), 1);
+    const snapshotted = await orders.findById(order.id);
+    assert.equal(snapshotted.customerName, 'Jane Doe');
+    assert.equal(snapshotted.customerAddress, 'Bandung');
+    assert.equal(await orders.snapshotCustomer(2, { name: 'Other', address: 'Other' }), 0);
+  });
+
+  it('remembers deleted customers', async () => {
+    const isDeleted = (userId) => context.db.transaction(tx => new CustomersRepository(tx).lock(userId));
+    assert.equal(await isDeleted(7), false);
+    await context.db.transaction(tx => new CustomersRepository(tx).markDeleted(7));
+    await context.db.transaction(tx => new CustomersRepository(tx).markDeleted(7));
+    assert.equal(await isDeleted(7), true);
+    assert.equal(await isDeleted(8), false);
+  });
+
+  it('stores webhook subscriptions and queues each event once', async () => {
+    const subscriptions = new WebhookSubscriptionsRepository(context.db);
+    const deliveries = new WebhookDeliveriesRepository(context.db);
+    const own = await subscriptions.create({ restaurantId: 1, url: 'https://example.com/hook', secret: 's1', eventTypes: ['order.created'], createdBy: 'staff:4' });
+    const global = await subscriptions.create({ restaurantId: null, url: 'https://example.org/hook', secret: 's2', eventTypes: ['order.created', 'order.cancelled'], createdBy: 'admin:3' });
+    assert.equal(own.isActive, true);
+    assert.deepEqual(own.eventTypes, ['order.created']);
+    assert.deepEqual((await subscriptions.listForEvent('order.created', 1)).map(row => row.id), [own.id, global.id]);
+    assert.deepEqual((await subscriptions.listForEvent('order.created', 2)).map(row => row.id), [global.id]);
+    assert.deepEqual((await subscriptions.listForEvent('order.cancelled', 1)).map(row => row.id), [global.id]);
+    assert.deepEqual((await subscriptions.list({ restaurantId: 1 })).map(subscription => subscription.id), [own.id]);
+
+    const event = { eventId: 'event-1', eventType: 'order.created', payload: JSON.stringify({ orderId: 1 }) };
+    await deliveries.enqueue(own.id, event);
+    await deliveries.enqueue(own.id, event);
+    const due = await deliveries.listDue('2999-01-01 00:00:00', 10);
+    assert.equal(due.length, 1);
+    assert.equal(due[0].url, 'https://example.com/hook');
+    assert.equal(due[0].secret, 's1');
+
+    await deliveries.recordAttempt(due[0].id, { status: 'pending', nextAttemptAt: '2999-01-01 00:00:00', responseStatus: 500, error: 'HTTP 500' });
+    assert.equal((await deliveries.listDue('2000-01-01 00:00:00', 10)).length, 0);
+    await deliveries.recordAttempt(due[0].id, { status: 'succeeded', responseStatus: 200 });
+    const delivered = await deliveries.findById(own.id, due[0].id);
+    assert.equal(delivered.status, 'succeeded');
+    assert.equal(delivered.attempts, 2);
+    assert.ok(delivered.deliveredAt);
+    assert.deepEqual(delivered.payload, { orderId: 1 });
+    assert.equal((await deliveries.list(own.id, { status: 'succeeded', limit: 10, offset: 0 })).total, 1);
+    assert.equal((await deliveries.findSendable(own.id, due[0].id)).is_active, 1);
+
+    const paused = await subscriptions.update(own.id, { isActive: false });
+    assert.equal(paused.isActive, false);
+    assert.equal(paused.url, 'https://example.com/hook');
+    assert.equal(await subscriptions.update(own.id + 100, { isActive: true }), null);
+    assert.equal(await subscriptions.delete(own.id), true);
+    assert.equal(await deliveries.findById(own.id, due[0].id), null);
+    assert.equal(await subscriptions.delete(global.id), true);
+  });
+
+  testIdempotencyKeys(context);
+  testOutbox(context);
+});
\ No newline at end of file
@@ -0,0 +1,40 @@
+const { it } = require('node:test');
+const assert = require('node:assert/strict');
+const { describeEachBackend } = require('./backends');
+const migrator = require('../restaurant-service/migrate');
+const { RestaurantsRepository, MenuItemsRepository } = require('../restaurant-service/repositories');
+
+describeEachBackend('Restaurant Service', migrator, (context) => {
+  it('stores restaurants and updates only the fields given', async () => {
+    const restaurants = new RestaurantsRepository(context.db);
+    const created = await restaurants.create({ name: 'Warung Padang', address: 'Jl. Sudirman 1', phone: '021555000' });
+    assert.equal(created.isOpen, true);
+    assert.ok(created.createdAt);
+
+    const updated = await restaurants.update(created.id, { isOpen: false, phone: '021555111' });
+    assert.equal(updated.name, 'Warung Padang');
+    assert.equal(updated.phone, '021555111');
+    assert.equal(updated.isOpen, false);
+    assert.equal(await restaurants.update(created.id + 1, { name: 'X' }), null);
+  });
+
+  it('scopes menu items to their restaurant and deletes them with it', async () => {
+    const restaurants = new RestaurantsRepository(context.db);
+    const menuItems = new MenuItemsRepository(context.db);
+    const padang = await restaurants.create({ name: 'Warung Padang', address: 'Jl. Sudirman 1' });
+    const other = await restaurants.create({ name: 'Bakso', address: 'Jl. Thamrin 2' });
+    const rendang = await menuItems.create(padang.id, { name: 'Rendang', description: 'Daging sapi', price: 30000 });
+    await menuItems.create(padang.id, { name: 'Es Teh', price: 5000, isAvailable: false });
+
+    assert.equal(await menuItems.findById(other.id, rendang.id), null);
+    assert.equal(await menuItems.update(other.id, rendang.id, { price: 1 }), null);
+    assert.equal(await menuItems.delete(other.id, rendang.id), false);
+    assert.deepEqual((await menuItems.list(padang.id, { availableOnly: true })).map(item => item.name), ['Rendang']);
+    assert.equal((await menuItems.update(padang.id, rendang.id, { price: 32000 })).price, 32000);
+
+    assert.equal(await restaurants.delete(padang.id), true);
+    assert.deepEqual(await menuItems.list(padang.id), []);
+    assert.equal(await restaurants.findById(padang.id), null);
+    assert.equal(await restaurants.delete(padang.id), false);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,129 @@
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Runs the API Gateway and services as child processes for HTTP-level tests: in-memory
+// databases seeded with the fixtures, on free ports, with the secrets below. Delivery and
+// Notification Service are not started; the gateway answers 503 for their routes
+const ROOT = path.join(__dirname, '..');
+const SECRETS = {
+  JWT_SECRET: 'test-jwt-secret',
+  INTERNAL_API_TOKEN: 'test-internal-token',
+  SEED_PASSWORD: 'test-password'
+};
+const SERVICES = ['user', 'restaurant', 'order'];
+const START_TIMEOUT_MS = 20000;
+
+// A port nothing listens on right now
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+    server.on('error', reject);
+  });
+}
+
+// Start one process; resolves once it printed `readyLine`
+function startProcess(name, script, env, readyLine) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [script], { cwd: ROOT, env, stdio: ['ignore', 'pipe', 'pipe'] });
+    let output = '';
+    const timer = setTimeout(() => fail(new Error(`${name} did not start:\n${output}`)), START_TIMEOUT_MS);
+    const fail = (err) => {
+      clearTimeout(timer);
+      child.kill();
+      reject(err);
+    };
+    const collect = (chunk) => {
+      output += chunk;
+      if (output.includes(readyLine)) {
+        clearTimeout(timer);
+        resolve(child);
+      }
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+    child.on('exit', code => fail(new Error(`${name} exited with ${code}:\n${output}`)));
+  });
+}
+
+// Start the services, then the gateway; resolves to { gatewayUrl, serviceUrls, stop() }.
+// Every process is stopped again if one of them does not start
+async function startServices() {
+  const ports = { gateway: await freePort(), delivery: await freePort(), notification: await freePort() };
+  for (const service of SERVICES) {
+    ports[service] = await freePort();
+  }
+  const serviceUrls = Object.fromEntries(
+    Object.entries(ports).map(([service, port]) => [service, `http://127.0.0.1:${port}`])
+  );
+  const baseEnv = {
+    PATH: process.env.PATH,
+    NODE_ENV: 'test',
+    DB_DRIVER: 'memory',
+    EVENT_BUS_DB_DRIVER: 'memory',
+    SEED_ON_STARTUP: 'true',
+    GATEWAY_GET_RETRIES: '0',
+    ...SECRETS,
+    ...Object.fromEntries(Object.entries(serviceUrls).map(([service, url]) => [`${service.toUpperCase()}_SERVICE_URL`, url]))
+  };
+
+  const children = [];
+  const stop = () => Promise.all(children.map(child => new Promise((resolve) => {
+    child.removeAllListeners('exit');
+    if (child.exitCode !== null) {
+      return resolve();
+    }
+    child.once('exit', resolve);
+    child.kill();
+  })));
+
+  try {
+    for (const service of SERVICES) {
+      const env = { ...baseEnv, PORT: String(ports[service]) };
+      children.push(await startProcess(service, `${service}-service/server.js`, env, 'Initial data seeded'));
+    }
+    children.push(await startProcess('gateway', 'api-gateway/server.js', { ...baseEnv, PORT: String(ports.gateway) }, 'running on'));
+  } catch (err) {
+    await stop();
+    throw err;
+  }
+  return { gatewayUrl: serviceUrls.gateway, serviceUrls, stop };
+}
+
+// Send a request with the path exactly as given (no dot-segment resolution, unlike fetch);
+// resolves to { status, headers, body } with a parsed JSON body
+function request(baseUrl, method, requestPath, { token, body, headers = {} } = {}) {
+  const payload = body === undefined ? undefined : JSON.stringify(body);
+  return new Promise((resolve, reject) => {
+    const req = http.request(baseUrl, {
+      method,
+      path: requestPath,
+      headers: {
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(payload ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      }
+    }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => {
+        let parsed = text;
+        try {
+          parsed = JSON.parse(text);
+        } catch (err) {
+          // not JSON, keep the text
+        }
+        resolve({ status: res.statusCode, headers: res.headers, body: parsed });
+      });
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+module.exports = { SECRETS, startServices, request };
\ No newline at end of file
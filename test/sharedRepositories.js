@@ -0,0 +1,48 @@
+const { it } = require('node:test');
+const assert = require('node:assert/strict');
+const { IdempotencyKeysRepository } = require('../idempotency');
+const { OutboxRepository } = require('../eventbus');
+
+// Tests of the repositories from idempotency/ and eventbus/, for the services whose
+// migrations create their tables
+
+function testIdempotencyKeys(context) {
+  it('stores idempotent responses per scope and key', async () => {
+    const keys = new IdempotencyKeysRepository(context.db);
+    await keys.reserve('1', 'key-1', 'fingerprint');
+    await assert.rejects(keys.reserve('1', 'key-1', 'other'), error => error.isConstraintError === true);
+    await keys.reserve('2', 'key-1', 'fingerprint');
+
+    assert.equal((await keys.find('1', 'key-1')).status_code, null);
+    await keys.saveResponse('1', 'key-1', 201, { success: true });
+    const stored = await keys.find('1', 'key-1');
+    assert.equal(stored.status_code, 201);
+    assert.deepEqual(JSON.parse(stored.response_body), { success: true });
+
+    await keys.purgeOlderThan(24);
+    assert.ok(await keys.find('1', 'key-1'));
+    await keys.release('1', 'key-1');
+    await keys.release('2', 'key-1');
+    assert.equal(await keys.find('1', 'key-1'), undefined);
+  });
+}
+
+function testOutbox(context) {
+  it('lists outbox events until they are published', async () => {
+    const outbox = new OutboxRepository(context.db);
+    await outbox.add('TestEvent', 1, { value: 'a' });
+    await outbox.add('TestEvent', 2, { value: 'b' });
+
+    const [first, second] = await outbox.listUnpublished(10);
+    assert.equal(first.type, 'TestEvent');
+    assert.equal(first.aggregate_id, '1');
+    assert.deepEqual(JSON.parse(second.payload), { value: 'b' });
+
+    await outbox.markPublished(first.id);
+    assert.deepEqual((await outbox.listUnpublished(10)).map(event => event.id), [second.id]);
+    await outbox.markPublished(second.id);
+    await outbox.purgePublishedOlderThan(0);
+  });
+}
+
+module.exports = { testIdempotencyKeys, testOutbox };
\ No newline at end of file
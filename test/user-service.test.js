@@ -0,0 +1,94 @@
+const { it } = require('node:test');
+const assert = require('node:assert/strict');
+const { describeEachBackend } = require('./backends');
+const { testIdempotencyKeys, testOutbox } = require('./sharedRepositories');
+const migrator = require('../user-service/migrate');
+const { UsersRepository, AddressesRepository, RefreshTokensRepository } = require('../user-service/repositories');
+
+const PAGE = { orderBy: 'id ASC', limit: 10, offset: 0 };
+
+describeEachBackend('User Service', migrator, (context) => {
+  it('creates, searches, updates and deletes users', async () => {
+    const users = new UsersRepository(context.db);
+    const john = await users.create({ name: 'John Doe', email: 'john@example.com', phone: '0811', address: 'Jakarta' });
+    const jane = await users.create({ name: 'Jane 100%', email: 'jane@example.com', phone: '0812', address: 'Bandung', role: 'restaurant_staff', restaurantId: 1, passwordHash: 'hash' });
+    assert.equal(john.role, 'customer');
+    assert.equal(john.version, 1);
+    assert.equal(john.password_hash, undefined);
+    assert.equal(jane.restaurant_id, 1);
+    await assert.rejects(
+      users.create({ name: 'Other', email: 'john@example.com', phone: '0813', address: 'Bogor' }),
+      error => error.isConstraintError === true
+    );
+
+    assert.deepEqual((await users.list({ ...PAGE, search: 'JOHN' })).rows.map(user => user.id), [john.id]);
+    assert.deepEqual((await users.list({ ...PAGE, search: '100%' })).rows.map(user => user.id), [jane.id]);
+    assert.equal((await users.list({ ...PAGE, search: '_' })).total, 0);
+    assert.deepEqual((await users.list({ ...PAGE, role: 'restaurant_staff' })).rows.map(user => user.id), [jane.id]);
+    assert.equal((await users.findByEmailWithPassword('jane@example.com')).password_hash, 'hash');
+
+    const updated = await users.update(john.id, john.version, { ...john, name: 'John Smith', restaurantId: null });
+    assert.equal(updated.name, 'John Smith');
+    assert.equal(updated.version, 2);
+    assert.equal(await users.update(john.id, john.version, { ...john, restaurantId: null }), null);
+
+    await users.softDelete(john.id);
+    assert.equal(await users.findById(john.id), undefined);
+    assert.equal(await users.findByEmailWithPassword('john@example.com'), undefined);
+    assert.equal((await users.list(PAGE)).total, 1);
+  });
+
+  it('keeps one default address per user', async () => {
+    const owner = await new UsersRepository(context.db).create({ name: 'Addr', email: 'addr@example.com', phone: '0814', address: 'Depok' });
+    const addresses = new AddressesRepository(context.db);
+    const home = await addresses.create(owner.id, { label: 'Rumah', address: 'Jl. Melati 1', latitude: -6.2297, longitude: 106.8295 });
+    const office = await addresses.create(owner.id, { label: 'Kantor', address: 'Jl. Sudirman 2' });
+    assert.equal(home.latitude, -6.2297);
+    assert.equal(home.isDefault, false);
+
+    await context.db.transaction(async (tx) => {
+      await new AddressesRepository(tx).setDefault(owner.id, office.id);
+    });
+    assert.deepEqual((await addresses.list(owner.id)).map(address => [address.id, address.isDefault]), [[office.id, true], [home.id, false]]);
+    assert.equal(await addresses.findById(owner.id + 1, home.id), null);
+
+    const changed = await addresses.update(owner.id, home.id, { label: 'Rumah', address: 'Jl. Mawar 3', notes: 'Pagar hijau', latitude: null, longitude: null });
+    assert.equal(changed.notes, 'Pagar hijau');
+    assert.equal(changed.latitude, null);
+
+    await addresses.clearDefault(owner.id);
+    assert.equal((await addresses.list(owner.id)).filter(address => address.isDefault).length, 0);
+    await addresses.delete(owner.id, home.id);
+    assert.equal(await addresses.count(owner.id), 1);
+    await addresses.deleteForUser(owner.id);
+    assert.equal(await addresses.count(owner.id), 0);
+  });
+
+  it('revokes refresh tokens once', async () => {
+    const owner = await new UsersRepository(context.db).create({ name: 'Token', email: 'token@example.com', phone: '0815', address: 'Bekasi' });
+    const tokens = new RefreshTokensRepository(context.db);
+    await tokens.create(owner.id, 'hash-1', '2999-01-01 00:00:00');
+    await tokens.create(owner.id, 'hash-2', '2999-01-01 00:00:00');
+
+    const token = await tokens.findUnrevoked('hash-1');
+    assert.equal(token.user_id, owner.id);
+    assert.equal(await tokens.revoke(token.id), true);
+    assert.equal(await tokens.revoke(token.id), false);
+    assert.equal(await tokens.findUnrevoked('hash-1'), undefined);
+
+    await tokens.revokeByHash('hash-2');
+    assert.equal(await tokens.findUnrevoked('hash-2'), undefined);
+    await tokens.deleteForUser(owner.id);
+  });
+
+  it('rolls back every write of a failed transaction', async () => {
+    await assert.rejects(context.db.transaction(async (tx) => {
+      await new UsersRepository(tx).create({ name: 'Rollback', email: 'rollback@example.com', phone: '0816', address: 'Tangerang' });
+      throw new Error('stop');
+    }), /stop/);
+    assert.equal((await new UsersRepository(context.db).list({ ...PAGE, search: 'rollback' })).total, 0);
+  });
+
+  testIdempotencyKeys(context);
+  testOutbox(context);
+});
\ No newline at end of file
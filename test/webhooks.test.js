@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { openStorage } = require('../storage');
+
+// Read by webhooks.js when it is loaded: a service host, and a receiver on localhost
+process.env.USER_SERVICE_URL = 'http://user-service:3001';
+process.env.WEBHOOK_ALLOWED_HOSTS = 'localhost';
+const migrator = require('../order-service/migrate');
+const { WebhookSubscriptionsRepository, WebhookDeliveriesRepository } = require('../order-service/repositories');
+const { checkWebhookUrl, generateSecret, redeliver } = require('../order-service/webhooks');
+
+describe('Webhook URLs', () => {
+  it('refuses internal hosts and non-public addresses', async () => {
+    const refused = {
+      'http://127.0.0.1/hook': 'Address 127.0.0.1 is not public',
+      'http://10.1.2.3/hook': 'Address 10.1.2.3 is not public',
+      'http://169.254.169.254/latest/meta-data': 'Address 169.254.169.254 is not public',
+      'http://192.168.1.10:8080/hook': 'Address 192.168.1.10 is not public',
+      'http://[::1]/hook': 'Address ::1 is not public',
+      'http://[::ffff:10.0.0.1]/hook': 'Address ::ffff:a00:1 is not public',
+      'http://[fd00::1]/hook': 'Address fd00::1 is not public',
+      'http://user-service:3001/users': 'Host user-service is internal',
+      'http://api.localhost/hook': 'Host api.localhost is internal',
+      'not a url': 'Invalid URL'
+    };
+    for (const [url, reason] of Object.entries(refused)) {
+      assert.equal(await checkWebhookUrl(url), reason, url);
+    }
+  });
+
+  it('accepts public addresses and the hosts in WEBHOOK_ALLOWED_HOSTS', async () => {
+    assert.equal(await checkWebhookUrl('https://93.184.216.34/hook'), null);
+    assert.equal(await checkWebhookUrl('https://[2606:4700::1111]/hook'), null);
+    assert.equal(await checkWebhookUrl('http://LOCALHOST:4000/hook'), null);
+  });
+
+  describe('host names', () => {
+    const addresses = {
+      'hooks.example.com': ['93.184.216.34', '2606:2800:220:1::1'],
+      'internal.example.com': ['93.184.216.34', '10.0.0.7'],
+      'rebind.example.com': ['::ffff:127.0.0.1']
+    };
+    before(() => {
+      mock.method(dns.promises, 'lookup', async (host) => {
+        if (!addresses[host]) {
+          throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${host}`), { code: 'ENOTFOUND' });
+        }
+        return addresses[host].map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+      });
+    });
+    after(() => mock.restoreAll());
+
+    it('are checked against every address they resolve to', async () => {
+      assert.equal(await checkWebhookUrl('https://hooks.example.com/hook'), null);
+      assert.equal(await checkWebhookUrl('https://Hooks.Example.com./hook'), null);
+      assert.equal(
+        await checkWebhookUrl('https://internal.example.com/hook'),
+        'Host internal.example.com resolves to non-public address 10.0.0.7'
+      );
+      assert.equal(
+        await checkWebhookUrl('https://rebind.example.com/hook'),
+        'Host rebind.example.com resolves to non-public address ::ffff:127.0.0.1'
+      );
+      assert.equal(await checkWebhookUrl('https://missing.example.com/hook'), 'Host missing.example.com could not be resolved');
+    });
+  });
+});
+
+describe('Webhook deliveries', () => {
+  let db;
+  let receiver;
+  let received;
+
+  before(async () => {
+    db = openStorage({ driver: 'memory' });
+    await migrator.migrateUp(db);
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(received.length === 1 ? 204 : 500).end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, resolve));
+  });
+
+  after(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+    await db.close();
+  });
+
+  it('signs the timestamp and raw body with the subscription secret', async () => {
+    received = [];
+    const secret = generateSecret();
+    assert.match(secret, /^whsec_[0-9a-f]{48}$/);
+    const subscriptions = new WebhookSubscriptionsRepository(db);
+    const deliveries = new WebhookDeliveriesRepository(db);
+    const subscription = await subscriptions.create({
+      restaurantId: 1,
+      url: `http://localhost:${receiver.address().port}/hook`,
+      secret,
+      eventTypes: ['order.created'],
+      createdBy: 3
+    });
+    const payload = JSON.stringify({ id: 'evt-1', type: 'order.created', occurredAt: '2026-01-01T00:00:00.000Z', data: { orderId: 7 } });
+    const { lastID: deliveryId } = await deliveries.enqueue(subscription.id, { eventId: 'evt-1', eventType: 'order.created', payload });
+
+    await redeliver(deliveries, await deliveries.findSendable(subscription.id, deliveryId));
+
+    assert.equal(received.length, 1);
+    const [{ headers, body }] = received;
+    assert.equal(body, payload);
+    assert.equal(headers['x-webhook-id'], 'evt-1');
+    assert.equal(headers['x-webhook-event'], 'order.created');
+    assert.equal(headers['x-webhook-delivery'], String(deliveryId));
+    assert.match(headers['x-webhook-timestamp'], /^\d+$/);
+    assert.ok(Math.abs(Number(headers['x-webhook-timestamp']) - Date.now() / 1000) < 60);
+    const expected = crypto.createHmac('sha256', secret).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+    assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+
+    const delivery = await deliveries.findById(subscription.id, deliveryId);
+    assert.equal(delivery.status, 'succeeded');
+    assert.equal(delivery.responseStatus, 204);
+
+    // A failed manual attempt is recorded and not retried
+    await redeliver(deliveries, await deliveries.findSendable(subscription.id, deliveryId));
+    const failed = await deliveries.findById(subscription.id, deliveryId);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.attempts, 2);
+    assert.equal(failed.error, 'HTTP 500');
+  });
+});
\ No newline at end of file
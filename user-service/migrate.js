@@ -0,0 +1,23 @@
+require('dotenv').config();
+const path = require('path');
+const { openStorage, storageConfig } = require('../storage');
+const { createMigrator, runMigrationCli } = require('../migrations');
+
+// Versioned schema migrations for User Service, one file per version in migrations/ (see
+// migrations/ at the repository root for the format). server.js applies pending migrations
+// on startup; run this file directly to manage them by hand:
+//
+//   node user-service/migrate.js status      list migrations and whether they are applied
+//   node user-service/migrate.js up          apply all pending migrations
+//   node user-service/migrate.js down [n]    roll back the last n migrations (default 1)
+//
+// The database is chosen with the same DB_DRIVER, DB_PATH and DATABASE_URL as the service.
+const DEFAULT_DB_PATH = './database/users.db';
+
+const migrator = createMigrator(path.join(__dirname, 'migrations'));
+
+module.exports = migrator;
+
+if (require.main === module) {
+  runMigrationCli(migrator, () => openStorage(storageConfig('', DEFAULT_DB_PATH)));
+}
\ No newline at end of file
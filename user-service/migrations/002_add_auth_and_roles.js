@@ -0,0 +1,28 @@
+const { addColumns, dropColumns } = require('../../migrations');
+
+// Password login, refresh tokens and roles
+module.exports = {
+  async up(db) {
+    const { id, timestamp } = db.types;
+    await addColumns(db, 'users', [
+      { name: 'password_hash', definition: 'TEXT' },
+      { name: 'role', definition: "TEXT NOT NULL DEFAULT 'customer'" },
+      { name: 'restaurant_id', definition: 'INTEGER' }
+    ]);
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id ${id},
+        user_id INTEGER NOT NULL REFERENCES users(id),
+        token_hash TEXT NOT NULL UNIQUE,
+        expires_at ${timestamp} NOT NULL,
+        revoked_at ${timestamp},
+        created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE refresh_tokens');
+    await dropColumns(db, 'users', ['password_hash', 'role', 'restaurant_id']);
+  }
+};
\ No newline at end of file
@@ -0,0 +1,12 @@
+const { addColumns, dropColumns } = require('../../migrations');
+
+// Deleted users keep their row (anonymized) with deleted_at set
+module.exports = {
+  async up(db) {
+    await addColumns(db, 'users', [{ name: 'deleted_at', definition: db.types.timestamp }]);
+  },
+
+  async down(db) {
+    await dropColumns(db, 'users', ['deleted_at']);
+  }
+};
\ No newline at end of file
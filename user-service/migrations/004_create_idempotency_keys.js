@@ -0,0 +1,22 @@
+// Stored responses for requests sent with an Idempotency-Key header
+module.exports = {
+  async up(db) {
+    const { id, timestamp } = db.types;
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        id ${id},
+        scope TEXT NOT NULL,
+        idempotency_key TEXT NOT NULL,
+        fingerprint TEXT NOT NULL,
+        status_code INTEGER,
+        response_body TEXT,
+        created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (scope, idempotency_key)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE idempotency_keys');
+  }
+};
\ No newline at end of file
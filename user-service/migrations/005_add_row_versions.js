@@ -0,0 +1,16 @@
+const { addColumns, dropColumns } = require('../../migrations');
+
+// Row version for ETag / If-Match. SQLite cannot add a column defaulting to
+// CURRENT_TIMESTAMP, so updated_at stays NULL until the first update
+module.exports = {
+  async up(db) {
+    await addColumns(db, 'users', [
+      { name: 'version', definition: 'INTEGER NOT NULL DEFAULT 1' },
+      { name: 'updated_at', definition: db.types.timestamp }
+    ]);
+  },
+
+  async down(db) {
+    await dropColumns(db, 'users', ['version', 'updated_at']);
+  }
+};
\ No newline at end of file
@@ -0,0 +1,25 @@
+// Saved delivery addresses of a user (home, office, ...). At most one per user has
+// is_default = 1; latitude and longitude are set together or both NULL
+module.exports = {
+  async up(db) {
+    const { id, timestamp } = db.types;
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS user_addresses (
+        id ${id},
+        user_id INTEGER NOT NULL REFERENCES users(id),
+        label TEXT NOT NULL,
+        address TEXT NOT NULL,
+        notes TEXT,
+        latitude DOUBLE PRECISION,
+        longitude DOUBLE PRECISION,
+        is_default INTEGER NOT NULL DEFAULT 0,
+        created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+        updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE user_addresses');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,231 @@
+// Data access for User Service. Every repository takes a storage from storage/ (any driver), or
+// the transaction handle passed to its transaction(), so the same methods work inside and
+// outside a transaction:
+//
+//   await storage.transaction(async (tx) => {
+//     await new UsersRepository(tx).softDelete(id);
+//     await new RefreshTokensRepository(tx).deleteForUser(id);
+//   });
+
+// Columns safe to return to clients (never includes password_hash). Rows from before
+// updated_at existed have no value for it, so they report created_at instead
+const USER_COLUMNS = 'id, name, email, phone, address, role, restaurant_id, version, created_at, COALESCE(updated_at, created_at) AS updated_at';
+
+class UsersRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // One page of active users matching { search, role }; resolves to { rows, total }
+  async list({ search, role, orderBy, limit, offset }) {
+    const conditions = ['deleted_at IS NULL'];
+    const params = [];
+
+    if (search) {
+      const pattern = `%${String(search).replace(/[\\%_]/g, '\\$&')}%`;
+      // LIKE is case-insensitive on SQLite only, so compare in lower case
+      conditions.push(`(LOWER(name) LIKE LOWER(?) ESCAPE '\\' OR LOWER(email) LIKE LOWER(?) ESCAPE '\\')`);
+      params.push(pattern, pattern);
+    }
+    if (role) {
+      conditions.push('role = ?');
+      params.push(role);
+    }
+
+    const where = ` WHERE ${conditions.join(' AND ')}`;
+    const count = await this.db.get(`SELECT COUNT(*) as total FROM users${where}`, params);
+    const rows = await this.db.all(
+      `SELECT ${USER_COLUMNS} FROM users${where} ORDER BY ${orderBy} LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return { rows, total: count.total };
+  }
+
+  // Active (not deleted) user, or undefined
+  findById(id) {
+    return this.db.get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ? AND deleted_at IS NULL`, [id]);
+  }
+
+  // Active user including password_hash, for login only
+  findByEmailWithPassword(email) {
+    return this.db.get('SELECT * FROM users WHERE email = ? AND deleted_at IS NULL', [email]);
+  }
+
+  // Insert a user and resolve to the stored row. Rejects with a constraint error
+  // (isConstraintError) when the email is taken
+  async create({ name, email, phone, address, role = 'customer', restaurantId = null, passwordHash = null }) {
+    const { lastID } = await this.db.run(
+      'INSERT INTO users (name, email, phone, address, role, restaurant_id, password_hash) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [name, email, phone, address, role, restaurantId, passwordHash]
+    );
+    return this.db.get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [lastID]);
+  }
+
+  // Write the profile fields of a user read at `version`. Resolves to the updated row, or
+  // null when the user was changed or deleted since it was read
+  async update(id, version, { name, email, phone, address, role, restaurantId }) {
+    const { changes } = await this.db.run(
+      `UPDATE users SET
+         name = ?,
+         email = ?,
+         phone = ?,
+         address = ?,
+         role = ?,
+         restaurant_id = ?,
+         version = version + 1,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND version = ? AND deleted_at IS NULL`,
+      [name, email, phone, address, role, restaurantId, id, version]
+    );
+    return changes === 0 ? null : this.findById(id);
+  }
+
+  // Anonymize the user and mark it deleted; the row stays so order history keeps its user id
+  softDelete(id) {
+    return this.db.run(
+      `UPDATE users SET
+         name = 'Deleted User',
+         email = ?,
+         phone = '-',
+         address = '-',
+         password_hash = NULL,
+         deleted_at = CURRENT_TIMESTAMP,
+         version = version + 1,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND deleted_at IS NULL`,
+      [`deleted-${id}@deleted.invalid`, id]
+    );
+  }
+}
+
+// Saved address as returned by the API
+function parseAddressRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    label: row.label,
+    address: row.address,
+    notes: row.notes,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    isDefault: row.is_default === 1,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Delivery addresses of a user. Every method is scoped to the user, so an address id of
+// another user is simply not found
+class AddressesRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Addresses of a user, the default first
+  async list(userId) {
+    const rows = await this.db.all(
+      'SELECT * FROM user_addresses WHERE user_id = ? ORDER BY is_default DESC, id',
+      [userId]
+    );
+    return rows.map(parseAddressRow);
+  }
+
+  async count(userId) {
+    const row = await this.db.get('SELECT COUNT(*) as total FROM user_addresses WHERE user_id = ?', [userId]);
+    return row.total;
+  }
+
+  // Address of the user, or null
+  async findById(userId, id) {
+    const row = await this.db.get('SELECT * FROM user_addresses WHERE id = ? AND user_id = ?', [id, userId]);
+    return row ? parseAddressRow(row) : null;
+  }
+
+  // Insert an address and resolve to it. Run setDefault() afterwards in the same transaction
+  // when it is to become the default
+  async create(userId, { label, address, notes = null, latitude = null, longitude = null }) {
+    const { lastID } = await this.db.run(
+      'INSERT INTO user_addresses (user_id, label, address, notes, latitude, longitude) VALUES (?, ?, ?, ?, ?, ?)',
+      [userId, label, address, notes, latitude, longitude]
+    );
+    return this.findById(userId, lastID);
+  }
+
+  // Write all fields of an address; resolves to the updated address
+  async update(userId, id, { label, address, notes, latitude, longitude }) {
+    await this.db.run(
+      `UPDATE user_addresses SET
+         label = ?,
+         address = ?,
+         notes = ?,
+         latitude = ?,
+         longitude = ?,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND user_id = ?`,
+      [label, address, notes, latitude, longitude, id, userId]
+    );
+    return this.findById(userId, id);
+  }
+
+  // Make the address the only default of the user
+  setDefault(userId, id) {
+    return this.db.run(
+      'UPDATE user_addresses SET is_default = CASE WHEN id = ? THEN 1 ELSE 0 END WHERE user_id = ?',
+      [id, userId]
+    );
+  }
+
+  // Leave the user without a default address
+  clearDefault(userId) {
+    return this.db.run('UPDATE user_addresses SET is_default = 0 WHERE user_id = ?', [userId]);
+  }
+
+  delete(userId, id) {
+    return this.db.run('DELETE FROM user_addresses WHERE id = ? AND user_id = ?', [id, userId]);
+  }
+
+  deleteForUser(userId) {
+    return this.db.run('DELETE FROM user_addresses WHERE user_id = ?', [userId]);
+  }
+}
+
+// Refresh tokens are stored as SHA-256 hashes only
+class RefreshTokensRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  create(userId, tokenHash, expiresAt) {
+    return this.db.run(
+      'INSERT INTO refresh_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+      [userId, tokenHash, expiresAt]
+    );
+  }
+
+  // Token that has not been revoked (it may still be expired), or undefined
+  findUnrevoked(tokenHash) {
+    return this.db.get('SELECT * FROM refresh_tokens WHERE token_hash = ? AND revoked_at IS NULL', [tokenHash]);
+  }
+
+  // Resolves to false when the token was already revoked
+  async revoke(id) {
+    const { changes } = await this.db.run(
+      'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+      [id]
+    );
+    return changes > 0;
+  }
+
+  revokeByHash(tokenHash) {
+    return this.db.run(
+      'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE token_hash = ? AND revoked_at IS NULL',
+      [tokenHash]
+    );
+  }
+
+  deleteForUser(userId) {
+    return this.db.run('DELETE FROM refresh_tokens WHERE user_id = ?', [userId]);
+  }
+}
+
+module.exports = { UsersRepository, AddressesRepository, RefreshTokensRepository };
\ No newline at end of file
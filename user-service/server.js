@@ -1,352 +1,1271 @@
-require('dotenv').config();
-const express = require('express');
-const cors = require('cors');
-const swaggerUi = require('swagger-ui-express');
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
-const fs = require('fs');
-
-const app = express();
-const PORT = process.env.PORT || 3001;
-const DB_PATH = process.env.DB_PATH || './database/users.db';
-
-app.use(cors());
-app.use(express.json());
-
-// Ensure database directory exists
-const dbDir = path.dirname(DB_PATH);
-if (!fs.existsSync(dbDir)) {
-  fs.mkdirSync(dbDir, { recursive: true });
-}
-
-// Initialize SQLite Database
-const db = new sqlite3.Database(DB_PATH, (err) => {
-  if (err) {
-    console.error('Error opening database:', err.message);
-  } else {
-    console.log('Connected to SQLite database:', DB_PATH);
-    initializeDatabase();
-  }
-});
-
-// Create tables and seed initial data
-function initializeDatabase() {
-  db.run(`
-    CREATE TABLE IF NOT EXISTS users (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      email TEXT NOT NULL UNIQUE,
-      phone TEXT NOT NULL,
-      address TEXT NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `, (err) => {
-    if (err) {
-      console.error('Error creating table:', err.message);
-    } else {
-      console.log('Users table ready');
-      seedInitialData();
-    }
-  });
-}
-
-// Seed initial data
-function seedInitialData() {
-  db.get('SELECT COUNT(*) as count FROM users', (err, row) => {
-    if (err) {
-      console.error('Error checking data:', err.message);
-      return;
-    }
-    
-    if (row.count === 0) {
-      const initialUsers = [
-        { name: 'John Doe', email: 'john@example.com', phone: '081234567890', address: 'Jl. Sudirman No. 1, Jakarta' },
-        { name: 'Jane Smith', email: 'jane@example.com', phone: '081234567891', address: 'Jl. Thamrin No. 2, Jakarta' }
-      ];
-
-      const stmt = db.prepare('INSERT INTO users (name, email, phone, address) VALUES (?, ?, ?, ?)');
-      initialUsers.forEach(user => {
-        stmt.run([user.name, user.email, user.phone, user.address]);
-      });
-      stmt.finalize();
-      console.log('Initial data seeded');
-    }
-  });
-}
-
-// Swagger Documentation
-const swaggerDocument = {
-  openapi: '3.0.0',
-  info: {
-    title: 'User Service API with SQLite',
-    version: '2.0.0',
-    description: 'API untuk mengelola data pengguna menggunakan SQLite database'
-  },
-  servers: [
-    { url: `http://localhost:${PORT}`, description: 'User Service' }
-  ],
-  paths: {
-    '/users': {
-      get: {
-        summary: 'Mendapatkan semua pengguna',
-        responses: {
-          '200': {
-            description: 'Daftar pengguna berhasil diambil'
-          }
-        }
-      },
-      post: {
-        summary: 'Membuat pengguna baru',
-        requestBody: {
-          required: true,
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                required: ['name', 'email', 'phone', 'address'],
-                properties: {
-                  name: { type: 'string', example: 'Budi Santoso' },
-                  email: { type: 'string', example: 'budi@example.com' },
-                  phone: { type: 'string', example: '081234567892' },
-                  address: { type: 'string', example: 'Jl. Gatot Subroto No. 10, Jakarta' }
-                }
-              }
-            }
-          }
-        },
-        responses: {
-          '201': {
-            description: 'Pengguna berhasil dibuat'
-          }
-        }
-      }
-    },
-    '/users/{id}': {
-      get: {
-        summary: 'Mendapatkan pengguna berdasarkan ID',
-        parameters: [
-          {
-            name: 'id',
-            in: 'path',
-            required: true,
-            schema: { type: 'integer' }
-          }
-        ],
-        responses: {
-          '200': {
-            description: 'Detail pengguna'
-          },
-          '404': {
-            description: 'Pengguna tidak ditemukan'
-          }
-        }
-      },
-      put: {
-        summary: 'Update pengguna',
-        parameters: [
-          {
-            name: 'id',
-            in: 'path',
-            required: true,
-            schema: { type: 'integer' }
-          }
-        ],
-        requestBody: {
-          required: true,
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  name: { type: 'string' },
-                  email: { type: 'string' },
-                  phone: { type: 'string' },
-                  address: { type: 'string' }
-                }
-              }
-            }
-          }
-        },
-        responses: {
-          '200': {
-            description: 'Pengguna berhasil diupdate'
-          }
-        }
-      },
-      delete: {
-        summary: 'Hapus pengguna',
-        parameters: [
-          {
-            name: 'id',
-            in: 'path',
-            required: true,
-            schema: { type: 'integer' }
-          }
-        ],
-        responses: {
-          '200': {
-            description: 'Pengguna berhasil dihapus'
-          }
-        }
-      }
-    }
-  }
-};
-
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument));
-
-// Routes
-app.get('/users', (req, res) => {
-  db.all('SELECT * FROM users ORDER BY id', [], (err, rows) => {
-    if (err) {
-      return res.status(500).json({
-        success: false,
-        message: 'Error fetching users',
-        error: err.message
-      });
-    }
-    res.json({
-      success: true,
-      data: rows
-    });
-  });
-});
-
-app.get('/users/:id', (req, res) => {
-  db.get('SELECT * FROM users WHERE id = ?', [req.params.id], (err, row) => {
-    if (err) {
-      return res.status(500).json({
-        success: false,
-        message: 'Error fetching user',
-        error: err.message
-      });
-    }
-    if (!row) {
-      return res.status(404).json({
-        success: false,
-        message: 'User tidak ditemukan'
-      });
-    }
-    res.json({
-      success: true,
-      data: row
-    });
-  });
-});
-
-app.post('/users', (req, res) => {
-  const { name, email, phone, address } = req.body;
-  
-  if (!name || !email || !phone || !address) {
-    return res.status(400).json({
-      success: false,
-      message: 'Semua field wajib diisi'
-    });
-  }
-
-  db.run(
-    'INSERT INTO users (name, email, phone, address) VALUES (?, ?, ?, ?)',
-    [name, email, phone, address],
-    function(err) {
-      if (err) {
-        return res.status(500).json({
-          success: false,
-          message: 'Error creating user',
-          error: err.message
-        });
-      }
-      
-      db.get('SELECT * FROM users WHERE id = ?', [this.lastID], (err, row) => {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Error fetching created user',
-            error: err.message
-          });
-        }
-        res.status(201).json({
-          success: true,
-          data: row
-        });
-      });
-    }
-  );
-});
-
-app.put('/users/:id', (req, res) => {
-  const { name, email, phone, address } = req.body;
-  
-  db.run(
-    'UPDATE users SET name = ?, email = ?, phone = ?, address = ? WHERE id = ?',
-    [name, email, phone, address, req.params.id],
-    function(err) {
-      if (err) {
-        return res.status(500).json({
-          success: false,
-          message: 'Error updating user',
-          error: err.message
-        });
-      }
-      if (this.changes === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'User tidak ditemukan'
-        });
-      }
-      
-      db.get('SELECT * FROM users WHERE id = ?', [req.params.id], (err, row) => {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Error fetching updated user',
-            error: err.message
-          });
-        }
-        res.json({
-          success: true,
-          data: row
-        });
-      });
-    }
-  );
-});
-
-app.delete('/users/:id', (req, res) => {
-  db.run('DELETE FROM users WHERE id = ?', [req.params.id], function(err) {
-    if (err) {
-      return res.status(500).json({
-        success: false,
-        message: 'Error deleting user',
-        error: err.message
-      });
-    }
-    if (this.changes === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'User tidak ditemukan'
-      });
-    }
-    res.json({
-      success: true,
-      message: 'User berhasil dihapus'
-    });
-  });
-});
-
-// Graceful shutdown
-process.on('SIGINT', () => {
-  db.close((err) => {
-    if (err) {
-      console.error('Error closing database:', err.message);
-    } else {
-      console.log('Database connection closed');
-    }
-    process.exit(0);
-  });
-});
-
-app.listen(PORT, () => {
-  console.log(`User Service running on http://localhost:${PORT}`);
-  console.log(`Database: ${DB_PATH}`);
-  console.log(`Swagger UI available at http://localhost:${PORT}/api-docs`);
+require('dotenv').config();
+const express = require('express');
+const cors = require('cors');
+const swaggerUi = require('swagger-ui-express');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const axios = require('axios');
+const { migrateUp } = require('./migrate');
+const { openStorage, storageConfig } = require('../storage');
+const { createRequestValidator } = require('../validation');
+const { internalHeaders, requireInternalToken, requiredSecret } = require('../identity');
+const { openEventBus, OutboxRepository } = require('../eventbus');
+const { createIdempotencyMiddleware } = require('../idempotency');
+const { UsersRepository, AddressesRepository, RefreshTokensRepository } = require('./repositories');
+const { seedIfEmpty } = require('../seed');
+
+const app = express();
+const PORT = process.env.PORT || 3001;
+// Signs access tokens; the API Gateway verifies them with the same secret
+const JWT_SECRET = requiredSecret('JWT_SECRET', 'dev-secret-change-me');
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+const MIN_PASSWORD_LENGTH = 8;
+
+const ORDER_SERVICE_URL = process.env.ORDER_SERVICE_URL || 'http://localhost:3002';
+const ORDER_SERVICE_TIMEOUT_MS = parseInt(process.env.ORDER_SERVICE_TIMEOUT_MS, 10) || 3000;
+
+const ROLES = ['customer', 'restaurant_staff', 'courier', 'admin'];
+const MAX_ADDRESSES_PER_USER = 20;
+
+app.use(cors());
+app.use(express.json());
+
+// Open the database selected by DB_DRIVER (sqlite by default, memory or postgres), see storage/
+let database;
+try {
+  database = openStorage(storageConfig('', './database/users.db'));
+} catch (err) {
+  console.error('Error opening database:', err.message);
+  process.exit(1);
+}
+console.log('Using database:', database.description);
+const usersRepository = new UsersRepository(database);
+const addressesRepository = new AddressesRepository(database);
+const refreshTokensRepository = new RefreshTokensRepository(database);
+
+// Makes a create endpoint safe to retry with an Idempotency-Key header, see idempotency/
+const idempotent = createIdempotencyMiddleware(database);
+
+// UserUpdated and UserDeleted are written to the outbox with the change and relayed to the
+// event bus (see eventbus/) once the outbox table exists
+const eventBus = openEventBus();
+
+// Bring the schema up to date (see migrate.js) and seed initial data. The service does not
+// start on a database whose migrations failed
+function initializeDatabase() {
+  migrateUp(database)
+    .then((applied) => {
+      console.log(applied.length > 0
+        ? `Applied ${applied.length} migration(s): ${applied.map(migration => migration.id).join(', ')}`
+        : 'Database schema up to date');
+      eventBus.relayOutbox('user-service', database);
+      return seedInitialData();
+    })
+    .catch((err) => {
+      console.error('Error migrating database:', err.message);
+      process.exit(1);
+    });
+}
+
+// Load the demo fixtures (fixtures/users.json) into an empty database when SEED_ON_STARTUP=true,
+// see seed.js. Without it the service starts with an empty database
+function seedInitialData() {
+  if (process.env.SEED_ON_STARTUP !== 'true') {
+    return;
+  }
+  return seedIfEmpty('users', database)
+    .then((count) => {
+      if (count > 0) {
+        console.log(`Initial data seeded (${count} users)`);
+      }
+    })
+    .catch((err) => {
+      console.error('Error seeding data:', err.message);
+    });
+}
+
+initializeDatabase();
+
+// Field schemas shared by the Swagger documentation and request validation
+const USER_FIELDS = {
+  name: { type: 'string', minLength: 1, maxLength: 100, example: 'Budi Santoso' },
+  email: { type: 'string', format: 'email', maxLength: 254, example: 'budi@example.com' },
+  phone: { type: 'string', pattern: '^\\+?[0-9]{8,15}$', example: '081234567892' },
+  address: { type: 'string', minLength: 1, maxLength: 255, example: 'Jl. Gatot Subroto No. 10, Jakarta' },
+  password: { type: 'string', minLength: MIN_PASSWORD_LENGTH, example: 'rahasia123' },
+  role: { type: 'string', enum: ROLES, example: 'customer' },
+  restaurantId: { type: 'integer', minimum: 1, description: 'Wajib untuk role restaurant_staff' }
+};
+
+// Saved delivery addresses (/users/{id}/addresses)
+const ADDRESS_FIELDS = {
+  label: { type: 'string', minLength: 1, maxLength: 50, example: 'Kantor' },
+  address: USER_FIELDS.address,
+  notes: { type: 'string', nullable: true, maxLength: 255, example: 'Gedung B lantai 3, titip di resepsionis', description: 'Catatan untuk kurir' },
+  latitude: { type: 'number', nullable: true, minimum: -90, maximum: 90, example: -6.2297 },
+  longitude: { type: 'number', nullable: true, minimum: -180, maximum: 180, example: 106.8295 },
+  isDefault: { type: 'boolean', description: 'Alamat utama, dipakai pesanan yang tidak memilih alamat. Alamat pertama otomatis menjadi alamat utama' }
+};
+
+const USER_ID_PARAMETER = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  schema: { type: 'integer', minimum: 1 }
+};
+
+const ADDRESS_ID_PARAMETER = {
+  name: 'addressId',
+  in: 'path',
+  required: true,
+  schema: { type: 'integer', minimum: 1 }
+};
+
+const IF_MATCH_PARAMETER = {
+  name: 'If-Match',
+  in: 'header',
+  schema: { type: 'string', example: '"3"' },
+  description: 'ETag dari pembacaan sebelumnya; update ditolak dengan 412 jika data sudah berubah'
+};
+
+// Swagger Documentation
+const swaggerDocument = {
+  openapi: '3.0.0',
+  info: {
+    title: 'User Service API with SQLite',
+    version: '2.0.0',
+    description: 'API untuk mengelola data pengguna menggunakan SQLite database'
+  },
+  servers: [
+    { url: `http://localhost:${PORT}`, description: 'User Service' }
+  ],
+  paths: {
+    '/health': {
+      get: {
+        summary: 'Liveness check',
+        responses: {
+          '200': {
+            description: 'Service berjalan'
+          }
+        }
+      }
+    },
+    '/ready': {
+      get: {
+        summary: 'Readiness check (koneksi database)',
+        responses: {
+          '200': {
+            description: 'Service siap menerima request'
+          },
+          '503': {
+            description: 'Database tidak dapat diakses'
+          }
+        }
+      }
+    },
+    '/auth/register': {
+      post: {
+        summary: 'Registrasi pengguna baru dengan password',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name', 'email', 'phone', 'address', 'password'],
+                properties: {
+                  name: USER_FIELDS.name,
+                  email: USER_FIELDS.email,
+                  phone: USER_FIELDS.phone,
+                  address: USER_FIELDS.address,
+                  password: USER_FIELDS.password
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '201': {
+            description: 'Pengguna terdaftar, access token dan refresh token dikembalikan'
+          },
+          '409': {
+            description: 'Email sudah terdaftar'
+          }
+        }
+      }
+    },
+    '/auth/login': {
+      post: {
+        summary: 'Login dengan email dan password',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['email', 'password'],
+                properties: {
+                  email: { type: 'string', minLength: 1, example: 'john@example.com' },
+                  password: { type: 'string', minLength: 1, example: 'password123' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Login berhasil, access token dan refresh token dikembalikan'
+          },
+          '401': {
+            description: 'Email atau password salah'
+          }
+        }
+      }
+    },
+    '/auth/refresh': {
+      post: {
+        summary: 'Tukar refresh token dengan pasangan token baru',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['refreshToken'],
+                properties: {
+                  refreshToken: { type: 'string', minLength: 1 }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Token baru dikembalikan, refresh token lama tidak berlaku lagi'
+          },
+          '401': {
+            description: 'Refresh token tidak valid atau kedaluwarsa'
+          }
+        }
+      }
+    },
+    '/auth/logout': {
+      post: {
+        summary: 'Logout (mencabut refresh token)',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['refreshToken'],
+                properties: {
+                  refreshToken: { type: 'string', minLength: 1 }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Logout berhasil'
+          }
+        }
+      }
+    },
+    '/users': {
+      get: {
+        summary: 'Mendapatkan semua pengguna (admin)',
+        parameters: [
+          {
+            name: 'search',
+            in: 'query',
+            schema: { type: 'string', maxLength: 100 },
+            description: 'Cari berdasarkan nama atau email'
+          },
+          {
+            name: 'role',
+            in: 'query',
+            schema: { type: 'string', enum: ROLES }
+          },
+          {
+            name: 'sort',
+            in: 'query',
+            schema: { type: 'string', enum: ['id', '-id', 'name', '-name', 'email', '-email', 'createdAt', '-createdAt'], default: 'id' },
+            description: 'Urutan hasil; awalan - untuk urutan menurun'
+          },
+          {
+            name: 'page',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1, default: 1 }
+          },
+          {
+            name: 'limit',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Daftar pengguna berhasil diambil, beserta pagination (page, limit, total, totalPages)'
+          },
+          '400': {
+            description: 'Parameter filter, sort atau pagination tidak valid'
+          }
+        }
+      },
+      post: {
+        summary: 'Membuat pengguna baru (admin)',
+        parameters: [
+          {
+            name: 'Idempotency-Key',
+            in: 'header',
+            schema: { type: 'string', maxLength: 255 },
+            description: 'Kunci unik per pengguna; request ulang dengan kunci dan body yang sama mengembalikan respons pertama'
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name', 'email', 'phone', 'address'],
+                properties: {
+                  name: USER_FIELDS.name,
+                  email: USER_FIELDS.email,
+                  phone: USER_FIELDS.phone,
+                  address: USER_FIELDS.address,
+                  role: USER_FIELDS.role,
+                  restaurantId: USER_FIELDS.restaurantId
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '201': {
+            description: 'Pengguna berhasil dibuat'
+          },
+          '403': {
+            description: 'Hanya admin'
+          },
+          '409': {
+            description: 'Email sudah terdaftar, atau Idempotency-Key sudah dipakai untuk body berbeda / masih diproses'
+          }
+        }
+      }
+    },
+    '/users/{id}': {
+      get: {
+        summary: 'Mendapatkan pengguna berdasarkan ID',
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer', minimum: 1 }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Detail pengguna, dengan header ETag berisi versi data'
+          },
+          '404': {
+            description: 'Pengguna tidak ditemukan'
+          }
+        }
+      },
+      put: {
+        summary: 'Update pengguna (semua field profil wajib diisi)',
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer', minimum: 1 }
+          },
+          IF_MATCH_PARAMETER
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name', 'email', 'phone', 'address'],
+                properties: {
+                  name: USER_FIELDS.name,
+                  email: USER_FIELDS.email,
+                  phone: USER_FIELDS.phone,
+                  address: USER_FIELDS.address,
+                  role: { ...USER_FIELDS.role, description: 'Hanya admin' },
+                  restaurantId: USER_FIELDS.restaurantId
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Pengguna berhasil diupdate, dengan header ETag versi baru'
+          },
+          '409': {
+            description: 'Email sudah terdaftar'
+          },
+          '412': {
+            description: 'If-Match tidak sesuai dengan versi data saat ini, atau data diubah request lain saat diupdate (header ETag berisi versi terbaru)'
+          }
+        }
+      },
+      patch: {
+        summary: 'Update sebagian field pengguna (field yang tidak dikirim tidak berubah)',
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer', minimum: 1 }
+          },
+          IF_MATCH_PARAMETER
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                minProperties: 1,
+                additionalProperties: false,
+                properties: {
+                  name: USER_FIELDS.name,
+                  email: USER_FIELDS.email,
+                  phone: USER_FIELDS.phone,
+                  address: USER_FIELDS.address,
+                  role: { ...USER_FIELDS.role, description: 'Hanya admin' },
+                  restaurantId: USER_FIELDS.restaurantId
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Pengguna berhasil diupdate, dengan header ETag versi baru'
+          },
+          '409': {
+            description: 'Email sudah terdaftar'
+          },
+          '412': {
+            description: 'If-Match tidak sesuai dengan versi data saat ini, atau data diubah request lain saat diupdate (header ETag berisi versi terbaru)'
+          }
+        }
+      },
+      delete: {
+        summary: 'Hapus pengguna (admin). Data pribadi dianonimkan; riwayat pesanan tetap menyimpan snapshot nama dan alamat',
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer', minimum: 1 }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Pengguna berhasil dihapus'
+          },
+          '409': {
+            description: 'User masih memiliki pesanan aktif'
+          },
+          '503': {
+            description: 'Order Service tidak dapat dihubungi'
+          }
+        }
+      }
+    },
+    '/users/{id}/addresses': {
+      get: {
+        summary: 'Daftar alamat pengiriman pengguna (alamat utama lebih dulu)',
+        parameters: [USER_ID_PARAMETER],
+        responses: {
+          '200': {
+            description: 'Daftar alamat berhasil diambil'
+          },
+          '403': {
+            description: 'Hanya pemilik akun atau admin'
+          },
+          '404': {
+            description: 'Pengguna tidak ditemukan'
+          }
+        }
+      },
+      post: {
+        summary: 'Menambah alamat pengiriman',
+        parameters: [USER_ID_PARAMETER],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['label', 'address'],
+                additionalProperties: false,
+                properties: ADDRESS_FIELDS
+              }
+            }
+          }
+        },
+        responses: {
+          '201': {
+            description: 'Alamat berhasil ditambahkan'
+          },
+          '400': {
+            description: 'Data tidak valid, atau hanya salah satu dari latitude/longitude yang diisi'
+          },
+          '409': {
+            description: `Jumlah alamat sudah mencapai batas (${MAX_ADDRESSES_PER_USER})`
+          }
+        }
+      }
+    },
+    '/users/{id}/addresses/{addressId}': {
+      get: {
+        summary: 'Detail alamat pengiriman',
+        parameters: [USER_ID_PARAMETER, ADDRESS_ID_PARAMETER],
+        responses: {
+          '200': {
+            description: 'Detail alamat'
+          },
+          '404': {
+            description: 'Pengguna atau alamat tidak ditemukan'
+          }
+        }
+      },
+      patch: {
+        summary: 'Update sebagian field alamat; isDefault: true menjadikannya alamat utama',
+        parameters: [USER_ID_PARAMETER, ADDRESS_ID_PARAMETER],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                minProperties: 1,
+                additionalProperties: false,
+                properties: ADDRESS_FIELDS
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Alamat berhasil diupdate'
+          },
+          '400': {
+            description: 'Data tidak valid, atau hanya salah satu dari latitude/longitude yang diisi'
+          },
+          '404': {
+            description: 'Pengguna atau alamat tidak ditemukan'
+          }
+        }
+      },
+      delete: {
+        summary: 'Hapus alamat. Jika alamat utama dihapus, alamat tertua yang tersisa menjadi alamat utama',
+        parameters: [USER_ID_PARAMETER, ADDRESS_ID_PARAMETER],
+        responses: {
+          '200': {
+            description: 'Alamat berhasil dihapus'
+          },
+          '404': {
+            description: 'Pengguna atau alamat tidak ditemukan'
+          }
+        }
+      }
+    }
+  }
+};
+
+app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument));
+
+// ===== REQUEST VALIDATION =====
+// Requests are checked against the schemas in swaggerDocument, see validation/
+app.use(createRequestValidator(swaggerDocument));
+
+const startedAt = Date.now();
+
+// ===== HEALTH ROUTES =====
+// Liveness: the process is up and serving requests
+app.get('/health', (req, res) => {
+  res.json({
+    success: true,
+    status: 'ok',
+    service: 'user-service',
+    uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Readiness: the database answers queries and the users table has been created
+app.get('/ready', async (req, res) => {
+  const started = Date.now();
+  let check;
+  try {
+    await database.get('SELECT 1 FROM users LIMIT 1');
+    check = { status: 'up', latencyMs: Date.now() - started };
+  } catch (err) {
+    check = { status: 'down', error: err.message };
+  }
+  const ready = check.status === 'up';
+  res.status(ready ? 200 : 503).json({
+    success: ready,
+    status: ready ? 'ready' : 'not_ready',
+    service: 'user-service',
+    checks: { database: check },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Only the API Gateway and other services may call this service (see identity/). Registration,
+// login and token refresh are open to anonymous requests through the gateway
+app.use(requireInternalToken({ isPublic: req => req.path.startsWith('/auth/') }));
+
+// Caller identity forwarded by the API Gateway; null for internal service-to-service calls
+// and for anonymous requests to public routes (see requireInternalToken)
+function getCaller(req) {
+  const userId = req.get('X-User-Id');
+  if (!userId) {
+    return null;
+  }
+  const restaurantId = req.get('X-User-Restaurant-Id');
+  return {
+    id: parseInt(userId, 10),
+    email: req.get('X-User-Email'),
+    role: req.get('X-User-Role') || 'customer',
+    restaurantId: restaurantId ? parseInt(restaurantId, 10) : null
+  };
+}
+
+function isAdmin(req) {
+  const caller = getCaller(req);
+  return !caller || caller.role === 'admin';
+}
+
+// Admins may access any account, everybody else only their own
+function canAccessUser(req, userId) {
+  const caller = getCaller(req);
+  return isAdmin(req) || caller.id === parseInt(userId, 10);
+}
+
+// Consistent 403 response, same shape as the API Gateway and other services
+function forbidden(res, reason) {
+  return res.status(403).json({
+    success: false,
+    code: 'FORBIDDEN',
+    message: 'Akses ditolak',
+    reason
+  });
+}
+
+// Strong ETag for a row version, e.g. "3"
+function versionTag(version) {
+  return `"${version}"`;
+}
+
+// Whether an If-Match header allows changing a row at this version; no header always matches
+function matchesIfMatch(ifMatch, version) {
+  if (ifMatch === undefined || ifMatch.trim() === '*') {
+    return true;
+  }
+  return ifMatch.split(',').map(tag => tag.trim()).includes(versionTag(version));
+}
+
+// 412 when the client's If-Match no longer matches the stored version
+function preconditionFailed(res, version) {
+  res.set('ETag', versionTag(version));
+  return res.status(412).json({
+    success: false,
+    code: 'PRECONDITION_FAILED',
+    message: 'Data telah diubah oleh pengguna lain, muat ulang lalu coba lagi',
+    currentVersion: version
+  });
+}
+
+// Create an error carrying the HTTP status and extra response fields
+function httpError(status, message, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.extra = extra;
+  return error;
+}
+
+// Express 4 does not catch rejected promises; pass them on to the error handler
+function asyncHandler(handler) {
+  return (req, res, next) => handler(req, res, next).catch(next);
+}
+
+// Returns an error message for an invalid role assignment, or null when valid
+function validateRole(role, restaurantId) {
+  if (!ROLES.includes(role)) {
+    return `Role tidak dikenal: ${role}`;
+  }
+  if (role === 'restaurant_staff' && !restaurantId) {
+    return 'restaurantId wajib diisi untuk role restaurant_staff';
+  }
+  return null;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(user) {
+  return jwt.sign(
+    { sub: String(user.id), email: user.email, name: user.name, role: user.role, restaurantId: user.restaurant_id },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Issue an access token and a new refresh token (stored hashed) for the user
+async function issueTokens(user, refreshTokens = refreshTokensRepository) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  await refreshTokens.create(user.id, hashToken(refreshToken), expiresAt);
+  return {
+    tokenType: 'Bearer',
+    accessToken: signAccessToken(user),
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshToken,
+    user
+  };
+}
+
+// Turn the unique email constraint into a 409
+function emailTaken(err) {
+  return err.isConstraintError ? httpError(409, 'Email sudah terdaftar') : err;
+}
+
+// ===== AUTH ROUTES =====
+app.post('/auth/register', asyncHandler(async (req, res) => {
+  const { name, email, phone, address, password } = req.body;
+  const passwordHash = await bcrypt.hash(password, 10);
+
+  // The account and its first refresh token are created together
+  const tokens = await database.transaction(async (tx) => {
+    const user = await new UsersRepository(tx)
+      .create({ name, email, phone, address, passwordHash })
+      .catch(err => { throw emailTaken(err); });
+    return issueTokens(user, new RefreshTokensRepository(tx));
+  });
+
+  res.status(201).json({
+    success: true,
+    data: tokens
+  });
+}));
+
+app.post('/auth/login', asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+  const row = await usersRepository.findByEmailWithPassword(email);
+
+  // Accounts created before authentication existed have no password and cannot log in
+  const passwordHash = row ? row.password_hash : null;
+  const matches = await bcrypt.compare(String(password), passwordHash || '').catch(() => false);
+  if (!row || !passwordHash || !matches) {
+    return res.status(401).json({
+      success: false,
+      message: 'Email atau password salah'
+    });
+  }
+
+  const { password_hash, ...user } = row;
+  res.json({
+    success: true,
+    data: await issueTokens(user)
+  });
+}));
+
+app.post('/auth/refresh', asyncHandler(async (req, res) => {
+  const invalidToken = httpError(401, 'Refresh token tidak valid atau kedaluwarsa');
+
+  // Rotate: the old refresh token can only be used once, and is only spent when the new
+  // one has been stored
+  const tokens = await database.transaction(async (tx) => {
+    const refreshTokens = new RefreshTokensRepository(tx);
+    const token = await refreshTokens.findUnrevoked(hashToken(req.body.refreshToken));
+    if (!token || new Date(token.expires_at) <= new Date() || !(await refreshTokens.revoke(token.id))) {
+      throw invalidToken;
+    }
+
+    const user = await new UsersRepository(tx).findById(token.user_id);
+    if (!user) {
+      throw httpError(401, 'User tidak ditemukan');
+    }
+    return issueTokens(user, refreshTokens);
+  });
+
+  res.json({
+    success: true,
+    data: tokens
+  });
+}));
+
+app.post('/auth/logout', asyncHandler(async (req, res) => {
+  await refreshTokensRepository.revokeByHash(hashToken(req.body.refreshToken));
+  res.json({
+    success: true,
+    message: 'Logout berhasil'
+  });
+}));
+
+// ===== USER ROUTES =====
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Sort keys accepted by ?sort= (prefix with - for descending) and their columns
+const USER_SORT_COLUMNS = {
+  id: 'id',
+  name: 'name',
+  email: 'email',
+  createdAt: 'created_at'
+};
+
+// Read ?page= and ?limit=; returns { error } for invalid values
+function parsePagination(query) {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: 'page harus bilangan bulat positif' };
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit harus antara 1 dan ${MAX_PAGE_SIZE}` };
+  }
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+// Turn ?sort=field / ?sort=-field into an ORDER BY clause, with id as tie-breaker
+function parseSort(value, columns, defaultSort) {
+  const sort = value || defaultSort;
+  const descending = sort.startsWith('-');
+  const column = columns[descending ? sort.slice(1) : sort];
+  if (!column) {
+    return { error: `sort harus salah satu dari: ${Object.keys(columns).join(', ')} (awali dengan - untuk urutan menurun)` };
+  }
+  const direction = descending ? 'DESC' : 'ASC';
+  return { orderBy: `${column} ${direction}, id ${direction}` };
+}
+
+app.get('/users', asyncHandler(async (req, res) => {
+  if (!isAdmin(req)) {
+    return forbidden(res, 'Hanya admin yang dapat melihat semua pengguna');
+  }
+
+  const pagination = parsePagination(req.query);
+  const sort = parseSort(req.query.sort, USER_SORT_COLUMNS, 'id');
+  const queryError = pagination.error || sort.error;
+  if (queryError) {
+    return res.status(400).json({
+      success: false,
+      message: queryError
+    });
+  }
+
+  const { rows, total } = await usersRepository.list({
+    search: req.query.search,
+    role: req.query.role,
+    orderBy: sort.orderBy,
+    limit: pagination.limit,
+    offset: pagination.offset
+  });
+
+  res.json({
+    success: true,
+    data: rows,
+    pagination: {
+      page: pagination.page,
+      limit: pagination.limit,
+      total,
+      totalPages: Math.ceil(total / pagination.limit)
+    }
+  });
+}));
+
+app.get('/users/:id', asyncHandler(async (req, res) => {
+  if (!canAccessUser(req, req.params.id)) {
+    return forbidden(res, 'Hanya dapat melihat profil sendiri');
+  }
+
+  const user = await usersRepository.findById(req.params.id);
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User tidak ditemukan'
+    });
+  }
+  res.set('ETag', versionTag(user.version));
+  res.json({
+    success: true,
+    data: user
+  });
+}));
+
+app.post('/users', idempotent, asyncHandler(async (req, res) => {
+  if (!isAdmin(req)) {
+    return forbidden(res, 'Hanya admin yang dapat membuat pengguna');
+  }
+
+  const { name, email, phone, address, role = 'customer', restaurantId } = req.body;
+
+  const roleError = validateRole(role, restaurantId);
+  if (roleError) {
+    return res.status(400).json({
+      success: false,
+      message: roleError
+    });
+  }
+
+  const user = await usersRepository
+    .create({ name, email, phone, address, role, restaurantId: role === 'restaurant_staff' ? restaurantId : null })
+    .catch(err => { throw emailTaken(err); });
+
+  res.status(201).json({
+    success: true,
+    data: user
+  });
+}));
+
+// Profile fields reported as changedFields in UserUpdated events
+const USER_EVENT_FIELDS = ['name', 'email', 'phone', 'address', 'role', 'restaurant_id'];
+
+// PUT replaces the profile (name, email, phone and address are required by its schema),
+// PATCH changes only the fields sent. The row is only written if it still has the version
+// that was read, so a concurrent update is reported instead of silently overwritten
+const updateUser = asyncHandler(async (req, res) => {
+  if (!canAccessUser(req, req.params.id)) {
+    return forbidden(res, 'Hanya dapat mengubah profil sendiri');
+  }
+
+  const changes = req.body;
+  const changesRole = changes.role !== undefined || changes.restaurantId !== undefined;
+
+  // Only admins can change roles
+  if (changesRole && !isAdmin(req)) {
+    return forbidden(res, 'Hanya admin yang dapat mengubah role');
+  }
+
+  const user = await usersRepository.findById(req.params.id);
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User tidak ditemukan'
+    });
+  }
+  if (!matchesIfMatch(req.get('If-Match'), user.version)) {
+    return preconditionFailed(res, user.version);
+  }
+
+  const role = changes.role ?? user.role;
+  const restaurantId = changes.restaurantId ?? user.restaurant_id;
+  if (changesRole) {
+    const roleError = validateRole(role, restaurantId);
+    if (roleError) {
+      return res.status(400).json({
+        success: false,
+        message: roleError
+      });
+    }
+  }
+
+  const updated = await database
+    .transaction(async (tx) => {
+      const updatedUser = await new UsersRepository(tx).update(user.id, user.version, {
+        name: changes.name ?? user.name,
+        email: changes.email ?? user.email,
+        phone: changes.phone ?? user.phone,
+        address: changes.address ?? user.address,
+        role,
+        restaurantId: role === 'restaurant_staff' ? restaurantId : null
+      });
+      if (updatedUser) {
+        await new OutboxRepository(tx).add('UserUpdated', updatedUser.id, {
+          userId: updatedUser.id,
+          changedFields: USER_EVENT_FIELDS.filter(field => updatedUser[field] !== user[field]),
+          user: updatedUser
+        });
+      }
+      return updatedUser;
+    })
+    .catch(err => { throw emailTaken(err); });
+
+  if (!updated) {
+    // Another request updated the user between the read and this write: the same failed
+    // precondition as a stale If-Match
+    const current = await usersRepository.findById(user.id);
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: 'User tidak ditemukan'
+      });
+    }
+    return preconditionFailed(res, current.version);
+  }
+  res.set('ETag', versionTag(updated.version));
+  res.json({
+    success: true,
+    data: updated
+  });
+});
+
+app.put('/users/:id', updateUser);
+app.patch('/users/:id', updateUser);
+
+// Users are soft-deleted: personal data is anonymized and the row is kept so that
+// orders in Order Service still point at an existing id. Order Service is asked first
+// so it can refuse while orders are active and snapshot the customer on past orders
+app.delete('/users/:id', asyncHandler(async (req, res) => {
+  if (!isAdmin(req)) {
+    return forbidden(res, 'Hanya admin yang dapat menghapus pengguna');
+  }
+
+  const user = await usersRepository.findById(req.params.id);
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User tidak ditemukan'
+    });
+  }
+
+  try {
+    await axios.post(
+      `${ORDER_SERVICE_URL}/internal/user-deletions`,
+      { userId: user.id, name: user.name, address: user.address },
+      { headers: internalHeaders(), timeout: ORDER_SERVICE_TIMEOUT_MS }
+    );
+  } catch (error) {
+    if (error.response?.status === 409) {
+      return res.status(409).json({
+        success: false,
+        message: 'User masih memiliki pesanan aktif',
+        orderIds: error.response.data.orderIds
+      });
+    }
+    // Any other refusal means this service sent a bad request, not that Order Service is down
+    if (error.response && error.response.status < 500) {
+      throw new Error(`Order Service refused user deletion with ${error.response.status}: ${error.response.data?.message}`);
+    }
+    return res.status(503).json({
+      success: false,
+      message: 'Order Service tidak dapat dihubungi',
+      error: error.message
+    });
+  }
+
+  // The deleted user's saved addresses and sessions go with it
+  await database.transaction(async (tx) => {
+    await new UsersRepository(tx).softDelete(user.id);
+    await new AddressesRepository(tx).deleteForUser(user.id);
+    await new RefreshTokensRepository(tx).deleteForUser(user.id);
+    await new OutboxRepository(tx).add('UserDeleted', user.id, { userId: user.id });
+  });
+
+  res.json({
+    success: true,
+    message: 'User berhasil dihapus'
+  });
+}));
+
+// ===== ADDRESSES =====
+// Saved delivery addresses, managed by the user (or an admin). Order Service reads them
+// without a caller when an order is placed, to snapshot where it is delivered
+
+// Coordinates are optional, but only as a pair
+function coordinatesError({ latitude, longitude }) {
+  return (latitude === null) !== (longitude === null) ? 'latitude dan longitude harus diisi bersamaan' : null;
+}
+
+function addressNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'Alamat tidak ditemukan'
+  });
+}
+
+// Check access and that the user exists for /users/:id/addresses routes
+app.use('/users/:id/addresses', asyncHandler(async (req, res, next) => {
+  if (!canAccessUser(req, req.params.id)) {
+    return forbidden(res, 'Hanya dapat mengelola alamat sendiri');
+  }
+  if (!(await usersRepository.findById(req.params.id))) {
+    return res.status(404).json({
+      success: false,
+      message: 'User tidak ditemukan'
+    });
+  }
+  next();
+}));
+
+app.get('/users/:id/addresses', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await addressesRepository.list(req.params.id)
+  });
+}));
+
+// The first address of a user becomes the default whether or not isDefault is sent
+app.post('/users/:id/addresses', asyncHandler(async (req, res) => {
+  const userId = parseInt(req.params.id, 10);
+  const { isDefault, ...fields } = req.body;
+  const coordinates = { latitude: fields.latitude ?? null, longitude: fields.longitude ?? null };
+  const error = coordinatesError(coordinates);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const address = await database.transaction(async (tx) => {
+    const addresses = new AddressesRepository(tx);
+    const count = await addresses.count(userId);
+    if (count >= MAX_ADDRESSES_PER_USER) {
+      throw httpError(409, `Maksimal ${MAX_ADDRESSES_PER_USER} alamat per user`);
+    }
+    const created = await addresses.create(userId, { ...fields, ...coordinates });
+    if (isDefault || count === 0) {
+      await addresses.setDefault(userId, created.id);
+    }
+    return addresses.findById(userId, created.id);
+  });
+
+  res.status(201).json({
+    success: true,
+    data: address
+  });
+}));
+
+app.get('/users/:id/addresses/:addressId', asyncHandler(async (req, res) => {
+  const address = await addressesRepository.findById(req.params.id, req.params.addressId);
+  if (!address) {
+    return addressNotFound(res);
+  }
+  res.json({
+    success: true,
+    data: address
+  });
+}));
+
+// Fields not sent keep their value; null clears notes and the coordinates.
+// isDefault: false leaves the user without a default address
+app.patch('/users/:id/addresses/:addressId', asyncHandler(async (req, res) => {
+  const userId = parseInt(req.params.id, 10);
+  const { isDefault, ...changes } = req.body;
+
+  const address = await database.transaction(async (tx) => {
+    const addresses = new AddressesRepository(tx);
+    const current = await addresses.findById(userId, req.params.addressId);
+    if (!current) {
+      return null;
+    }
+    const fields = {
+      label: changes.label ?? current.label,
+      address: changes.address ?? current.address,
+      notes: changes.notes === undefined ? current.notes : changes.notes,
+      latitude: changes.latitude === undefined ? current.latitude : changes.latitude,
+      longitude: changes.longitude === undefined ? current.longitude : changes.longitude
+    };
+    const error = coordinatesError(fields);
+    if (error) {
+      throw httpError(400, error);
+    }
+
+    await addresses.update(userId, current.id, fields);
+    if (isDefault === true) {
+      await addresses.setDefault(userId, current.id);
+    } else if (isDefault === false && current.isDefault) {
+      await addresses.clearDefault(userId);
+    }
+    return addresses.findById(userId, current.id);
+  });
+
+  if (!address) {
+    return addressNotFound(res);
+  }
+  res.json({
+    success: true,
+    data: address
+  });
+}));
+
+// Deleting the default address makes the oldest remaining address the default
+app.delete('/users/:id/addresses/:addressId', asyncHandler(async (req, res) => {
+  const userId = parseInt(req.params.id, 10);
+
+  const deleted = await database.transaction(async (tx) => {
+    const addresses = new AddressesRepository(tx);
+    const address = await addresses.findById(userId, req.params.addressId);
+    if (!address) {
+      return false;
+    }
+    await addresses.delete(userId, address.id);
+    if (address.isDefault) {
+      const [oldest] = await addresses.list(userId);
+      if (oldest) {
+        await addresses.setDefault(userId, oldest.id);
+      }
+    }
+    return true;
+  });
+
+  if (!deleted) {
+    return addressNotFound(res);
+  }
+  res.json({
+    success: true,
+    message: 'Alamat berhasil dihapus'
+  });
+}));
+
+// Errors passed on by route handlers. httpError()s and client errors raised by Express
+// itself (such as a malformed JSON body) are answered as they are, anything else is a 500
+app.use((err, req, res, next) => {
+  if (err.extra) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.message,
+      ...err.extra
+    });
+  }
+  if (err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.message
+    });
+  }
+  console.error(`Error handling ${req.method} ${req.originalUrl}:`, err.message);
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: err.message
+  });
+});
+
+// Graceful shutdown
+process.on('SIGINT', () => {
+  eventBus.close()
+    .catch(err => console.error('Error closing event bus:', err.message))
+    .then(() => database.close())
+    .then(() => console.log('Database connection closed'))
+    .catch(err => console.error('Error closing database:', err.message))
+    .then(() => process.exit(0));
+});
+
+app.listen(PORT, () => {
+  console.log(`User Service running on http://localhost:${PORT}`);
+  console.log(`Database: ${database.description}`);
+  console.log(`Event bus: ${eventBus.description}`);
+  console.log(`Swagger UI available at http://localhost:${PORT}/api-docs`);
 });
\ No newline at end of file
@@ -0,0 +1,108 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+// Request validation shared by the services. Path parameters, query strings and JSON bodies
+// are checked against the schemas in a service's Swagger document, so the documentation and
+// the validation rules are the same thing
+const bodyAjv = new Ajv({ allErrors: true, strict: false });
+// Path and query values arrive as strings and are coerced to the documented types
+const parameterAjv = new Ajv({ allErrors: true, strict: false, coerceTypes: true });
+addFormats(bodyAjv);
+addFormats(parameterAjv);
+
+// Compile parameter and body validators for one documented operation
+function compileOperation(operation) {
+  const parameterValidator = (location) => {
+    const parameters = (operation.parameters || []).filter(parameter => parameter.in === location);
+    return parameterAjv.compile({
+      type: 'object',
+      properties: Object.fromEntries(parameters.map(parameter => [parameter.name, parameter.schema])),
+      required: parameters.filter(parameter => parameter.required).map(parameter => parameter.name)
+    });
+  };
+  const bodySchema = operation.requestBody && operation.requestBody.content['application/json'].schema;
+  return {
+    path: parameterValidator('path'),
+    query: parameterValidator('query'),
+    body: bodySchema && bodyAjv.compile(bodySchema)
+  };
+}
+
+const VALIDATION_MESSAGES = {
+  required: () => 'wajib diisi',
+  type: (error) => `harus bertipe ${error.params.type}`,
+  format: (error) => `format ${error.params.format} tidak valid`,
+  pattern: () => 'format tidak valid',
+  enum: (error) => `harus salah satu dari: ${error.params.allowedValues.join(', ')}`,
+  minimum: (error) => `minimal ${error.params.limit}`,
+  maximum: (error) => `maksimal ${error.params.limit}`,
+  minLength: (error) => `minimal ${error.params.limit} karakter`,
+  maxLength: (error) => `maksimal ${error.params.limit} karakter`,
+  minItems: (error) => `minimal ${error.params.limit} item`,
+  uniqueItems: () => 'tidak boleh berisi nilai yang sama',
+  minProperties: () => 'minimal satu field harus diisi',
+  additionalProperties: (error) => `field ${error.params.additionalProperty} tidak dikenal`,
+  oneOf: () => 'tipe nilai tidak valid'
+};
+
+// Turn an Ajv error into { field, message }, e.g. field 'body.items[0].quantity'
+function toFieldError(location, error) {
+  const segments = error.instancePath.split('/').filter(Boolean);
+  if (error.keyword === 'required') {
+    segments.push(error.params.missingProperty);
+  }
+  const field = segments.reduce(
+    (path, segment) => /^\d+$/.test(segment) ? `${path}[${segment}]` : `${path}.${segment}`,
+    location
+  );
+  const describe = VALIDATION_MESSAGES[error.keyword];
+  return { field, message: describe ? describe(error) : error.message };
+}
+
+// Middleware validating requests to the operations documented in swaggerDocument; other
+// requests pass through. Invalid requests get 400 with the list of field errors
+function createRequestValidator(swaggerDocument) {
+  // One entry per documented method + path; '/users/{id}' becomes a pattern capturing id.
+  // Matched like Express routes: case-insensitive, with an optional trailing slash
+  const validators = Object.entries(swaggerDocument.paths).flatMap(([docPath, operations]) =>
+    Object.entries(operations).map(([method, operation]) => ({
+      method: method.toUpperCase(),
+      pattern: new RegExp(`^${docPath.replace(/\{(\w+)\}/g, '(?<$1>[^/]+)')}/?$`, 'i'),
+      validate: compileOperation(operation)
+    }))
+  );
+
+  return function validateRequest(req, res, next) {
+    let match;
+    const validator = validators.find(candidate =>
+      candidate.method === req.method && (match = req.path.match(candidate.pattern))
+    );
+    if (!validator) {
+      return next();
+    }
+
+    const errors = [];
+    const check = (location, validate, data) => {
+      if (validate && !validate(data)) {
+        // oneOf reports every failed branch as well; keep only the summary
+        const relevant = validate.errors.filter(error => !error.schemaPath.includes('/oneOf/'));
+        errors.push(...relevant.map(error => toFieldError(location, error)));
+      }
+    };
+    check('path', validator.validate.path, { ...match.groups });
+    check('query', validator.validate.query, req.query);
+    check('body', validator.validate.body, req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        code: 'VALIDATION_ERROR',
+        message: 'Data request tidak valid',
+        errors
+      });
+    }
+    next();
+  };
+}
+
+module.exports = { createRequestValidator };
\ No newline at end of file